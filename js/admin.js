@@ -1,9 +1,27 @@
 // ===== FIREBASE IMPORTS =====
 import { initializeApp } from "https://www.gstatic.com/firebasejs/11.0.2/firebase-app.js";
 import { getAuth, signInWithEmailAndPassword, signOut, onAuthStateChanged, browserSessionPersistence, setPersistence } from "https://www.gstatic.com/firebasejs/11.0.2/firebase-auth.js";
-import { getFirestore, collection, getDocs, doc, deleteDoc, updateDoc, setDoc, getDoc, orderBy, query, where, addDoc, serverTimestamp, limit, writeBatch } from "https://www.gstatic.com/firebasejs/11.0.2/firebase-firestore.js";
+import { getFirestore, collection, getDocs, getCountFromServer, onSnapshot, doc, deleteDoc, updateDoc, setDoc, getDoc, orderBy, query, where, startAfter, addDoc, serverTimestamp, limit, writeBatch, arrayUnion, runTransaction, Timestamp, deleteField } from "https://www.gstatic.com/firebasejs/11.0.2/firebase-firestore.js";
 
 // ===== SECURITY: Input Sanitization =====
+// Registration statuses; only seat holders count towards an event's capacity
+const REGISTRATION_STATUSES = ['Pending', 'Verified', 'Waitlisted', 'Rejected', 'Cancelled', 'Checked-in'];
+const SEAT_HOLDING_STATUSES = ['Pending', 'Verified', 'Checked-in'];
+// Allowed moves from each status (anything else must go back through Pending)
+const STATUS_TRANSITIONS = {
+    'Pending': ['Verified', 'Rejected', 'Cancelled', 'Checked-in', 'Waitlisted'],
+    'Verified': ['Pending', 'Checked-in', 'Rejected', 'Cancelled', 'Waitlisted'],
+    'Waitlisted': ['Pending', 'Rejected', 'Cancelled'],
+    'Checked-in': ['Verified'],
+    'Rejected': ['Pending'],
+    'Cancelled': ['Pending']
+};
+const EVENT_MAX_CAPACITY = 1000;
+// Firestore caps a batch at 500 writes; loops that write two documents per item
+// (a copy plus the delete of its original) take half as many items per batch
+const WRITE_BATCH_SIZE = 400;
+const WRITE_BATCH_SIZE_PAIRED = WRITE_BATCH_SIZE / 2;
+
 const SecurityUtils = {
     // HTML entity encoding to prevent XSS
     escapeHtml(str) {
@@ -46,7 +64,7 @@ const SecurityUtils = {
     sanitizeTeamData(d) {
         const teamName = this.escapeHtml(this.sanitizeTeamName(d.teamName));
         const email = this.escapeHtml(this.sanitizeString(d.email, 254));
-        const status = ['Pending', 'Verified'].includes(d.status) ? d.status : 'Pending';
+        const status = REGISTRATION_STATUSES.includes(d.status) ? d.status : 'Pending';
         const m1 = this.sanitizeMember(d.member1);
         const m2 = this.sanitizeMember(d.member2);
         const m3 = this.sanitizeMember(d.member3);
@@ -164,8 +182,6 @@ const db = getFirestore(app);
 // ===== GLOBAL STATE =====
 let promptquestData = [];
 let isLoading = true;
-const rowsPerPage = 5;
-let currentPage = 1;
 let searchTimeouts = {};
 let currentDrawerTeamId = null;
 let currentDrawerTeamData = null;
@@ -348,13 +364,33 @@ async function checkAdminRole(user) {
 window.checkAdminRole = checkAdminRole;
 
 // ===== TOAST =====
-function showToast(message) {
+let toastTimer = null;
+let toastUndo = null; // { id, until } while an Undo button is on offer
+// Pass { undoId } to offer an Undo button for an undo history entry. Later
+// messages (e.g. waitlist promotions) keep that button until it expires.
+function showToast(message, { undoId = null } = {}) {
     const toast = document.getElementById('toast');
     if (!toast) return;
+    if (undoId) toastUndo = { id: undoId, until: Date.now() + UNDO_TOAST_MS };
+    else if (toastUndo && Date.now() >= toastUndo.until) toastUndo = null;
+
     // Sanitize message to prevent XSS
     toast.textContent = SecurityUtils.escapeHtml(message);
+    if (toastUndo) {
+        const { id } = toastUndo;
+        const btn = document.createElement('button');
+        btn.className = 'toast-undo';
+        btn.textContent = 'Undo';
+        btn.onclick = () => {
+            toast.classList.remove('show');
+            toastUndo = null;
+            undoChange(id);
+        };
+        toast.appendChild(btn);
+    }
     toast.classList.add('show');
-    setTimeout(() => toast.classList.remove('show'), 3000);
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('show'), toastUndo ? Math.max(toastUndo.until - Date.now(), 3000) : 3000);
 }
 window.showToast = showToast;
 
@@ -421,6 +457,7 @@ function updateTimerDisplay() {
     if (remaining <= 0 && auth.currentUser) {
         clearInterval(countdownInterval);
         sessionEndTime = 0;
+        unsubscribeAllEventData();
         signOut(auth).then(() => {
             AdminPermissions.clear();
             document.getElementById('admin-dashboard').classList.remove('active');
@@ -492,11 +529,14 @@ window.saveSettings = saveSettings;
 
 // ===== LOGOUT HANDLER =====
 function handleLogout() {
+    // Stop listeners before the session loses read access
+    unsubscribeAllEventData();
     signOut(auth)
         .then(() => {
             clearInterval(countdownInterval);
             sessionEndTime = 0;
             AdminPermissions.clear(); // Clear admin permissions on logout
+            clearUndoHistory();
             document.getElementById('admin-dashboard').classList.remove('active');
             document.getElementById('login-page').style.display = 'flex';
 
@@ -690,7 +730,7 @@ function populateEventCheckboxes(containerId = 'eventCheckboxes', inputName = 'a
     }
 
     container.innerHTML = allEvents
-        .filter(e => e.isActive)
+        .filter(isLiveEvent)
         .map(e => {
             const isChecked = selectedEvents.includes(e.code) ? 'checked' : '';
             return `
@@ -932,8 +972,33 @@ async function logAdminAction(action, details = {}) {
 }
 window.logAdminAction = logAdminAction;
 
+// Plain copy of a field value for an audit entry: Timestamps become ISO strings
+// and write sentinels (serverTimestamp, arrayUnion) are recorded as placeholders
+function auditValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'object') return value;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(auditValue);
+    if (Object.getPrototypeOf(value) !== Object.prototype) return '(server value)';
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, auditValue(v)]));
+}
+
+// { before, after } limited to the keys whose value actually changed
+function auditDiff(beforeData, afterData, keys = Object.keys(afterData)) {
+    const before = {};
+    const after = {};
+    keys.forEach(key => {
+        const from = auditValue(beforeData?.[key]);
+        const to = auditValue(afterData?.[key]);
+        if (JSON.stringify(from) === JSON.stringify(to)) return;
+        before[key] = from;
+        after[key] = to;
+    });
+    return { before, after };
+}
+
 // ===== FIRESTORE OPERATIONS (SECURED) =====
-window.deleteFromFirestore = async function (collectionPath, docId, teamName = 'Unknown') {
+window.deleteFromFirestore = async function (collectionPath, docId, teamName = 'Unknown', { rebalance = true } = {}) {
     // Input validation
     if (!SecurityUtils.isValidDocId(docId)) {
         secureLog('Invalid document ID');
@@ -967,6 +1032,17 @@ window.deleteFromFirestore = async function (collectionPath, docId, teamName = '
                 teamId: docId,
                 teamName: SecurityUtils.escapeHtml(teamData.teamName || sanitizedTeamName)
             });
+            if (sanitizedCollection === 'registrations') {
+                await syncRegistrationLookup(docId, teamData, { removed: true });
+            }
+            // A freed seat goes to the next team on the waitlist
+            if (rebalance && sanitizedCollection === 'registrations' && teamData.eventCode &&
+                SEAT_HOLDING_STATUSES.includes(teamData.status || 'Pending')) {
+                await rebalanceWaitlist(teamData.eventCode);
+            }
+            if (sanitizedCollection === 'registrations' && teamData.isWinner) {
+                await syncHallOfFame(teamData.eventCode);
+            }
             return { success: true, deletedData: teamData };
         }
         return { success: false };
@@ -976,18 +1052,21 @@ window.deleteFromFirestore = async function (collectionPath, docId, teamName = '
     }
 };
 
-window.updateInFirestore = async function (collectionPath, docId, data) {
+// Resolves to { success, undoId } (undoId: undo history entry for the write, if any).
+// hallOfFame: rebuild hallOfFame/{eventCode} in the same batch (winner changes)
+// undoOf: label of the undo history entry being reverted (logged as UNDO, not recorded again)
+window.updateInFirestore = async function (collectionPath, docId, data, { hallOfFame = false, undoOf = null } = {}) {
     // Input validation
     if (!SecurityUtils.isValidDocId(docId)) {
         secureLog('Invalid document ID');
-        return false;
+        return { success: false };
     }
 
     // Rate limiting
     const rateCheck = rateLimiters.update.recordAttempt('update_' + (auth.currentUser?.uid || 'anon'));
     if (!rateCheck.allowed) {
         showToast(`⏳ Too many requests. Try again in ${rateCheck.retryAfter}s`);
-        return false;
+        return { success: false };
     }
 
     // Sanitize collection path
@@ -997,7 +1076,8 @@ window.updateInFirestore = async function (collectionPath, docId, data) {
     const allowedFields = [
         'teamName', 'email', 'status', 'isWinner', 'winnerPosition',
         'member1Name', 'member1Detail', 'member2Name', 'member2Detail',
-        'member3Name', 'member3Detail', 'member1', 'member2', 'member3'
+        'member3Name', 'member3Detail', 'member1', 'member2', 'member3',
+        'waitlistedAt', 'promotedAt', 'statusHistory'
     ];
     const sanitizedData = SecurityUtils.sanitizeObject(data, allowedFields);
 
@@ -1009,12 +1089,34 @@ window.updateInFirestore = async function (collectionPath, docId, data) {
     }
 
     try {
-        await updateDoc(doc(db, sanitizedCollection, docId), sanitizedData);
-        await logAdminAction('UPDATE', { teamId: docId, changes: Object.keys(sanitizedData) });
-        return true;
+        const docRef = doc(db, sanitizedCollection, docId);
+        const beforeSnap = await getDoc(docRef);
+        const eventCode = beforeSnap.data()?.eventCode;
+        if (eventCode && !AdminPermissions.canAccessEvent(eventCode)) {
+            secureLog('Update blocked: no access to event');
+            return { success: false };
+        }
+
+        const batch = writeBatch(db);
+        batch.update(docRef, sanitizedData);
+        if (hallOfFame && eventCode) {
+            writeHallOfFame(batch, eventCode, await buildHallOfFame(eventCode, { [docId]: { ...beforeSnap.data(), ...sanitizedData } }));
+        }
+        await batch.commit();
+        // Status history is already its own log; keep the diff to the edited fields
+        const diffKeys = Object.keys(sanitizedData).filter(k => k !== 'statusHistory');
+        await logAdminAction(undoOf ? 'UNDO' : 'UPDATE', {
+            teamId: docId,
+            eventCode: eventCode || '',
+            changes: Object.keys(sanitizedData),
+            ...(undoOf ? { label: undoOf } : {}),
+            ...auditDiff(beforeSnap.data(), sanitizedData, diffKeys)
+        });
+        const undoId = undoOf ? null : recordUndo(sanitizedCollection, docId, beforeSnap.data(), sanitizedData);
+        return { success: true, undoId };
     } catch (error) {
         secureLog('Error updating:', error);
-        return false;
+        return { success: false };
     }
 };
 
@@ -1025,41 +1127,779 @@ window.undoDelete = async function (docId) {
         if (trashSnap.exists()) {
             const data = trashSnap.data();
             const originalCollection = data.originalCollection || 'registrations';
-            delete data.originalCollection; delete data.deletedAt; delete data.deletedBy;
-            await setDoc(doc(db, originalCollection, docId), data);
+            const originalId = data.originalId || docId;
+            delete data.originalCollection; delete data.originalId; delete data.deletedAt; delete data.deletedBy;
+            delete data.trashedWithEvent;
+            await setDoc(doc(db, originalCollection, originalId), data);
             await deleteDoc(trashRef);
+            if (originalCollection === 'registrations' && data.eventCode) {
+                await rebalanceWaitlist(data.eventCode, { promote: false });
+            }
+            if (originalCollection === 'registrations') {
+                await syncRegistrationLookup(originalId, data);
+            }
+            if (originalCollection === 'registrations' && data.isWinner) {
+                await syncHallOfFame(data.eventCode);
+            }
             return true;
         }
         return false;
     } catch (error) { secureLog('Error restoring:', error); return false; }
 };
 
+// ===== UNDO HISTORY =====
+// Session-only list of the fields each updateInFirestore write replaced, newest
+// first. Bulk actions collect their writes into one group so a single undo
+// reverts the whole batch. Nothing here survives a reload or logout.
+const UNDO_HISTORY_LIMIT = 20;
+const UNDO_TOAST_MS = 8000;
+const undoHistory = [];
+let undoGroup = null;
+let undoSeq = 0;
+
+function undoChangeLabel(beforeData, written) {
+    const team = beforeData?.teamName || 'Team';
+    if ('status' in written) return `${team}: ${beforeData?.status || 'Pending'} → ${written.status}`;
+    if ('isWinner' in written) return written.isWinner ? `${team}: set as winner #${written.winnerPosition}` : `${team}: winner removed`;
+    return `${team}: edited ${Object.keys(written).join(', ')}`;
+}
+
+// Called by updateInFirestore after a successful write; undefined marks a field
+// that did not exist before and is deleted again on undo
+function recordUndo(collectionPath, docId, beforeData, written) {
+    const keys = Object.keys(auditDiff(beforeData, written, Object.keys(written).filter(k => k !== 'statusHistory')).before);
+    if (keys.length === 0) return null;
+    const change = {
+        collectionPath,
+        docId,
+        eventCode: beforeData?.eventCode || '',
+        before: Object.fromEntries(keys.map(k => [k, beforeData?.[k]])),
+        after: Object.fromEntries(keys.map(k => [k, written[k]]))
+    };
+    if (undoGroup) {
+        undoGroup.changes.push(change);
+        return undoGroup.id;
+    }
+    return pushUndoEntry(undoChangeLabel(beforeData, written), [change]);
+}
+
+function pushUndoEntry(label, changes) {
+    const id = `undo-${++undoSeq}`;
+    undoHistory.unshift({ id, label, changes, at: Date.now(), by: auth.currentUser?.email || 'unknown', undone: false });
+    undoHistory.length = Math.min(undoHistory.length, UNDO_HISTORY_LIMIT);
+    renderUndoHistory();
+    return id;
+}
+
+function beginUndoGroup() {
+    undoGroup = { id: null, changes: [] };
+}
+
+// Close the open group; returns its entry id, or null when nothing was written
+function endUndoGroup(label) {
+    const group = undoGroup;
+    undoGroup = null;
+    if (!group || group.changes.length === 0) return null;
+    return pushUndoEntry(label, group.changes);
+}
+
+// Restoring a seat (e.g. undoing a rejection) must not overfill the event: the
+// seat it freed may already have gone to a waitlisted team. Returns a reason, or null.
+async function undoSeatShortfall(entry, snaps) {
+    const pools = new Map();
+    entry.changes.forEach((change, i) => {
+        const current = snaps[i].data();
+        if (change.collectionPath !== 'registrations' || !current || !('status' in change.before)) return;
+        if (!SEAT_HOLDING_STATUSES.includes(change.before.status || 'Pending') ||
+            SEAT_HOLDING_STATUSES.includes(current.status || 'Pending')) return;
+
+        const event = allEvents.find(e => e.code === change.eventCode);
+        const sessions = eventSessions(event);
+        const capacity = sessions.length > 0
+            ? (sessions.find(s => s.id === current.sessionId)?.capacity || 0)
+            : (parseInt(event?.capacity, 10) || 0);
+        if (capacity <= 0) return;
+        const statsId = sessions.length > 0 ? window.EventSessions.statsDocId(change.eventCode, current.sessionId) : change.eventCode;
+        const pool = pools.get(statsId) || { capacity, seats: 0, name: event?.name || change.eventCode };
+        pool.seats++;
+        pools.set(statsId, pool);
+    });
+
+    for (const [statsId, pool] of pools) {
+        const seatsTaken = (await getDoc(doc(db, 'eventStats', statsId))).data()?.seatsTaken || 0;
+        if (seatsTaken + pool.seats > pool.capacity) {
+            return `${pool.name} has ${Math.max(pool.capacity - seatsTaken, 0)} free seat(s) for ${pool.seats} team(s)`;
+        }
+    }
+    return null;
+}
+
+async function undoChange(id) {
+    const entry = undoHistory.find(e => e.id === id);
+    if (!entry || entry.undone) {
+        showToast('⚠️ Nothing to undo');
+        return;
+    }
+    if (!AdminPermissions.currentAdmin || !entry.changes.every(c => !c.eventCode || AdminPermissions.canAccessEvent(c.eventCode))) {
+        showToast('⚠️ Not authorized');
+        return;
+    }
+
+    try {
+        // Someone else may have changed the same fields since; don't overwrite silently
+        const snaps = await Promise.all(entry.changes.map(c => getDoc(doc(db, c.collectionPath, c.docId))));
+        const conflicts = entry.changes.filter((c, i) => {
+            const current = snaps[i].data();
+            if (!current) return true;
+            return Object.entries(c.after).some(([k, v]) => {
+                const written = auditValue(v);
+                return written !== '(server value)' && JSON.stringify(auditValue(current[k])) !== JSON.stringify(written);
+            });
+        });
+        if (conflicts.length > 0 && !confirm(`${conflicts.length} record(s) changed since "${entry.label}". Undo anyway?`)) return;
+
+        const shortfall = await undoSeatShortfall(entry, snaps);
+        if (shortfall) {
+            showToast(`⚠️ Can't undo "${entry.label}": ${shortfall}`);
+            return;
+        }
+
+        // eventCode -> whether a seat was freed (and the waitlist may move up)
+        const touchedEvents = new Map();
+        let reverted = 0;
+        let missing = 0;
+        for (let i = entry.changes.length - 1; i >= 0; i--) {
+            const change = entry.changes[i];
+            const current = snaps[i].data();
+            if (!current) {
+                missing++;
+                continue;
+            }
+            const update = Object.fromEntries(Object.entries(change.before).map(([k, v]) => [k, v === undefined ? deleteField() : v]));
+            // Status history is append-only: the undo is recorded, not erased
+            if ('status' in change.before) {
+                update.statusHistory = arrayUnion(statusHistoryEntry(current.status || 'Pending', change.before.status || 'Pending', 'Undo'));
+            }
+            const winnerChange = 'isWinner' in change.before || 'winnerPosition' in change.before;
+            const { success } = await window.updateInFirestore(change.collectionPath, change.docId, update, { undoOf: entry.label, hallOfFame: winnerChange });
+            if (!success) continue;
+            reverted++;
+
+            if (change.collectionPath !== 'registrations') continue;
+            await syncRegistrationLookup(change.docId);
+            if ('status' in change.before && change.eventCode) {
+                const freesSeat = SEAT_HOLDING_STATUSES.includes(current.status || 'Pending') &&
+                    !SEAT_HOLDING_STATUSES.includes(change.before.status || 'Pending');
+                touchedEvents.set(change.eventCode, touchedEvents.get(change.eventCode) || freesSeat);
+            }
+        }
+        for (const [code, promote] of touchedEvents) await rebalanceWaitlist(code, { promote });
+
+        const failed = entry.changes.length - missing - reverted;
+        entry.undone = failed === 0;
+        showToast(`↩️ Undone: ${entry.label}` +
+            (missing ? ` (${missing} record(s) no longer exist)` : '') +
+            (failed ? ` (${failed} record(s) could not be reverted)` : ''));
+        renderUndoHistory();
+        if (window.reloadFirestoreData) window.reloadFirestoreData();
+    } catch (error) {
+        secureLog('Undo error:', error);
+        showToast('❌ Undo failed');
+    }
+}
+window.undoChange = undoChange;
+
+function openUndoHistory() {
+    renderUndoHistory();
+    document.getElementById('undoHistoryModal')?.classList.add('active');
+}
+window.openUndoHistory = openUndoHistory;
+
+function renderUndoHistory() {
+    const container = document.getElementById('undoHistoryContent');
+    if (!container) return;
+    if (undoHistory.length === 0) {
+        container.innerHTML = '<p class="undo-empty">No changes this session</p>';
+        return;
+    }
+    container.innerHTML = '';
+    undoHistory.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = `undo-entry${entry.undone ? ' undone' : ''}`;
+        row.innerHTML = `
+            <div class="undo-entry-info">
+                <span class="undo-entry-label">${SecurityUtils.escapeHtml(entry.label)}</span>
+                <small>${new Date(entry.at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })} · ${entry.changes.length} record(s)</small>
+            </div>
+        `;
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary';
+        btn.textContent = entry.undone ? 'Undone' : '↩️ Undo';
+        btn.disabled = entry.undone;
+        btn.onclick = () => undoChange(entry.id);
+        row.appendChild(btn);
+        container.appendChild(row);
+    });
+}
+
+function clearUndoHistory() {
+    undoHistory.length = 0;
+    undoGroup = null;
+    toastUndo = null;
+    renderUndoHistory();
+}
+
+// ===== CAPACITY & WAITLIST =====
+
+function timestampToMillis(ts) {
+    if (!ts) return 0;
+    if (ts.toMillis) return ts.toMillis();
+    if (ts.seconds) return ts.seconds * 1000;
+    return new Date(ts).getTime() || 0;
+}
+
+// Recount seats for an event, promote waitlisted teams (oldest first) into free
+// seats and publish the count to eventStats/{code} for the public form.
+// Multi-slot events do this per capped session (eventStats/{code}__{sessionId}).
+// It runs as a transaction over the seat counters and the moved registrations, so a
+// public seat claim or another admin's rebalance landing meanwhile makes it retry
+// against a fresh read. `demote` (Recount seats) also moves Pending teams no admin
+// has reviewed back to the waitlist, newest first, while a pool is overbooked.
+async function rebalanceWaitlist(eventCode, { promote = true, demote = false } = {}) {
+    const event = allEvents.find(e => e.code === eventCode);
+    const sessions = eventSessions(event);
+    const pools = sessions.length > 0
+        ? sessions.filter(s => s.capacity > 0).map(s => ({
+            statsId: window.EventSessions.statsDocId(eventCode, s.id),
+            sessionId: s.id,
+            capacity: s.capacity
+        }))
+        : [{ statsId: eventCode, sessionId: null, capacity: parseInt(event?.capacity, 10) || 0 }].filter(p => p.capacity > 0);
+    if (!eventCode || pools.length === 0) return 0;
+
+    try {
+        const moves = await runTransaction(db, async (tx) => {
+            // Counters first: a write to any of them aborts this attempt
+            for (const pool of pools) await tx.get(doc(db, 'eventStats', pool.statsId));
+            const snapshot = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', eventCode)));
+
+            const planned = [];
+            for (const pool of pools) {
+                const waitlist = [];
+                const unreviewed = [];
+                pool.seatsTaken = 0;
+                snapshot.forEach(docSnap => {
+                    const data = docSnap.data();
+                    if (pool.sessionId && data.sessionId !== pool.sessionId) return;
+                    if (SEAT_HOLDING_STATUSES.includes(data.status || 'Pending')) {
+                        pool.seatsTaken++;
+                        if ((data.status || 'Pending') === 'Pending' && !(data.statusHistory || []).length) unreviewed.push({ id: docSnap.id, data });
+                    } else if (data.status === 'Waitlisted') {
+                        waitlist.push({ id: docSnap.id, data });
+                    }
+                });
+                const waitingSince = r => timestampToMillis(r.data.waitlistedAt || r.data.registeredAt);
+                waitlist.sort((a, b) => waitingSince(a) - waitingSince(b));
+                unreviewed.sort((a, b) => timestampToMillis(b.data.registeredAt) - timestampToMillis(a.data.registeredAt));
+
+                let seats = pool.seatsTaken;
+                while (promote && seats < pool.capacity && waitlist.length > 0) {
+                    planned.push({ ...waitlist.shift(), pool, from: 'Waitlisted', to: 'Pending' });
+                    seats++;
+                }
+                while (demote && seats > pool.capacity && unreviewed.length > 0) {
+                    planned.push({ ...unreviewed.shift(), pool, from: 'Pending', to: 'Waitlisted' });
+                    seats--;
+                }
+            }
+
+            // Moved registrations are re-read; one changed since the query is left alone
+            const current = [];
+            for (const move of planned) current.push(await tx.get(doc(db, 'registrations', move.id)));
+            const applied = planned.filter((move, i) => current[i].exists() && (current[i].data().status || 'Pending') === move.from);
+
+            applied.forEach(move => {
+                const promoted = move.to === 'Pending';
+                move.pool.seatsTaken += promoted ? 1 : -1;
+                tx.update(doc(db, 'registrations', move.id), {
+                    status: move.to,
+                    ...(promoted ? { promotedAt: serverTimestamp() } : { waitlistedAt: serverTimestamp() }),
+                    statusHistory: arrayUnion(statusHistoryEntry(move.from, move.to,
+                        promoted ? 'Promoted from waitlist' : 'Moved to waitlist: over capacity'))
+                });
+            });
+            pools.forEach(({ statsId, seatsTaken, capacity }) => {
+                tx.set(doc(db, 'eventStats', statsId), { seatsTaken, capacity, updatedAt: serverTimestamp() }, { merge: true });
+            });
+            return applied;
+        });
+
+        for (const move of moves) {
+            await syncRegistrationLookup(move.id, { ...move.data, status: move.to });
+            await logAdminAction(move.to === 'Pending' ? 'WAITLIST_PROMOTE' : 'WAITLIST_DEMOTE', {
+                teamId: move.id,
+                teamName: SecurityUtils.escapeHtml(move.data.teamName || ''),
+                eventCode,
+                ...(move.pool.sessionId ? { sessionId: move.pool.sessionId } : {})
+            });
+        }
+
+        if (moves.length > 0) {
+            const promotedCount = moves.filter(m => m.to === 'Pending').length;
+            const demotedCount = moves.length - promotedCount;
+            showToast([
+                promotedCount > 0 ? `⬆️ Promoted ${promotedCount} team(s) from the waitlist` : '',
+                demotedCount > 0 ? `⬇️ Moved ${demotedCount} team(s) over capacity to the waitlist` : ''
+            ].filter(Boolean).join(' • '));
+            await loadEventData(eventCode);
+        }
+        return moves.length;
+    } catch (error) {
+        secureLog('Error rebalancing waitlist:', error);
+        return 0;
+    }
+}
+window.rebalanceWaitlist = rebalanceWaitlist;
+
+// Participants cancelling on index.html cannot release their seat counter, so freed
+// seats reach the waitlist when an admin runs this (or changes a status)
+async function recountSeats(eventCode) {
+    if (!AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⛔ You do not have access to this event');
+        return;
+    }
+    const moved = await rebalanceWaitlist(eventCode, { demote: true });
+    if (moved === 0) showToast('✅ Seat counts are up to date');
+}
+window.recountSeats = recountSeats;
+
+// Timeline entry stored in registrations/{id}.statusHistory
+function statusHistoryEntry(from, to, note = '') {
+    return {
+        from,
+        to,
+        by: auth.currentUser?.email || 'unknown',
+        at: new Date(),
+        note: SecurityUtils.sanitizeString(note, 500)
+    };
+}
+
+// Rebuild registrationLookup/{lookupId}, the public entry behind "check my registration"
+// on index.html, from the registration (read when not passed). `removed` drops the entry.
+// The id follows the code and email (RegistrationAccess in security.js), so a changed email
+// moves the entry; older entries keyed by the bare confirmation code are replaced too.
+async function syncRegistrationLookup(teamId, registration = null, { removed = false } = {}) {
+    try {
+        let data = registration;
+        if (!data) {
+            const snap = await getDoc(doc(db, 'registrations', teamId));
+            if (!snap.exists()) return;
+            data = snap.data();
+        }
+        // Imported registrations without a code or email have no lookup entry
+        const code = data.confirmationCode;
+        if (!code || !data.email) return;
+
+        const access = window.RegistrationAccess;
+        const lookupId = await access.lookupId(code, data.email);
+        const stale = [data.lookupId || code]
+            .filter(id => id !== lookupId && SecurityUtils.isValidDocId(id));
+        if (removed) {
+            await Promise.all([lookupId, ...stale].map(id => deleteDoc(doc(db, 'registrationLookup', id))));
+            return;
+        }
+
+        // Participant edits of the registration and of this entry present the self-service
+        // key, checked against its hash (Firestore rules in README.md)
+        const selfServiceHash = await access.selfServiceHash(code, data.email);
+        const event = allEvents.find(e => e.code === data.eventCode);
+        await setDoc(doc(db, 'registrationLookup', lookupId), {
+            confirmationCode: code,
+            teamName: data.teamName || '',
+            eventCode: data.eventCode || '',
+            ...(event ? { eventName: event.name || '' } : {}),
+            status: data.status || 'Pending',
+            attended: data.attended === true,
+            sessionId: data.sessionId || null,
+            sealed: await access.seal(code, data.email, access.details(teamId, data)),
+            selfServiceHash,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        await Promise.all(stale.map(id => deleteDoc(doc(db, 'registrationLookup', id))));
+
+        const keys = {
+            ...(data.lookupId !== lookupId ? { lookupId } : {}),
+            ...(data.selfServiceHash !== selfServiceHash ? { selfServiceHash } : {})
+        };
+        if (Object.keys(keys).length > 0) await updateDoc(doc(db, 'registrations', teamId), keys);
+    } catch (error) {
+        secureLog('Error syncing registration lookup:', error);
+    }
+}
+
+// Registrations from before lookup entries were keyed by code + email (or before
+// self-service keys) get both set up when their event is scanned (see scanEventRegistrations)
+async function migrateRegistrationLookups(records) {
+    for (const record of records) {
+        if (record.confirmationCode && (!record.lookupId || !record.selfServiceHash)) {
+            const { id, ...data } = record;
+            await syncRegistrationLookup(id, data);
+        }
+    }
+}
+
+// Event code for a registration row (rows live in `${eventCode}-tbody`)
+function eventCodeForRow(teamId) {
+    const row = document.querySelector(`tr[data-team="${CSS.escape(teamId)}"]`);
+    return row?.closest('tbody')?.id.replace(/-tbody$/, '') || '';
+}
+
 // ===== ATTENDANCE TRACKING =====
-async function markAttended(docId, attended, eventCode) {
+const MAX_TEAM_MEMBERS = 4;
+
+// Members of a registration with their attendance; docs from before per-member
+// tracking only carry the team-level flag, which then applies to everyone
+function attendanceMembers(d) {
+    const members = [];
+    for (let n = 1; n <= MAX_TEAM_MEMBERS; n++) {
+        const m = d?.[`member${n}`];
+        if (!m?.name) continue;
+        const explicit = typeof m.attended === 'boolean';
+        members.push({
+            index: n,
+            name: SecurityUtils.sanitizeString(m.name, 100),
+            attended: explicit ? m.attended : d.attended === true,
+            attendedAt: explicit ? (m.attendedAt || null) : (d.attended === true ? d.attendedAt || null : null)
+        });
+    }
+    return members;
+}
+
+// Mark a whole team, or one member (1-4), as present/absent.
+// The team-level `attended` flag stays true while anyone is present.
+// Returns the updated registration data, or null on failure.
+async function markAttended(docId, attended, eventCode, memberIndex = null) {
     if (!SecurityUtils.isValidDocId(docId)) {
         showToast('⚠️ Invalid team ID');
-        return false;
+        return null;
+    }
+    if (memberIndex !== null && !(Number.isInteger(memberIndex) && memberIndex >= 1 && memberIndex <= MAX_TEAM_MEMBERS)) {
+        showToast('⚠️ Invalid member');
+        return null;
     }
 
     try {
-        await updateDoc(doc(db, 'registrations', docId), {
-            attended: attended,
-            attendedAt: attended ? serverTimestamp() : null
+        const ref = doc(db, 'registrations', docId);
+        const snap = await getDoc(ref);
+        if (!snap.exists()) {
+            showToast('⚠️ Team not found');
+            return null;
+        }
+        const data = snap.data();
+        const members = attendanceMembers(data);
+        const targets = memberIndex ? members.filter(m => m.index === memberIndex) : members;
+        if (memberIndex && targets.length === 0) {
+            showToast('⚠️ Invalid member');
+            return null;
+        }
+
+        const updates = {};
+        const now = new Date();
+        targets.filter(m => m.attended !== attended).forEach(m => {
+            updates[`member${m.index}.attended`] = attended;
+            updates[`member${m.index}.attendedAt`] = attended ? serverTimestamp() : null;
+            data[`member${m.index}`] = { ...data[`member${m.index}`], attended, attendedAt: attended ? now : null };
+            m.attended = attended;
         });
+        const teamAttended = members.length > 0 ? members.some(m => m.attended) : attended;
+        if ((data.attended === true) !== teamAttended) {
+            updates.attended = teamAttended;
+            updates.attendedAt = teamAttended ? serverTimestamp() : null;
+            data.attended = teamAttended;
+            data.attendedAt = teamAttended ? now : null;
+        }
+        if (Object.keys(updates).length > 0) await updateDoc(ref, updates);
+
         await logAdminAction('ATTENDANCE', {
             teamId: docId,
             eventCode: eventCode,
+            member: memberIndex || 'all',
             attended: attended
         });
-        showToast(attended ? '✅ Marked as attended' : '⬜ Marked as not attended');
-        return true;
+        await syncRegistrationLookup(docId, data);
+
+        refreshAttendanceCell(docId, data, eventCode);
+        if (currentDrawerTeamId === docId) {
+            currentDrawerTeamData = { ...currentDrawerTeamData, ...data };
+            renderDrawerMembers(docId, currentDrawerTeamData);
+        }
+
+        const who = memberIndex ? (targets[0].name || `Member ${memberIndex}`) : 'Team';
+        showToast(attended ? `✅ ${who} marked as attended` : `⬜ ${who} marked as not attended`);
+        return data;
     } catch (error) {
         secureLog('Error updating attendance:', error);
         showToast('⚠️ Error updating attendance');
-        return false;
+        return null;
     }
 }
 window.markAttended = markAttended;
+
+// Per-member toggles for the table; teams without member details keep a single team checkbox
+function renderAttendanceCell(docId, d, eventCode) {
+    const members = attendanceMembers(d);
+    if (members.length === 0) {
+        const isAttended = d.attended === true;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'attended-checkbox';
+        checkbox.checked = isAttended;
+        checkbox.title = isAttended ? 'Mark as not attended' : 'Mark as attended';
+        checkbox.onchange = () => markAttended(docId, checkbox.checked, eventCode);
+        return checkbox;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'member-attendance';
+    members.forEach(m => {
+        const toggle = document.createElement('label');
+        toggle.className = `member-attendance-toggle${m.attended ? ' present' : ''}`;
+        toggle.title = `${m.name}${m.attended ? ' (present)' : ''}`;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = m.attended;
+        checkbox.onchange = () => markAttended(docId, checkbox.checked, eventCode, m.index);
+        toggle.append(checkbox, String(m.index));
+        container.appendChild(toggle);
+    });
+    return container;
+}
+
+function refreshAttendanceCell(docId, d, eventCode) {
+    const cell = document.querySelector(`tr[data-team="${CSS.escape(docId)}"] .attendance-cell`);
+    if (cell) cell.replaceChildren(renderAttendanceCell(docId, d, eventCode));
+}
+
+// ===== QR CHECK-IN =====
+// Teams with these statuses get a QR code and can be checked in at the door
+const CHECKIN_ELIGIBLE_STATUSES = ['Verified', 'Checked-in'];
+// Ignore repeat reads of the same code while it is still in front of the camera
+const CHECKIN_RESCAN_MS = 3000;
+const CHECKIN_LOG_SIZE = 12;
+
+let checkinState = null;
+
+// Render text as a QR code image (data URL); '' when the QR library failed to load
+function qrDataUrl(text, cellSize = 4) {
+    if (typeof qrcode !== 'function') return '';
+    const qr = qrcode(0, 'M');
+    qr.addData(String(text));
+    qr.make();
+    return qr.createDataURL(cellSize, 2);
+}
+
+async function openCheckinView(eventCode) {
+    if (!SecurityUtils.isValidDocId(eventCode) || !AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⛔ You do not have access to this event');
+        return;
+    }
+    if (checkinState) closeCheckinView();
+
+    const event = allEvents.find(e => e.code === eventCode);
+    const state = { eventCode, teams: new Map(), stream: null, detector: null, canvas: null, frame: null, busy: false, lastPayload: '', lastScanAt: 0 };
+    checkinState = state;
+
+    const view = document.getElementById('checkinView');
+    document.getElementById('checkinEventName').textContent = event?.name || eventCode;
+    document.getElementById('checkinManualCode').value = '';
+    document.getElementById('checkinLog').innerHTML = '';
+    setCheckinResult('', 'Loading registrations...');
+    view.classList.add('active');
+    if (view.requestFullscreen) view.requestFullscreen().catch(() => { });
+
+    try {
+        const snapshot = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', eventCode)));
+        if (checkinState !== state) return;
+        snapshot.forEach(docSnap => state.teams.set(docSnap.id, docSnap.data()));
+        updateCheckinCounter();
+        setCheckinResult('', 'Point the camera at a team\'s QR code');
+        await logAdminAction('CHECKIN_OPEN', { eventCode });
+        startCheckinCamera();
+    } catch (error) {
+        secureLog('Error loading check-in data:', error);
+        setCheckinResult('error', '❌ Could not load registrations for this event');
+    }
+}
+window.openCheckinView = openCheckinView;
+
+function closeCheckinView() {
+    const state = checkinState;
+    checkinState = null;
+    if (state) {
+        if (state.frame) cancelAnimationFrame(state.frame);
+        if (state.stream) state.stream.getTracks().forEach(track => track.stop());
+    }
+    const video = document.getElementById('checkinVideo');
+    if (video) video.srcObject = null;
+    document.getElementById('checkinView')?.classList.remove('active');
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => { });
+}
+window.closeCheckinView = closeCheckinView;
+
+function setCheckinResult(type, message) {
+    const result = document.getElementById('checkinResult');
+    result.className = `checkin-result ${type}`.trim();
+    result.textContent = message;
+}
+
+function updateCheckinCounter() {
+    if (!checkinState) return;
+    const eligible = [...checkinState.teams.values()].filter(d => CHECKIN_ELIGIBLE_STATUSES.includes(d.status));
+    const attended = eligible.filter(d => d.attended === true).length;
+    document.getElementById('checkinAttended').textContent = attended;
+    document.getElementById('checkinRemaining').textContent = eligible.length - attended;
+}
+
+function addCheckinLogEntry(type, message) {
+    const log = document.getElementById('checkinLog');
+    const item = document.createElement('li');
+    item.className = type;
+    item.textContent = `${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })} — ${message}`;
+    log.prepend(item);
+    while (log.children.length > CHECKIN_LOG_SIZE) log.lastElementChild.remove();
+}
+
+// Uses the native BarcodeDetector where available, jsQR otherwise
+async function startCheckinCamera() {
+    const state = checkinState;
+    if (!state) return;
+    if (!navigator.mediaDevices?.getUserMedia) {
+        setCheckinResult('warning', '📷 Camera not available — enter codes manually');
+        return;
+    }
+    if (!('BarcodeDetector' in window) && typeof jsQR !== 'function') {
+        setCheckinResult('warning', '📷 QR scanning is not supported in this browser — enter codes manually');
+        return;
+    }
+
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        if (checkinState !== state) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        state.stream = stream;
+        if ('BarcodeDetector' in window) state.detector = new BarcodeDetector({ formats: ['qr_code'] });
+
+        const video = document.getElementById('checkinVideo');
+        video.srcObject = stream;
+        await video.play();
+        state.frame = requestAnimationFrame(scanCheckinFrame);
+    } catch (error) {
+        secureLog('Check-in camera error:', error);
+        setCheckinResult('warning', '📷 Camera unavailable or permission denied — enter codes manually');
+    }
+}
+
+async function scanCheckinFrame() {
+    const state = checkinState;
+    if (!state?.stream) return;
+
+    const video = document.getElementById('checkinVideo');
+    if (!state.busy && video.readyState >= 2 && video.videoWidth > 0) {
+        try {
+            let value = null;
+            if (state.detector) {
+                const codes = await state.detector.detect(video);
+                value = codes[0]?.rawValue || null;
+            } else {
+                const canvas = state.canvas || (state.canvas = document.createElement('canvas'));
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                const ctx = canvas.getContext('2d', { willReadFrequently: true });
+                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                value = jsQR(image.data, image.width, image.height)?.data || null;
+            }
+            if (value) await processCheckinCode(value);
+        } catch (error) {
+            secureLog('QR scan error:', error);
+        }
+    }
+
+    if (checkinState === state && state.stream) state.frame = requestAnimationFrame(scanCheckinFrame);
+}
+
+// QR codes carry the confirmation code, or the document id for teams without one
+function findCheckinTeam(payload) {
+    if (checkinState.teams.has(payload)) return payload;
+    const code = payload.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!code) return null;
+    for (const [id, d] of checkinState.teams) {
+        if (d.confirmationCode && d.confirmationCode.replace(/-/g, '') === code) return id;
+    }
+    return null;
+}
+
+async function processCheckinCode(raw, { manual = false } = {}) {
+    const state = checkinState;
+    const payload = SecurityUtils.sanitizeString(raw, 100);
+    if (!state || !payload || state.busy) return;
+
+    const now = Date.now();
+    if (!manual && payload === state.lastPayload && now - state.lastScanAt < CHECKIN_RESCAN_MS) return;
+    state.lastPayload = payload;
+    state.lastScanAt = now;
+
+    const teamId = findCheckinTeam(payload);
+    if (!teamId) {
+        setCheckinResult('error', '❌ No registration for this event matches that code');
+        addCheckinLogEntry('error', `Unknown code ${payload}`);
+        return;
+    }
+
+    const team = state.teams.get(teamId);
+    const teamName = SecurityUtils.sanitizeTeamName(team.teamName) || 'Team';
+    const status = team.status || 'Pending';
+    if (!CHECKIN_ELIGIBLE_STATUSES.includes(status)) {
+        setCheckinResult('warning', `⚠️ ${teamName} is ${status} — not verified for check-in`);
+        addCheckinLogEntry('warning', `${teamName}: ${status}`);
+        return;
+    }
+    if (team.attended === true) {
+        const at = timestampToMillis(team.attendedAt);
+        const when = at ? ` at ${new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : '';
+        setCheckinResult('warning', `🔁 ${teamName} was already checked in${when}`);
+        addCheckinLogEntry('warning', `${teamName}: double scan`);
+        return;
+    }
+
+    state.busy = true;
+    try {
+        const updated = await markAttended(teamId, true, state.eventCode);
+        if (!updated) {
+            setCheckinResult('error', `❌ Could not check in ${teamName} — try again`);
+            return;
+        }
+        state.teams.set(teamId, updated);
+        if (checkinState === state) {
+            setCheckinResult('success', `✅ ${teamName} checked in`);
+            addCheckinLogEntry('success', teamName);
+            updateCheckinCounter();
+        }
+    } finally {
+        state.busy = false;
+    }
+}
+
+function submitManualCheckin(e) {
+    e.preventDefault();
+    const input = document.getElementById('checkinManualCode');
+    processCheckinCode(input.value, { manual: true });
+    input.value = '';
+    input.focus();
+}
+window.submitManualCheckin = submitManualCheckin;
 function openEditModal(teamId, teamName, m1Name, m1Detail, m2Name, m2Detail, m3Name, m3Detail, email) {
     // Validate document ID
     if (!SecurityUtils.isValidDocId(teamId)) {
@@ -1144,8 +1984,9 @@ async function saveEdit() {
         member3Detail: SecurityUtils.sanitizeString(document.getElementById('editM3Detail').value, 100),
     };
 
-    const success = await window.updateInFirestore('registrations', teamId, data);
-    showToast(success ? '✅ Team updated!' : '⚠️ Update failed');
+    const { success, undoId } = await window.updateInFirestore('registrations', teamId, data);
+    if (success) await syncRegistrationLookup(teamId);
+    showToast(success ? '✅ Team updated!' : '⚠️ Update failed', { undoId });
     closeModal('editModal');
 }
 window.saveEdit = saveEdit;
@@ -1213,9 +2054,16 @@ function openTeamDrawer(teamId, teamData) {
     // Use textContent for safe rendering (prevents XSS)
     el('drawerTeamName').textContent = SecurityUtils.sanitizeTeamName(teamData.teamName) || '—';
     el('drawerEmail').textContent = SecurityUtils.sanitizeString(teamData.email, 254) || '—';
+    el('drawerConfirmationCode').textContent = SecurityUtils.sanitizeString(teamData.confirmationCode, 20) || '—';
+
+    const sessions = eventSessions(teamData.eventCode);
+    el('drawerSessionRow').style.display = sessions.length > 0 ? '' : 'none';
+    el('drawerSession').textContent = sessions.length > 0
+        ? (window.EventSessions.label(sessions.find(s => s.id === teamData.sessionId)) || 'No session')
+        : '—';
 
     const status = SecurityUtils.sanitizeString(teamData.status, 20) || 'Pending';
-    const safeStatus = ['Pending', 'Verified'].includes(status) ? status : 'Pending';
+    const safeStatus = REGISTRATION_STATUSES.includes(status) ? status : 'Pending';
     el('drawerStatus').innerHTML = `<span class="status-pill ${safeStatus.toLowerCase()}">${SecurityUtils.escapeHtml(safeStatus)}</span>`;
 
     let regText = '—';
@@ -1228,33 +2076,109 @@ function openTeamDrawer(teamId, teamData) {
     el('drawerRegisteredAt').textContent = regText;
     if (el('drawerUpdatedAt')) el('drawerUpdatedAt').textContent = regText;
 
-    const membersContainer = el('drawerMembers');
+    renderDrawerMembers(teamId, teamData);
+    renderDrawerCustomFields(teamData);
+    renderDrawerStatusHistory(teamData);
+    renderDrawerNotifications(teamId);
+
+    el('drawerVerifyBtn').textContent = drawerVerifyLabel(safeStatus);
+    el('teamDrawerOverlay').classList.add('active');
+    document.getElementById('teamDrawer').classList.add('active');
+    document.body.style.overflow = 'hidden';
+}
+window.openTeamDrawer = openTeamDrawer;
+
+// Member cards with a per-member attendance toggle
+function renderDrawerMembers(teamId, teamData) {
+    const membersContainer = document.getElementById('drawerMembers');
+    if (!membersContainer) return;
     membersContainer.innerHTML = '';
 
-    // Safely render members
-    [teamData.member1, teamData.member2, teamData.member3].forEach(m => {
-        if (m?.name) {
-            const memberDiv = document.createElement('div');
-            memberDiv.className = 'member-detail';
-            memberDiv.innerHTML = `
-                <span class="member-name">👤 ${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(m.name, 100))}</span>
-                <div class="member-info-row"><span>USN</span><span>${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(m.usn, 20) || '—')}</span></div>
-                <div class="member-info-row"><span>Dept</span><span>${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(m.dept, 50) || '—')}</span></div>
-            `;
-            membersContainer.appendChild(memberDiv);
-        }
+    const safeId = SecurityUtils.escapeHtml(teamId);
+    const safeEvent = SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(teamData.eventCode, 50));
+    attendanceMembers(teamData).forEach(a => {
+        const m = teamData[`member${a.index}`];
+        const at = timestampToMillis(a.attendedAt);
+        const when = a.attended && at ? ` · ${new Date(at).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}` : '';
+        const memberDiv = document.createElement('div');
+        memberDiv.className = 'member-detail';
+        memberDiv.innerHTML = `
+            <span class="member-name">👤 ${SecurityUtils.escapeHtml(a.name)}</span>
+            <div class="member-info-row"><span>USN</span><span>${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(m.usn, 20) || '—')}</span></div>
+            <div class="member-info-row"><span>Dept</span><span>${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(m.dept, 50) || '—')}</span></div>
+            <div class="member-info-row"><span>Attended</span><span>
+                <label class="member-attendance-toggle${a.attended ? ' present' : ''}">
+                    <input type="checkbox" ${a.attended ? 'checked' : ''} onchange="markAttended('${safeId}', this.checked, '${safeEvent}', ${a.index})">
+                    ${a.attended ? 'Present' : 'Absent'}${when}
+                </label>
+            </span></div>
+        `;
+        membersContainer.appendChild(memberDiv);
     });
 
     if (!membersContainer.innerHTML) {
         membersContainer.innerHTML = '<p style="color:var(--text-muted);text-align:center;padding:20px;">No members</p>';
     }
+}
 
-    el('drawerVerifyBtn').textContent = safeStatus === 'Verified' ? '⏸ Mark Pending' : '✓ Verify';
-    el('teamDrawerOverlay').classList.add('active');
-    document.getElementById('teamDrawer').classList.add('active');
-    document.body.style.overflow = 'hidden';
+// Show answers to the event's custom form fields, labelled from its schema
+function renderDrawerCustomFields(teamData) {
+    const section = document.getElementById('drawerCustomSection');
+    const container = document.getElementById('drawerCustomFields');
+    if (!section || !container) return;
+
+    const answers = teamData.customFields && typeof teamData.customFields === 'object' ? teamData.customFields : {};
+    const keys = Object.keys(answers);
+    container.innerHTML = '';
+    section.style.display = keys.length > 0 ? '' : 'none';
+    if (keys.length === 0) return;
+
+    const event = allEvents.find(e => e.code === teamData.eventCode);
+    const labels = {};
+    (event?.formSchema?.fields || []).forEach(f => { labels[f.key] = f.label; });
+
+    keys.forEach(key => {
+        const row = document.createElement('div');
+        row.className = 'drawer-info-row';
+        row.innerHTML = `
+            <span class="drawer-label">${SecurityUtils.escapeHtml(labels[key] || key)}</span>
+            <span class="drawer-value">${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(String(answers[key]), 1000) || '—')}</span>
+        `;
+        container.appendChild(row);
+    });
+}
+
+// Status timeline, oldest first
+function renderDrawerStatusHistory(teamData) {
+    const container = document.getElementById('drawerHistory');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const history = Array.isArray(teamData.statusHistory) ? [...teamData.statusHistory] : [];
+    history.sort((a, b) => timestampToMillis(a?.at) - timestampToMillis(b?.at));
+
+    // The original submission is the first step of every timeline
+    const steps = [{ to: 'Pending', at: teamData.registeredAt, note: teamData.source === 'import' ? 'Imported' : 'Registered' }, ...history];
+    steps.forEach(entry => {
+        if (!entry || typeof entry !== 'object') return;
+        const to = REGISTRATION_STATUSES.includes(entry.to) ? entry.to : 'Pending';
+        const millis = timestampToMillis(entry.at);
+        const when = millis ? new Date(millis).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—';
+        const from = REGISTRATION_STATUSES.includes(entry.from) ? `${entry.from} → ` : '';
+
+        const item = document.createElement('div');
+        item.className = `status-timeline-item ${to.toLowerCase()}`;
+        item.innerHTML = `
+            <div class="status-timeline-head">
+                <span>${SecurityUtils.escapeHtml(from)}<span class="status-pill ${to.toLowerCase()}">${SecurityUtils.escapeHtml(to)}</span></span>
+                <span class="status-timeline-time">${SecurityUtils.escapeHtml(when)}</span>
+            </div>
+            ${entry.by ? `<div class="status-timeline-by">by ${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(entry.by, 254))}</div>` : ''}
+            ${entry.note ? `<div class="status-timeline-note">${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(entry.note, 500))}</div>` : ''}
+        `;
+        container.appendChild(item);
+    });
 }
-window.openTeamDrawer = openTeamDrawer;
 
 function closeTeamDrawer() {
     document.getElementById('teamDrawerOverlay').classList.remove('active');
@@ -1274,21 +2198,41 @@ function editFromDrawer() {
 }
 window.editFromDrawer = editFromDrawer;
 
+function drawerVerifyLabel(status) {
+    if (status === 'Verified') return '⏸ Mark Pending';
+    if (status === 'Waitlisted') return '⬆️ Promote';
+    if (status === 'Pending') return '✓ Verify';
+    if (status === 'Checked-in') return '↩️ Undo Check-in';
+    return '↩️ Reopen';
+}
+
 async function verifyFromDrawer() {
     if (!currentDrawerTeamId || !currentDrawerTeamData) return;
-    await toggleStatus(currentDrawerTeamId, currentDrawerTeamData.status || 'Pending');
-    const newStatus = (currentDrawerTeamData.status || 'Pending') === 'Verified' ? 'Pending' : 'Verified';
-    currentDrawerTeamData.status = newStatus;
-    document.getElementById('drawerStatus').innerHTML = `<span class="status-pill ${newStatus.toLowerCase()}">${newStatus}</span>`;
-    document.getElementById('drawerVerifyBtn').textContent = newStatus === 'Verified' ? '⏸ Mark Pending' : '✓ Verify';
+    await toggleStatus(currentDrawerTeamId, currentDrawerTeamData.status || 'Pending', currentDrawerTeamData.eventCode || '');
 }
 window.verifyFromDrawer = verifyFromDrawer;
 
-function deleteFromDrawer() {
+function changeStatusFromDrawer() {
     if (!currentDrawerTeamId || !currentDrawerTeamData) return;
-    const teamId = currentDrawerTeamId;
-    const teamName = currentDrawerTeamData.teamName || 'Team';
-    closeTeamDrawer();
+    openStatusModal(currentDrawerTeamId, currentDrawerTeamData.status || 'Pending', currentDrawerTeamData.eventCode || '');
+}
+window.changeStatusFromDrawer = changeStatusFromDrawer;
+
+// Keep the open drawer in step after a status change
+function syncDrawerStatus(teamId, newStatus, entry) {
+    if (currentDrawerTeamId !== teamId || !currentDrawerTeamData) return;
+    currentDrawerTeamData.status = newStatus;
+    currentDrawerTeamData.statusHistory = [...(currentDrawerTeamData.statusHistory || []), entry];
+    document.getElementById('drawerStatus').innerHTML = `<span class="status-pill ${newStatus.toLowerCase()}">${newStatus}</span>`;
+    document.getElementById('drawerVerifyBtn').textContent = drawerVerifyLabel(newStatus);
+    renderDrawerStatusHistory(currentDrawerTeamData);
+}
+
+function deleteFromDrawer() {
+    if (!currentDrawerTeamId || !currentDrawerTeamData) return;
+    const teamId = currentDrawerTeamId;
+    const teamName = currentDrawerTeamData.teamName || 'Team';
+    closeTeamDrawer();
     openDeleteModal(teamId, teamName);
 }
 window.deleteFromDrawer = deleteFromDrawer;
@@ -1314,45 +2258,182 @@ function handleRowClick(event, teamId, teamDataStr) {
 }
 window.handleRowClick = handleRowClick;
 
-// ===== STATUS TOGGLE (SECURED) =====
-async function toggleStatus(teamId, currentStatus) {
+// ===== STATUS CHANGES (SECURED) =====
+// Quick action behind the ✓ button: the most common next step for each status
+const QUICK_STATUS_TOGGLE = {
+    'Pending': 'Verified',
+    'Verified': 'Pending',
+    'Waitlisted': 'Pending',
+    'Checked-in': 'Verified',
+    'Rejected': 'Pending',
+    'Cancelled': 'Pending'
+};
+
+// Move a registration between statuses, recording who/when/why in statusHistory.
+// Bulk callers skip the capacity prompt and rebalance each event once themselves.
+// Resolves to updateInFirestore's { success, undoId }.
+async function applyStatusChange(teamId, fromStatus, toStatus, { note = '', eventCode = '', bulk = false } = {}) {
     // Authorization check - verify user can modify registrations
     if (!AdminPermissions.currentAdmin) {
         showToast('⚠️ Not authorized');
-        return;
+        return { success: false };
     }
 
     // Validate inputs
     if (!SecurityUtils.isValidDocId(teamId)) {
         showToast('⚠️ Invalid team ID');
-        return;
+        return { success: false };
     }
 
-    // Validate status value
-    const validStatuses = ['Pending', 'Verified'];
-    const sanitizedStatus = SecurityUtils.sanitizeString(currentStatus, 20);
-    if (!validStatuses.includes(sanitizedStatus)) {
+    const from = SecurityUtils.sanitizeString(fromStatus, 20);
+    if (!REGISTRATION_STATUSES.includes(from) || !REGISTRATION_STATUSES.includes(toStatus)) {
         showToast('⚠️ Invalid status');
-        return;
+        return { success: false };
+    }
+    if (!STATUS_TRANSITIONS[from].includes(toStatus)) {
+        if (!bulk) showToast(`⚠️ Cannot move a ${from} team to ${toStatus}`);
+        return { success: false };
     }
 
-    const newStatus = sanitizedStatus === 'Verified' ? 'Pending' : 'Verified';
-    const success = await window.updateInFirestore('registrations', teamId, { status: newStatus });
+    const cleanNote = SecurityUtils.sanitizeString(note, 500);
+    if (toStatus === 'Rejected' && !cleanNote) {
+        showToast('⚠️ A reason is required to reject a team');
+        return { success: false };
+    }
 
-    if (success) {
-        const row = document.querySelector(`tr[data-team="${CSS.escape(teamId)}"]`);
-        if (row) {
-            const pill = row.querySelector('.status-pill');
-            if (pill) {
-                pill.textContent = newStatus;
-                pill.className = `status-pill clickable ${newStatus.toLowerCase()}`;
-            }
+    const code = eventCode || eventCodeForRow(teamId);
+    const takesSeat = SEAT_HOLDING_STATUSES.includes(toStatus) && !SEAT_HOLDING_STATUSES.includes(from);
+    const freesSeat = SEAT_HOLDING_STATUSES.includes(from) && !SEAT_HOLDING_STATUSES.includes(toStatus);
+
+    if (takesSeat && !bulk) {
+        // Moving back into a seat by hand may take the event (or the team's session) over capacity
+        const event = allEvents.find(e => e.code === code);
+        const sessions = eventSessions(event);
+        const sessionId = document.querySelector(`tr[data-team="${CSS.escape(teamId)}"]`)?.dataset.session || '';
+        const capacity = sessions.length > 0
+            ? (sessions.find(s => s.id === sessionId)?.capacity || 0)
+            : (parseInt(event?.capacity, 10) || 0);
+        if (capacity > 0) {
+            // The table only holds one page, so go by the published seat count
+            const statsId = sessions.length > 0 ? window.EventSessions.statsDocId(code, sessionId) : code;
+            const statsSnap = await getDoc(doc(db, 'eventStats', statsId));
+            const seatsTaken = statsSnap.data()?.seatsTaken || 0;
+            if (seatsTaken >= capacity && !confirm(`${event.name || code} is full (${seatsTaken}/${capacity}). Move this team to ${toStatus} anyway?`)) return { success: false };
         }
-        showToast(`✅ Status: ${newStatus}`);
     }
+
+    const entry = statusHistoryEntry(from, toStatus, cleanNote);
+    const update = { status: toStatus, statusHistory: arrayUnion(entry) };
+    if (toStatus === 'Waitlisted') update.waitlistedAt = serverTimestamp();
+    if (from === 'Waitlisted' && takesSeat) update.promotedAt = serverTimestamp();
+
+    const result = await window.updateInFirestore('registrations', teamId, update);
+    if (!result.success) return result;
+
+    await logAdminAction('STATUS_CHANGE', { teamId, from, to: toStatus, note: cleanNote, eventCode: code });
+    await syncRegistrationLookup(teamId);
+    await queueStatusNotification(teamId, toStatus, cleanNote);
+    refreshRowStatus(teamId, toStatus, code);
+    syncDrawerStatus(teamId, toStatus, entry);
+
+    // A freed seat goes to the next waitlisted team; a taken one only updates the count
+    if (!bulk && code && (takesSeat || freesSeat)) {
+        await rebalanceWaitlist(code, { promote: freesSeat });
+    }
+    return result;
+}
+
+// Update a table row's pill and inline handlers without reloading the table
+function refreshRowStatus(teamId, newStatus, eventCode) {
+    const row = document.querySelector(`tr[data-team="${CSS.escape(teamId)}"]`);
+    if (!row) return;
+    const pill = row.querySelector('.status-pill');
+    if (pill) {
+        pill.textContent = newStatus;
+        pill.className = `status-pill clickable ${newStatus.toLowerCase()}`;
+        pill.onclick = () => openStatusModal(teamId, newStatus, eventCode);
+    }
+    const verifyBtn = row.querySelector('.action-btn.verify');
+    if (verifyBtn) verifyBtn.onclick = () => toggleStatus(teamId, newStatus, eventCode);
+}
+
+async function toggleStatus(teamId, currentStatus, eventCode = '') {
+    const from = SecurityUtils.sanitizeString(currentStatus, 20);
+    const to = QUICK_STATUS_TOGGLE[from];
+    if (!to) {
+        showToast('⚠️ Invalid status');
+        return;
+    }
+    const { success, undoId } = await applyStatusChange(teamId, from, to, { eventCode });
+    if (success) showToast(`✅ Status: ${to}`, { undoId });
 }
 window.toggleStatus = toggleStatus;
 
+// ===== STATUS CHANGE MODAL =====
+function openStatusModal(teamId, currentStatus, eventCode = '') {
+    if (!SecurityUtils.isValidDocId(teamId)) {
+        showToast('⚠️ Invalid team ID');
+        return;
+    }
+    const from = REGISTRATION_STATUSES.includes(currentStatus) ? currentStatus : 'Pending';
+
+    document.getElementById('statusTeamId').value = teamId;
+    document.getElementById('statusEventCode').value = eventCode || eventCodeForRow(teamId);
+    document.getElementById('statusFromValue').value = from;
+    document.getElementById('statusCurrent').innerHTML = `<span class="status-pill ${from.toLowerCase()}">${from}</span>`;
+
+    const teamName = currentDrawerTeamId === teamId
+        ? currentDrawerTeamData?.teamName
+        : document.querySelector(`tr[data-team="${CSS.escape(teamId)}"] td:nth-child(3) strong`)?.textContent;
+    document.getElementById('statusTeamName').textContent = SecurityUtils.sanitizeTeamName(teamName || '') || 'Team';
+
+    const select = document.getElementById('statusNewSelect');
+    select.innerHTML = STATUS_TRANSITIONS[from]
+        .map(s => `<option value="${s}">${s}</option>`)
+        .join('');
+    document.getElementById('statusNote').value = '';
+    onStatusSelectChange();
+
+    document.getElementById('statusModal').classList.add('active');
+}
+window.openStatusModal = openStatusModal;
+
+function onStatusSelectChange() {
+    const isReject = document.getElementById('statusNewSelect').value === 'Rejected';
+    document.getElementById('statusNoteRequired').style.display = isReject ? '' : 'none';
+    document.getElementById('statusNote').placeholder = isReject
+        ? 'Why is this team being rejected? (shared with the team)'
+        : 'Optional note for the timeline';
+}
+window.onStatusSelectChange = onStatusSelectChange;
+
+async function confirmStatusChange() {
+    const teamId = document.getElementById('statusTeamId').value;
+    const from = document.getElementById('statusFromValue').value;
+    const to = document.getElementById('statusNewSelect').value;
+    const note = document.getElementById('statusNote').value.trim();
+    const eventCode = document.getElementById('statusEventCode').value;
+
+    if (to === 'Rejected' && !note) {
+        showToast('⚠️ A reason is required to reject a team');
+        document.getElementById('statusNote').focus();
+        return;
+    }
+
+    const btn = document.getElementById('statusConfirmBtn');
+    btn.disabled = true;
+    try {
+        const { success, undoId } = await applyStatusChange(teamId, from, to, { note, eventCode });
+        if (success) {
+            closeModal('statusModal');
+            showToast(`✅ Status: ${to}`, { undoId });
+        }
+    } finally {
+        btn.disabled = false;
+    }
+}
+window.confirmStatusChange = confirmStatusChange;
+
 // ===== BULK ACTIONS (SECURED) =====
 async function bulkUpdateStatus(newStatus) {
     // Authorization check - only super admins can bulk update
@@ -1362,14 +2443,7 @@ async function bulkUpdateStatus(newStatus) {
     }
 
     // Normalize status to capitalized format
-    const statusMap = {
-        'verified': 'Verified',
-        'pending': 'Pending',
-        'Verified': 'Verified',
-        'Pending': 'Pending'
-    };
-
-    const normalizedStatus = statusMap[newStatus];
+    const normalizedStatus = REGISTRATION_STATUSES.find(s => s.toLowerCase() === String(newStatus).toLowerCase());
     if (!normalizedStatus) {
         showToast('⚠️ Invalid status');
         return;
@@ -1387,14 +2461,39 @@ async function bulkUpdateStatus(newStatus) {
     if (selected.length > 50) { showToast('⚠️ Maximum 50 teams at once'); return; }
     if (!confirm(`Update ${selected.length} team(s) to "${normalizedStatus}"?`)) return;
 
+    let note = '';
+    if (normalizedStatus === 'Rejected') {
+        note = (prompt('Reason for rejecting these teams (required):') || '').trim();
+        if (!note) { showToast('⚠️ A reason is required to reject a team'); return; }
+    }
+
     let count = 0;
-    for (const cb of selected) {
-        const teamId = cb.dataset.teamId;
-        if (SecurityUtils.isValidDocId(teamId) && await window.updateInFirestore('registrations', teamId, { status: normalizedStatus })) {
-            count++;
+    let skipped = 0;
+    const touchedEvents = new Set();
+    let undoId = null;
+    beginUndoGroup();
+    try {
+        for (const cb of selected) {
+            const teamId = cb.dataset.teamId;
+            const row = cb.closest('tr');
+            const fromStatus = row?.querySelector('.status-pill')?.textContent.trim() || 'Pending';
+            const eventCode = eventCodeForRow(teamId);
+            if (SecurityUtils.isValidDocId(teamId) && (await applyStatusChange(teamId, fromStatus, normalizedStatus, { note, eventCode, bulk: true })).success) {
+                count++;
+                touchedEvents.add(eventCode);
+            } else {
+                skipped++;
+            }
         }
+    } finally {
+        undoId = endUndoGroup(`Bulk ${normalizedStatus}: ${count} team(s)`);
+    }
+    showToast(`✅ Updated ${count} team(s)` + (skipped ? ` (${skipped} skipped)` : ''), { undoId });
+    // Rejections and cancellations free seats for the waitlist; explicit waitlisting is respected
+    const promote = !SEAT_HOLDING_STATUSES.includes(normalizedStatus) && normalizedStatus !== 'Waitlisted';
+    for (const code of touchedEvents) {
+        if (code) await rebalanceWaitlist(code, { promote });
     }
-    showToast(`✅ Updated ${count} team(s)`);
     clearBulkSelection();
     if (window.reloadFirestoreData) window.reloadFirestoreData();
 }
@@ -1420,420 +2519,1704 @@ async function bulkDeleteSelected() {
     if (!confirm(`Delete ${selected.length} team(s)? This moves them to trash.`)) return;
 
     let count = 0;
+    const touchedEvents = new Set();
     for (const cb of selected) {
         const teamId = cb.dataset.teamId;
         if (SecurityUtils.isValidDocId(teamId)) {
-            const result = await window.deleteFromFirestore('registrations', teamId);
-            if (result.success) count++;
+            const result = await window.deleteFromFirestore('registrations', teamId, 'Unknown', { rebalance: false });
+            if (result.success) {
+                count++;
+                touchedEvents.add(result.deletedData?.eventCode);
+            }
         }
     }
     showToast(`🗑️ Deleted ${count} team(s)`);
+    // Fill the freed seats once per event rather than once per team
+    for (const code of touchedEvents) {
+        if (code) await rebalanceWaitlist(code);
+    }
     clearBulkSelection();
     if (window.reloadFirestoreData) window.reloadFirestoreData();
 }
 window.bulkDeleteSelected = bulkDeleteSelected;
 
-function bulkEmailSelected() {
-    const selected = document.querySelectorAll('.row-checkbox:checked');
-    if (selected.length === 0) { showToast('No teams selected'); return; }
-    const emails = [];
-    selected.forEach(cb => {
-        const row = cb.closest('tr');
-        const link = row?.querySelector('.email-link');
-        if (link?.textContent && link.textContent !== '—') emails.push(link.textContent.trim());
-    });
-    if (emails.length === 0) { showToast('⚠️ No emails found'); return; }
-    window.open(`mailto:${[...new Set(emails)].join(',')}?subject=${encodeURIComponent('ISTE Event Update')}`);
-    showToast(`📧 Opening email for ${emails.length} recipient(s)`);
-}
-window.bulkEmailSelected = bulkEmailSelected;
-
 function clearBulkSelection() {
     document.querySelectorAll('.row-checkbox').forEach(cb => cb.checked = false);
     document.getElementById('bulkActionBar').classList.remove('active');
 }
 window.clearBulkSelection = clearBulkSelection;
 
-// ===== TRASH VIEW =====
-async function openTrashView() {
-    document.getElementById('trashModal').classList.add('active');
-    const content = document.getElementById('trashContent');
-    content.innerHTML = '<p style="text-align:center;padding:40px;">Loading...</p>';
-    try {
-        const snapshot = await getDocs(collection(db, 'trash'));
-        if (snapshot.empty) { content.innerHTML = '<p style="text-align:center;padding:40px;">🎉 Trash is empty!</p>'; return; }
-        let html = '<table class="data-table" style="width:100%"><thead><tr><th>Team</th><th>Event</th><th>Deleted</th><th>Actions</th></tr></thead><tbody>';
-        snapshot.forEach(docSnap => {
-            const d = docSnap.data();
-            const deleted = d.deletedAt?.toDate ? d.deletedAt.toDate().toLocaleDateString() : '—';
-            html += `<tr><td><strong>${d.teamName || '—'}</strong></td><td>${d.event || '—'}</td><td>${deleted}</td><td><button class="action-btn" onclick="restoreFromTrash('${docSnap.id}')" style="background:rgba(16,185,129,0.1)">♻️</button><button class="action-btn delete" onclick="permanentDelete('${docSnap.id}')">🗑️</button></td></tr>`;
-        });
-        content.innerHTML = html + '</tbody></table>';
-    } catch (err) { content.innerHTML = '<p style="color:var(--accent-red);text-align:center;padding:40px;">⚠️ Error loading trash</p>'; }
+// ===== EMAIL COMPOSER =====
+// Messages are queued in `mailQueue` in the shape the Firebase "Trigger Email"
+// extension expects ({ to, message: { subject, text, html } }); the extension
+// sends them and writes the outcome to `delivery.state`.
+
+const EMAIL_MERGE_FIELDS = ['teamName', 'member1.name', 'member2.name', 'member3.name', 'member4.name', 'eventName', 'status', 'confirmationCode', 'email'];
+const EMAIL_MAX_RECIPIENTS = 500;
+const DEFAULT_EMAIL_TEMPLATES = [
+    {
+        id: 'verified',
+        name: '✅ Registration verified',
+        subject: 'Your registration for {{eventName}} is confirmed',
+        body: 'Hi {{member1.name}},\n\nGreat news! Team {{teamName}} is verified for {{eventName}}.\nYour confirmation code is {{confirmationCode}} — keep it handy for check-in.\n\nSee you there!\nISTE Team'
+    },
+    {
+        id: 'waitlist',
+        name: '⏳ Waitlist update',
+        subject: '{{eventName}}: your registration status',
+        body: 'Hi {{member1.name}},\n\nTeam {{teamName}} is currently {{status}} for {{eventName}}. We will email you as soon as a seat opens up.\n\nISTE Team'
+    },
+    {
+        id: 'reminder',
+        name: '📅 Event reminder',
+        subject: 'Reminder: {{eventName}} is coming up',
+        body: 'Hi {{member1.name}},\n\nThis is a reminder that {{eventName}} is almost here. Please bring your confirmation code ({{confirmationCode}}) to the check-in desk.\n\nISTE Team'
+    }
+];
+
+let emailComposer = { recipients: [], templates: [...DEFAULT_EMAIL_TEMPLATES], fromSelection: false };
+
+// Values available to {{field}} placeholders for one registration
+function emailMergeContext(record) {
+    const event = allEvents.find(e => e.code === record.eventCode);
+    const context = {
+        teamName: SecurityUtils.sanitizeTeamName(record.teamName),
+        email: SecurityUtils.sanitizeString(record.email, 254),
+        status: REGISTRATION_STATUSES.includes(record.status) ? record.status : 'Pending',
+        eventName: event?.name || record.eventCode || '',
+        confirmationCode: SecurityUtils.sanitizeString(record.confirmationCode, 20)
+    };
+    for (let n = 1; n <= MAX_TEAM_MEMBERS; n++) {
+        context[`member${n}.name`] = SecurityUtils.sanitizeString(record[`member${n}`]?.name, 100);
+    }
+    return context;
 }
-window.openTrashView = openTrashView;
 
-async function restoreFromTrash(docId) {
-    if (await window.undoDelete(docId)) {
-        showToast('♻️ Restored!');
-        openTrashView();
-        if (window.reloadFirestoreData) window.reloadFirestoreData();
-    } else { showToast('⚠️ Could not restore'); }
+function mergeEmailTemplate(text, context) {
+    return String(text || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, field) => context[field] ?? '');
 }
-window.restoreFromTrash = restoreFromTrash;
 
-async function permanentDelete(docId) {
-    if (!confirm('⚠️ Permanently delete?')) return;
+function unknownMergeFields(...texts) {
+    const unknown = new Set();
+    texts.forEach(text => {
+        for (const match of String(text || '').matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)) {
+            if (!EMAIL_MERGE_FIELDS.includes(match[1])) unknown.add(match[1]);
+        }
+    });
+    return [...unknown];
+}
+
+// Selected rows → composer (replaces the old mailto: link that exposed every address)
+async function bulkEmailSelected() {
+    const selected = document.querySelectorAll('.row-checkbox:checked');
+    if (selected.length === 0) { showToast('No teams selected'); return; }
+
+    const teamIds = [...selected].map(cb => cb.dataset.teamId).filter(id => SecurityUtils.isValidDocId(id));
+    let snapshots;
     try {
-        await deleteDoc(doc(db, 'trash', docId));
-        showToast('🗑️ Permanently deleted');
-        openTrashView();
-    } catch (e) { showToast('⚠️ Error'); }
+        snapshots = await Promise.all(teamIds.map(id => getDoc(doc(db, 'registrations', id))));
+    } catch (error) {
+        secureLog('Error loading selected teams:', error);
+        showToast('⚠️ Could not load the selected teams');
+        return;
+    }
+    const recipients = snapshots
+        .filter(snap => snap.exists() && AdminPermissions.canAccessEvent(snap.data().eventCode))
+        .map(snap => ({ id: snap.id, ...snap.data() }));
+    openEmailComposer(recipients, true);
 }
-window.permanentDelete = permanentDelete;
+window.bulkEmailSelected = bulkEmailSelected;
 
-// ===== EVENT NAVIGATION =====
-function openEventView(eventCode) {
-    document.getElementById('event-selector-view')?.classList.add('hidden');
-    document.getElementById('event-detail-view')?.classList.add('active');
-    document.querySelectorAll('.event-tab[data-event]').forEach(tab => {
-        tab.classList.toggle('active', tab.dataset.event === eventCode);
+// Sidebar entry point: pick the audience by event and status inside the composer
+function handleSendEmail() {
+    const select = document.getElementById('emailEventSelect');
+    const accessible = allEvents.filter(e => AdminPermissions.canAccessEvent(e.code));
+    select.innerHTML = '<option value="">Select an event...</option>';
+    accessible.forEach(e => {
+        const opt = document.createElement('option');
+        opt.value = e.code;
+        opt.textContent = `${e.emoji || '📅'} ${e.name}`;
+        select.appendChild(opt);
     });
-    switchEvent(eventCode);
-    // Update stats for selected event
-    if (typeof updateDashboardStats === 'function') {
-        updateDashboardStats(eventCode);
-    }
+    document.getElementById('emailStatusFilter').value = '';
+    openEmailComposer([], false);
 }
-window.openEventView = openEventView;
+window.handleSendEmail = handleSendEmail;
 
-function backToEventSelector() {
-    document.getElementById('event-detail-view')?.classList.remove('active');
-    document.getElementById('event-selector-view')?.classList.remove('hidden');
-    // Reset stats to global view
-    if (typeof updateDashboardStats === 'function') {
-        updateDashboardStats();
-    }
+async function openEmailComposer(recipients, fromSelection) {
+    emailComposer.fromSelection = fromSelection;
+    document.getElementById('emailAudience').style.display = fromSelection ? 'none' : '';
+    setEmailRecipients(recipients);
+    await loadEmailTemplates();
+    document.getElementById('emailComposerModal').classList.add('active');
 }
-window.backToEventSelector = backToEventSelector;
 
-function switchEvent(eventName, btn) {
-    document.querySelectorAll('.event-tab').forEach(t => t.classList.remove('active'));
-    document.querySelectorAll('.event-content').forEach(c => c.classList.remove('active'));
-    if (btn) btn.classList.add('active');
-    else document.querySelector(`.event-tab[data-event="${eventName}"]`)?.classList.add('active');
-    document.getElementById(eventName + '-content')?.classList.add('active');
-    // Update stats for the switched event
-    if (typeof updateDashboardStats === 'function') {
-        updateDashboardStats(eventName);
+async function onEmailAudienceChange() {
+    const eventCode = document.getElementById('emailEventSelect').value;
+    const status = document.getElementById('emailStatusFilter').value;
+    if (!eventCode) {
+        setEmailRecipients([]);
+        return;
+    }
+    try {
+        const snapshot = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', eventCode)));
+        const recipients = [];
+        snapshot.forEach(docSnap => {
+            const d = docSnap.data();
+            if (!status || (d.status || 'Pending') === status) recipients.push({ id: docSnap.id, ...d });
+        });
+        setEmailRecipients(recipients);
+    } catch (error) {
+        secureLog('Error loading email audience:', error);
+        showToast('⚠️ Could not load registrations');
     }
 }
-window.switchEvent = switchEvent;
+window.onEmailAudienceChange = onEmailAudienceChange;
 
-function switchSubTab(eventName, subName, btn) {
-    const parent = document.getElementById(eventName + '-content');
-    if (!parent) return;
-    parent.querySelectorAll('.sub-tab').forEach(t => t.classList.remove('active'));
-    parent.querySelectorAll('.sub-content').forEach(c => c.classList.remove('active'));
-    btn.classList.add('active');
-    document.getElementById(eventName + '-' + subName)?.classList.add('active');
-}
-window.switchSubTab = switchSubTab;
+function setEmailRecipients(records) {
+    const withEmail = records.filter(r => SecurityUtils.isValidEmail(r.email));
+    emailComposer.recipients = withEmail;
 
-// ===== DATA LOADERS (SECURED) =====
-// NOTE: loadTestingData and loadUIBattleData removed - use loadEventData('testing') and loadEventData('uibattle') instead
+    const skipped = records.length - withEmail.length;
+    document.getElementById('emailRecipientSummary').textContent =
+        `${withEmail.length} recipient${withEmail.length === 1 ? '' : 's'}` +
+        (skipped > 0 ? ` (${skipped} without a valid email skipped)` : '') +
+        ' — each team gets its own message';
+    document.getElementById('emailQueueBtn').textContent = `📨 Queue ${withEmail.length} email${withEmail.length === 1 ? '' : 's'}`;
 
-function checkForDuplicates(tableId) {
-    const tbody = document.getElementById(`${tableId}-tbody`);
-    if (!tbody) return;
-    const emailMap = new Map();
-    tbody.querySelectorAll('tr').forEach(row => {
-        const link = row.querySelector('.email-link');
-        if (link) {
-            const email = link.textContent.toLowerCase().trim();
-            if (email && email !== '—') {
-                if (!emailMap.has(email)) emailMap.set(email, []);
-                emailMap.get(email).push(row);
-            }
-        }
+    const previewSelect = document.getElementById('emailPreviewRecipient');
+    previewSelect.innerHTML = '';
+    withEmail.forEach((r, index) => {
+        const opt = document.createElement('option');
+        opt.value = index;
+        opt.textContent = `${SecurityUtils.sanitizeTeamName(r.teamName) || 'Team'} <${r.email}>`;
+        previewSelect.appendChild(opt);
     });
-    emailMap.forEach(rows => {
-        if (rows.length > 1) rows.forEach(row => {
-            row.classList.add('duplicate-warning');
-            const cell = row.querySelector('td:nth-child(3)');
-            if (cell && !cell.querySelector('.duplicate-badge')) cell.insertAdjacentHTML('beforeend', '<span class="duplicate-badge" title="Duplicate email">⚠️</span>');
+    renderEmailPreview();
+}
+
+async function loadEmailTemplates() {
+    emailComposer.templates = [...DEFAULT_EMAIL_TEMPLATES];
+    try {
+        const snapshot = await getDocs(query(collection(db, 'emailTemplates'), orderBy('createdAt', 'desc')));
+        snapshot.forEach(docSnap => {
+            const t = docSnap.data();
+            emailComposer.templates.push({ id: docSnap.id, name: `📝 ${t.name}`, subject: t.subject || '', body: t.body || '' });
         });
+    } catch (error) {
+        secureLog('Error loading email templates:', error);
+    }
+
+    const select = document.getElementById('emailTemplateSelect');
+    select.innerHTML = '<option value="">Blank message</option>';
+    emailComposer.templates.forEach(t => {
+        const opt = document.createElement('option');
+        opt.value = t.id;
+        opt.textContent = t.name;
+        select.appendChild(opt);
     });
 }
-window.checkForDuplicates = checkForDuplicates;
-
-// ===== DYNAMIC EVENT SYSTEM =====
 
-// Default events list - used for seeding Firestore
-const DEFAULT_EVENTS = [
-    { code: 'testing', name: 'Testing (Sandbox)', emoji: '🧪', isActive: true, isFeatured: false },
-    { code: 'promptquest', name: 'PromptQuest', emoji: '🎯', isActive: true, isFeatured: false },
-    { code: 'uibattle', name: 'UI Battle', emoji: '🎨', isActive: true, isFeatured: false },
-    { code: 'hackathon', name: 'Hackathon', emoji: '💻', isActive: true, isFeatured: false }
-];
+function applyEmailTemplate() {
+    const id = document.getElementById('emailTemplateSelect').value;
+    const template = emailComposer.templates.find(t => t.id === id);
+    document.getElementById('emailSubject').value = template?.subject || '';
+    document.getElementById('emailBody').value = template?.body || '';
+    renderEmailPreview();
+}
+window.applyEmailTemplate = applyEmailTemplate;
 
-// Seed default events to Firestore if they don't exist, or patch existing ones missing required fields
-async function seedDefaultEvents() {
-    try {
-        const batch = writeBatch(db);
-        let updated = 0;
+function insertMergeField(field) {
+    const body = document.getElementById('emailBody');
+    const token = `{{${field}}}`;
+    const start = body.selectionStart ?? body.value.length;
+    body.value = body.value.slice(0, start) + token + body.value.slice(body.selectionEnd ?? start);
+    body.focus();
+    body.selectionStart = body.selectionEnd = start + token.length;
+    renderEmailPreview();
+}
+window.insertMergeField = insertMergeField;
 
-        for (const event of DEFAULT_EVENTS) {
-            const eventRef = doc(db, 'events', event.code);
-            const eventDoc = await getDoc(eventRef);
+function renderEmailPreview() {
+    const subject = document.getElementById('emailSubject').value;
+    const body = document.getElementById('emailBody').value;
+    const record = emailComposer.recipients[parseInt(document.getElementById('emailPreviewRecipient').value) || 0];
+    const warning = document.getElementById('emailMergeWarning');
 
-            if (!eventDoc.exists()) {
-                // Create new event
-                batch.set(eventRef, {
-                    name: event.name,
-                    emoji: event.emoji,
-                    isActive: event.isActive,
-                    isFeatured: event.isFeatured,
-                    createdAt: serverTimestamp(),
-                    createdBy: 'system'
-                });
-                updated++;
-            } else {
-                // Check if existing event is missing required fields
-                const existingData = eventDoc.data();
-                const missingFields = {};
+    const unknown = unknownMergeFields(subject, body);
+    warning.textContent = unknown.length > 0 ? `⚠️ Unknown merge field(s): ${unknown.map(f => `{{${f}}}`).join(', ')}` : '';
 
-                if (!existingData.name) missingFields.name = event.name;
-                if (!existingData.emoji) missingFields.emoji = event.emoji;
-                if (existingData.isActive === undefined) missingFields.isActive = true;
-                if (!existingData.createdAt) missingFields.createdAt = serverTimestamp();
+    const context = record ? emailMergeContext(record) : null;
+    document.getElementById('emailPreviewTo').textContent = record ? record.email : '—';
+    document.getElementById('emailPreviewSubject').textContent = context ? mergeEmailTemplate(subject, context) : subject;
+    document.getElementById('emailPreviewBody').textContent = context ? mergeEmailTemplate(body, context) : body;
+}
+window.renderEmailPreview = renderEmailPreview;
 
-                if (Object.keys(missingFields).length > 0) {
-                    batch.update(eventRef, missingFields);
-                    updated++;
-                    console.log(`[seedDefaultEvents] Patching ${event.code} with:`, Object.keys(missingFields));
-                }
-            }
-        }
+async function saveEmailTemplate() {
+    const subject = SecurityUtils.sanitizeString(document.getElementById('emailSubject').value, 200);
+    const body = SecurityUtils.sanitizeString(document.getElementById('emailBody').value, 10000);
+    if (!subject || !body) {
+        showToast('⚠️ Write a subject and message first');
+        return;
+    }
+    const name = SecurityUtils.sanitizeString(prompt('Template name:') || '', 60);
+    if (!name) return;
 
-        if (updated > 0) {
-            await batch.commit();
-            console.log(`[seedDefaultEvents] Updated ${updated} events in Firestore`);
-        }
+    try {
+        await addDoc(collection(db, 'emailTemplates'), {
+            name, subject, body,
+            createdAt: serverTimestamp(),
+            createdBy: auth.currentUser?.email || 'unknown'
+        });
+        await logAdminAction('SAVE_EMAIL_TEMPLATE', { name });
+        await loadEmailTemplates();
+        showToast('✅ Template saved');
     } catch (error) {
-        secureLog('Error seeding default events:', error);
+        secureLog('Error saving email template:', error);
+        showToast('⚠️ Could not save template');
     }
 }
+window.saveEmailTemplate = saveEmailTemplate;
 
-// Load all events from Firestore
-async function loadAllEvents() {
-    try {
-        // First, ensure default events exist
-        await seedDefaultEvents();
+function emailTextToHtml(text) {
+    return SecurityUtils.escapeHtml(text).replace(/\n/g, '<br>');
+}
 
-        const eventsSnapshot = await getDocs(query(collection(db, 'events'), orderBy('createdAt', 'desc')));
-        allEvents = [];
+async function queueComposedEmails() {
+    const subject = SecurityUtils.sanitizeString(document.getElementById('emailSubject').value, 200);
+    const body = SecurityUtils.sanitizeString(document.getElementById('emailBody').value, 10000);
+    const recipients = emailComposer.recipients;
 
-        eventsSnapshot.forEach(docSnap => {
-            const eventData = docSnap.data();
-            allEvents.push({
-                code: docSnap.id,
-                name: eventData.name || docSnap.id,
-                emoji: eventData.emoji || '📋',
-                isActive: eventData.isActive !== false,
-                isFeatured: eventData.isFeatured || false,
-                createdAt: eventData.createdAt,
-                // Include all display fields for editing
-                eventDate: eventData.eventDate || '',
-                eventDay: eventData.eventDay || '',
-                eventTime: eventData.eventTime || '',
-                eventDateRaw: eventData.eventDateRaw || '',
-                venue: eventData.venue || '',
-                teamSize: eventData.teamSize || { min: 2, max: 3 },
-                posterUrl: eventData.posterUrl || '',
-                registrationStatus: eventData.registrationStatus || 'open'
+    if (recipients.length === 0) {
+        showToast('⚠️ No recipients');
+        return;
+    }
+    if (recipients.length > EMAIL_MAX_RECIPIENTS) {
+        showToast(`⚠️ Maximum ${EMAIL_MAX_RECIPIENTS} recipients per send`);
+        return;
+    }
+    if (!subject || !body) {
+        showToast('⚠️ Subject and message are required');
+        return;
+    }
+    const unknown = unknownMergeFields(subject, body);
+    if (unknown.length > 0) {
+        showToast(`⚠️ Fix unknown merge field(s): ${unknown.join(', ')}`);
+        return;
+    }
+    const eventCodes = [...new Set(recipients.map(r => r.eventCode))];
+    if (!eventCodes.every(code => AdminPermissions.canAccessEvent(code))) {
+        showToast('⛔ You do not have access to every selected event');
+        return;
+    }
+    const rateCheck = rateLimiters.bulkAction.recordAttempt('email_' + (auth.currentUser?.uid || 'anon'));
+    if (!rateCheck.allowed) {
+        showToast(`⏳ Too many requests. Try again in ${rateCheck.retryAfter}s`);
+        return;
+    }
+    if (!confirm(`Queue ${recipients.length} personalised email(s)?`)) return;
+
+    const btn = document.getElementById('emailQueueBtn');
+    btn.disabled = true;
+    const batchId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const templateId = document.getElementById('emailTemplateSelect').value || null;
+
+    try {
+        for (let i = 0; i < recipients.length; i += WRITE_BATCH_SIZE) {
+            const batch = writeBatch(db);
+            recipients.slice(i, i + WRITE_BATCH_SIZE).forEach(record => {
+                const context = emailMergeContext(record);
+                const text = mergeEmailTemplate(body, context);
+                batch.set(doc(collection(db, 'mailQueue')), {
+                    to: record.email,
+                    message: {
+                        subject: mergeEmailTemplate(subject, context),
+                        text,
+                        html: emailTextToHtml(text)
+                    },
+                    batchId,
+                    templateId,
+                    eventCode: record.eventCode || '',
+                    teamId: record.id,
+                    teamName: context.teamName,
+                    createdAt: serverTimestamp(),
+                    createdBy: auth.currentUser?.email || 'unknown'
+                });
             });
-        });
+            await batch.commit();
+        }
 
-        return allEvents;
+        await logAdminAction('EMAIL_QUEUED', { batchId, count: recipients.length, eventCodes, templateId });
+        showToast(`📨 Queued ${recipients.length} email(s)`);
+        closeModal('emailComposerModal');
+        if (emailComposer.fromSelection) clearBulkSelection();
+        openEmailOutbox(batchId);
     } catch (error) {
-        secureLog('Error loading events:', error);
-        // Use DEFAULT_EVENTS as fallback if Firestore fails
-        allEvents = DEFAULT_EVENTS.map(e => ({ ...e }));
-        return allEvents;
+        secureLog('Error queueing emails:', error);
+        showToast('❌ Could not queue emails');
+    } finally {
+        btn.disabled = false;
     }
 }
-window.loadAllEvents = loadAllEvents;
+window.queueComposedEmails = queueComposedEmails;
 
-// Generate event selector cards dynamically
-async function generateEventCards() {
-    const grid = document.getElementById('eventSelectorGrid');
-    if (!grid) return;
+// ===== EMAIL OUTBOX =====
+const EMAIL_OUTBOX_LIMIT = 200;
+let emailOutboxMessages = [];
 
-    // Show loading
-    grid.innerHTML = `<div class="event-loading" id="eventCardsLoader">
-        <div class="spinner"></div>
-        <p>Loading events...</p>
-    </div>`;
+async function openEmailOutbox(batchId = '') {
+    document.getElementById('emailOutboxModal').classList.add('active');
+    const content = document.getElementById('emailOutboxContent');
+    content.innerHTML = '<p style="text-align:center;padding:40px;">Loading...</p>';
 
-    await loadAllEvents();
+    try {
+        const snapshot = await getDocs(query(collection(db, 'mailQueue'), orderBy('createdAt', 'desc'), limit(EMAIL_OUTBOX_LIMIT)));
+        const messages = [];
+        snapshot.forEach(docSnap => messages.push({ id: docSnap.id, ...docSnap.data() }));
+
+        const batchSelect = document.getElementById('emailOutboxBatch');
+        const batches = [...new Set(messages.map(m => m.batchId).filter(Boolean))];
+        batchSelect.innerHTML = '<option value="">All recent messages</option>';
+        batches.forEach(id => {
+            const first = messages.find(m => m.batchId === id);
+            const millis = timestampToMillis(first.createdAt);
+            const opt = document.createElement('option');
+            opt.value = id;
+            opt.textContent = `${millis ? new Date(millis).toLocaleString() : 'Just now'} — ${first.message?.subject || '(no subject)'}`;
+            batchSelect.appendChild(opt);
+        });
+        batchSelect.value = batches.includes(batchId) ? batchId : '';
+        emailOutboxMessages = messages;
+        renderEmailOutbox();
+    } catch (error) {
+        secureLog('Error loading outbox:', error);
+        content.innerHTML = '<p style="text-align:center;padding:40px;color:var(--text-muted);">Could not load the outbox</p>';
+    }
+}
+window.openEmailOutbox = openEmailOutbox;
 
-    // Clear grid and generate cards
-    grid.innerHTML = '';
+function renderEmailOutbox() {
+    const batchId = document.getElementById('emailOutboxBatch').value;
+    const messages = emailOutboxMessages.filter(m => !batchId || m.batchId === batchId);
+    const content = document.getElementById('emailOutboxContent');
 
-    // Sort events by event date (latest first)
-    const sortedEvents = [...allEvents].sort((a, b) => {
-        const dateA = a.eventDateRaw ? new Date(a.eventDateRaw) : new Date(0);
-        const dateB = b.eventDateRaw ? new Date(b.eventDateRaw) : new Date(0);
-        return dateB - dateA; // Descending order (latest first)
+    if (messages.length === 0) {
+        content.innerHTML = '<p style="text-align:center;padding:40px;color:var(--text-muted);">No queued emails</p>';
+        return;
+    }
+
+    const counts = {};
+    messages.forEach(m => {
+        const state = m.delivery?.state || 'PENDING';
+        counts[state] = (counts[state] || 0) + 1;
     });
+    const summary = Object.entries(counts)
+        .map(([state, count]) => `<span class="mail-state ${state.toLowerCase()}">${SecurityUtils.escapeHtml(state)} · ${count}</span>`)
+        .join(' ');
+
+    content.innerHTML = `<div class="mail-outbox-summary">${summary}</div>
+        <table class="mail-outbox-table">
+            <thead><tr><th>Recipient</th><th>Team</th><th>Subject</th><th>Status</th></tr></thead>
+            <tbody>${messages.map(m => {
+        const state = m.delivery?.state || 'PENDING';
+        const error = m.delivery?.error ? `<small class="mail-error">${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(m.delivery.error, 300))}</small>` : '';
+        return `<tr>
+                    <td>${SecurityUtils.escapeHtml(m.to)}</td>
+                    <td>${SecurityUtils.escapeHtml(m.teamName || '—')}</td>
+                    <td>${SecurityUtils.escapeHtml(m.message?.subject || (m.trigger ? `🔔 ${NOTIFICATION_TRIGGERS[m.trigger]?.label || m.trigger}` : ''))}</td>
+                    <td><span class="mail-state ${state.toLowerCase()}">${SecurityUtils.escapeHtml(state)}</span>${error}</td>
+                </tr>`;
+    }).join('')}</tbody>
+        </table>`;
+}
+window.renderEmailOutbox = renderEmailOutbox;
+
+// ===== NOTIFICATION RULES =====
+// Per-event automatic emails. events/{code}.notificationRules holds the switches
+// ({ received, verified, rejected, reminder: { enabled, hoursBefore, sentFor } }) and
+// the wording lives in mailTemplates/{code}__{trigger}, the Trigger Email extension's
+// templates collection, so queued docs only carry the template name and merge data.
+
+const NOTIFICATION_TRIGGERS = {
+    received: {
+        label: '📥 Registration received',
+        subject: 'We received your registration for {{eventName}}',
+        body: 'Hi {{member1.name}},\n\nThanks for registering team {{teamName}} for {{eventName}}. Your status is {{status}} and your confirmation code is {{confirmationCode}}.\n\nISTE Team'
+    },
+    verified: {
+        label: '✅ Verified',
+        subject: 'You are verified for {{eventName}}',
+        body: 'Hi {{member1.name}},\n\nTeam {{teamName}} has been verified for {{eventName}}. Bring your confirmation code ({{confirmationCode}}) to check-in.\n\nISTE Team'
+    },
+    rejected: {
+        label: '✕ Rejected',
+        subject: 'Update on your {{eventName}} registration',
+        body: 'Hi {{member1.name}},\n\nUnfortunately team {{teamName}} could not be accepted for {{eventName}}.\nReason: {{note}}\n\nISTE Team'
+    },
+    reminder: {
+        label: '⏰ Event reminder',
+        subject: 'Reminder: {{eventName}} starts soon',
+        body: 'Hi {{member1.name}},\n\n{{eventName}} starts soon. Please bring your confirmation code ({{confirmationCode}}) to the check-in desk.\n\nISTE Team'
+    }
+};
+const STATUS_NOTIFICATION_TRIGGERS = { 'Verified': 'verified', 'Rejected': 'rejected' };
+const REMINDER_DEFAULT_HOURS = 24;
 
-    for (const event of sortedEvents) {
-        if (!event.isActive) continue;
+function notificationTemplateId(eventCode, trigger) {
+    return `${eventCode}__${trigger}`;
+}
 
-        // Skip events that normal admin doesn't have access to
-        // Only filter if there's an active admin session with restrictions
-        const isSuperAdmin = AdminPermissions.isSuperAdmin();
-        const accessibleEvents = AdminPermissions.getAccessibleEvents();
+// Flat {{member1.name}} keys become nested objects for the extension's Handlebars templates
+function notificationTemplateData(record, extra = {}) {
+    const data = {};
+    Object.entries({ ...emailMergeContext(record), ...extra }).forEach(([key, value]) => {
+        const [head, tail] = key.split('.');
+        if (tail) (data[head] = data[head] || {})[tail] = value;
+        else data[key] = value;
+    });
+    return data;
+}
 
-        // If no admin is logged in yet, or user is super admin, show all events
-        // accessibleEvents is null for super admin, empty/array for normal admin
-        if (AdminPermissions.currentAdmin && !isSuperAdmin && accessibleEvents && accessibleEvents.length > 0) {
-            if (!accessibleEvents.includes(event.code)) {
-                console.log('[generateEventCards] Skipping event (no access):', event.code);
-                continue;
-            }
-        }
+function notificationMailDoc(trigger, teamId, record, extra = {}) {
+    return {
+        to: record.email,
+        template: { name: notificationTemplateId(record.eventCode, trigger), data: notificationTemplateData(record, extra) },
+        trigger,
+        eventCode: record.eventCode,
+        teamId,
+        teamName: SecurityUtils.sanitizeTeamName(record.teamName),
+        createdAt: serverTimestamp(),
+        createdBy: auth.currentUser?.email || 'unknown'
+    };
+}
 
-        // Get registration count for this event (only if admin has access)
-        let count = 0;
-        try {
-            // Skip counting if admin doesn't have access to this event
-            if (!AdminPermissions.canAccessEvent(event.code)) {
-                console.log('[generateEventCards] Skipping count for event (no access):', event.code);
-            } else {
-                const countQuery = query(collection(db, 'registrations'), where('eventCode', '==', event.code));
-                const countSnapshot = await getDocs(countQuery);
-                count = countSnapshot.size;
-                window[`${event.code}DataCount`] = count;
-            }
-        } catch (e) {
-            secureLog(`Could not count registrations for ${event.code}`, e);
-        }
+// Email the team about a status change when the event has that rule switched on
+async function queueStatusNotification(teamId, status, note = '') {
+    const trigger = STATUS_NOTIFICATION_TRIGGERS[status];
+    if (!trigger) return;
+    try {
+        const snap = await getDoc(doc(db, 'registrations', teamId));
+        if (!snap.exists()) return;
+        const record = snap.data();
+        const event = allEvents.find(e => e.code === record.eventCode);
+        if (!event?.notificationRules?.[trigger]?.enabled || !SecurityUtils.isValidEmail(record.email)) return;
+        await addDoc(collection(db, 'mailQueue'), notificationMailDoc(trigger, teamId, record, { note }));
+    } catch (error) {
+        secureLog('Error queueing status notification:', error);
+    }
+}
 
-        const safeCode = SecurityUtils.escapeHtml(event.code);
-        const safeName = SecurityUtils.escapeHtml(event.name);
-        const safeEmoji = SecurityUtils.escapeHtml(event.emoji);
+function openNotificationRules(eventCode = document.getElementById('editEventCode')?.value) {
+    const event = allEvents.find(e => e.code === eventCode);
+    if (!event || !AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⚠️ Event not found');
+        return;
+    }
+    document.getElementById('notificationEventCode').value = eventCode;
+    document.getElementById('notificationEventName').textContent = event.name;
+
+    const container = document.getElementById('notificationRules');
+    container.innerHTML = '<p style="text-align:center;padding:20px;">Loading...</p>';
+    document.getElementById('notificationRulesModal').classList.add('active');
+
+    Promise.all(Object.keys(NOTIFICATION_TRIGGERS).map(trigger =>
+        getDoc(doc(db, 'mailTemplates', notificationTemplateId(eventCode, trigger))).catch(() => null)
+    )).then(snaps => {
+        container.innerHTML = '';
+        Object.entries(NOTIFICATION_TRIGGERS).forEach(([trigger, defaults], i) => {
+            const saved = snaps[i]?.exists() ? snaps[i].data() : null;
+            const rule = event.notificationRules?.[trigger] || {};
+            const card = document.createElement('div');
+            card.className = 'notification-rule';
+            card.dataset.trigger = trigger;
+            card.innerHTML = `
+                <label class="notification-rule-toggle"><input type="checkbox" class="nr-enabled"> ${defaults.label}</label>
+                ${trigger === 'reminder' ? '<label class="notification-rule-hours"><input type="number" class="nr-hours" min="1" max="168"> hours before the event</label>' : ''}
+                <input type="text" class="nr-subject" maxlength="200" placeholder="Subject">
+                <textarea class="nr-body status-note-input" rows="4" maxlength="5000"></textarea>
+            `;
+            card.querySelector('.nr-enabled').checked = rule.enabled === true;
+            card.querySelector('.nr-subject').value = saved?.subject || defaults.subject;
+            card.querySelector('.nr-body').value = saved?.text || defaults.body;
+            if (trigger === 'reminder') card.querySelector('.nr-hours').value = rule.hoursBefore || REMINDER_DEFAULT_HOURS;
+            container.appendChild(card);
+        });
+    });
+}
+window.openNotificationRules = openNotificationRules;
 
-        // Hide delete button for normal admins
-        const deleteBtn = isSuperAdmin
-            ? `<button class="event-action-btn event-delete-btn" onclick="event.stopPropagation(); openDeleteEventModal('${safeCode}', '${safeName}')" title="Delete Event">🗑️</button>`
-            : '';
+async function saveNotificationRules() {
+    const eventCode = document.getElementById('notificationEventCode').value;
+    const event = allEvents.find(e => e.code === eventCode);
+    if (!event || !AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⚠️ Event not found');
+        return;
+    }
 
-        // Edit button (for super admins)
-        const editBtn = isSuperAdmin
-            ? `<button class="event-action-btn event-edit-btn" onclick="event.stopPropagation(); openEditEventModal('${safeCode}')" title="Edit Event">✏️</button>`
-            : '';
+    const rules = {};
+    const templates = {};
+    for (const card of document.querySelectorAll('#notificationRules .notification-rule')) {
+        const trigger = card.dataset.trigger;
+        if (!NOTIFICATION_TRIGGERS[trigger]) continue;
+        const subject = SecurityUtils.sanitizeString(card.querySelector('.nr-subject').value, 200);
+        const body = SecurityUtils.sanitizeString(card.querySelector('.nr-body').value, 5000);
+        const enabled = card.querySelector('.nr-enabled').checked;
+        const allowed = trigger === 'rejected' ? [...EMAIL_MERGE_FIELDS, 'note'] : EMAIL_MERGE_FIELDS;
+        const unknown = unknownMergeFields(subject, body).filter(f => !allowed.includes(f));
 
-        // Featured badge and toggle button (only for super admins)
-        const featuredBadge = event.isFeatured
-            ? '<span class="featured-badge">⭐ Featured</span>'
-            : '';
-        const featuredToggle = isSuperAdmin
-            ? `<button class="event-action-btn event-featured-btn ${event.isFeatured ? 'active' : ''}" onclick="event.stopPropagation(); toggleFeatured('${safeCode}')" title="${event.isFeatured ? 'Remove from main page' : 'Feature on main page'}">${event.isFeatured ? '⭐' : '☆'}</button>`
-            : '';
+        if (enabled && (!subject || !body)) {
+            showToast(`⚠️ ${NOTIFICATION_TRIGGERS[trigger].label}: subject and message are required`);
+            return;
+        }
+        if (unknown.length > 0) {
+            showToast(`⚠️ ${NOTIFICATION_TRIGGERS[trigger].label}: unknown merge field(s) ${unknown.join(', ')}`);
+            return;
+        }
 
-        grid.innerHTML += `
-            <div class="event-select-card ${event.isFeatured ? 'is-featured' : ''}" data-event="${safeCode}" onclick="openEventView('${safeCode}')">
-                <div class="event-card-actions">
-                    ${featuredToggle}
-                    ${editBtn}
-                    ${deleteBtn}
-                </div>
-                ${featuredBadge}
-                <div class="icon">${safeEmoji}</div>
-                <h4>${safeName}</h4>
-                <span class="count" id="${safeCode}-count">👥 ${count} teams</span>
-            </div>`;
+        rules[trigger] = { enabled };
+        if (trigger === 'reminder') {
+            const hours = parseInt(card.querySelector('.nr-hours').value, 10);
+            rules.reminder.hoursBefore = hours >= 1 && hours <= 168 ? hours : REMINDER_DEFAULT_HOURS;
+            // Keep the "already sent" marker unless the timing changed
+            const previous = event.notificationRules?.reminder;
+            if (previous?.sentFor && previous.hoursBefore === rules.reminder.hoursBefore) rules.reminder.sentFor = previous.sentFor;
+        }
+        templates[trigger] = { subject, text: body, html: emailTextToHtml(body) };
+    }
+
+    try {
+        const batch = writeBatch(db);
+        Object.entries(templates).forEach(([trigger, template]) => {
+            batch.set(doc(db, 'mailTemplates', notificationTemplateId(eventCode, trigger)), template);
+        });
+        batch.update(doc(db, 'events', eventCode), { notificationRules: rules });
+        await batch.commit();
+
+        event.notificationRules = rules;
+        await logAdminAction('SAVE_NOTIFICATION_RULES', {
+            eventCode,
+            enabled: Object.keys(rules).filter(trigger => rules[trigger].enabled)
+        });
+        showToast('🔔 Notification rules saved');
+        closeModal('notificationRulesModal');
+    } catch (error) {
+        secureLog('Error saving notification rules:', error);
+        showToast('⚠️ Could not save notification rules');
     }
 }
-window.generateEventCards = generateEventCards;
+window.saveNotificationRules = saveNotificationRules;
 
-// Generate event tabs dynamically
-function generateEventTabs() {
-    const tabsContainer = document.getElementById('dynamicEventTabs');
-    if (!tabsContainer) return;
+// Start times a reminder is due for: one per session for multi-slot events, else
+// eventDateRaw + eventTime. Both are read in the event's time zone (EventSessions.startMillis).
+// `key` is what reminder.sentFor records once that slot's reminders are queued, and
+// prefixes the slot's mailQueue document ids.
+function reminderSlots(event) {
+    const sessions = window.EventSessions.normalize(event.sessions);
+    if (sessions.length > 0) {
+        return sessions.map(s => ({ key: `${s.date}#${s.id}`, sessionId: s.id, startsAt: window.EventSessions.startMillis(s) }));
+    }
+    if (!event.eventDateRaw) return [];
+    return [{
+        key: event.eventDateRaw,
+        sessionId: null,
+        startsAt: window.EventSessions.startMillis({ date: event.eventDateRaw, time: event.eventTime })
+    }];
+}
 
-    tabsContainer.innerHTML = '';
-    const isSuperAdmin = AdminPermissions.isSuperAdmin();
-    const accessibleEvents = AdminPermissions.getAccessibleEvents();
-    let firstAccessible = true;
+// sentFor is a list of slot keys (older events stored a single date string)
+function reminderSentFor(rule) {
+    if (Array.isArray(rule?.sentFor)) return rule.sentFor;
+    return rule?.sentFor ? [rule.sentFor] : [];
+}
 
-    allEvents.forEach((event, index) => {
-        if (!event.isActive) return;
+// mailQueue id of one team's reminder for a slot
+function reminderMailId(slot, teamId) {
+    return `${slot.key}_${teamId}`;
+}
 
-        // Skip events that normal admin doesn't have access to
-        if (AdminPermissions.currentAdmin && !isSuperAdmin && accessibleEvents && accessibleEvents.length > 0) {
-            if (!accessibleEvents.includes(event.code)) {
-                return;
+// There is no server-side scheduler, so due reminders are sent by the first admin
+// session that opens the portal inside the reminder window. Reminder mails have
+// deterministic ids, so a retry skips the ones already queued and a session racing
+// this one fails instead of queueing twice (queued mail cannot be overwritten).
+// The slot goes into sentFor only after every batch has committed, so a failed run
+// is picked up again the next time the portal opens.
+async function processDueReminders() {
+    const now = Date.now();
+    for (const event of allEvents) {
+        const rule = event.notificationRules?.reminder;
+        if (!rule?.enabled || !AdminPermissions.canAccessEvent(event.code)) continue;
+        const hours = rule.hoursBefore || REMINDER_DEFAULT_HOURS;
+        const due = reminderSlots(event).filter(slot =>
+            !isNaN(slot.startsAt) && now >= slot.startsAt - hours * 3600000 && now < slot.startsAt &&
+            !reminderSentFor(rule).includes(slot.key));
+
+        for (const slot of due) {
+            try {
+                const [snapshot, queuedSnapshot] = await Promise.all([
+                    getDocs(query(collection(db, 'registrations'), where('eventCode', '==', event.code))),
+                    getDocs(query(collection(db, 'mailQueue'), where('eventCode', '==', event.code), where('trigger', '==', 'reminder')))
+                ]);
+                const queued = new Set(queuedSnapshot.docs.map(d => d.id));
+                const docs = snapshot.docs.filter(d =>
+                    CHECKIN_ELIGIBLE_STATUSES.includes(d.data().status || 'Pending') &&
+                    SecurityUtils.isValidEmail(d.data().email) &&
+                    (!slot.sessionId || d.data().sessionId === slot.sessionId) &&
+                    !queued.has(reminderMailId(slot, d.id)));
+                for (let i = 0; i < docs.length; i += WRITE_BATCH_SIZE) {
+                    const batch = writeBatch(db);
+                    docs.slice(i, i + WRITE_BATCH_SIZE).forEach(d => {
+                        batch.set(doc(db, 'mailQueue', reminderMailId(slot, d.id)), notificationMailDoc('reminder', d.id, d.data()));
+                    });
+                    await batch.commit();
+                }
+                await updateDoc(doc(db, 'events', event.code), { 'notificationRules.reminder.sentFor': arrayUnion(slot.key) });
+                rule.sentFor = [...reminderSentFor(rule), slot.key];
+                await logAdminAction('REMINDERS_QUEUED', { eventCode: event.code, sessionId: slot.sessionId, count: docs.length });
+                showToast(`⏰ Queued ${docs.length} reminder(s) for ${event.name}`);
+            } catch (error) {
+                secureLog('Error sending reminders:', error);
             }
         }
+    }
+}
 
-        const safeCode = SecurityUtils.escapeHtml(event.code);
-        const safeName = SecurityUtils.escapeHtml(event.name);
-        const safeEmoji = SecurityUtils.escapeHtml(event.emoji);
+// Drawer: emails queued for this team (notifications and composed messages)
+async function renderDrawerNotifications(teamId) {
+    const container = document.getElementById('drawerNotifications');
+    if (!container) return;
+    container.innerHTML = '<p class="drawer-empty">Loading...</p>';
 
-        const isFirst = firstAccessible;
-        firstAccessible = false;
+    try {
+        const snapshot = await getDocs(query(collection(db, 'mailQueue'), where('teamId', '==', teamId)));
+        if (currentDrawerTeamId !== teamId) return;
+        const messages = snapshot.docs.map(d => d.data()).sort((a, b) => timestampToMillis(b.createdAt) - timestampToMillis(a.createdAt));
+        container.innerHTML = '';
+        if (messages.length === 0) {
+            container.innerHTML = '<p class="drawer-empty">No emails sent yet</p>';
+            return;
+        }
+        messages.forEach(m => {
+            const state = m.delivery?.state || 'PENDING';
+            const millis = timestampToMillis(m.createdAt);
+            const label = m.trigger ? (NOTIFICATION_TRIGGERS[m.trigger]?.label || m.trigger) : `📧 ${m.message?.subject || 'Email'}`;
+            const row = document.createElement('div');
+            row.className = 'drawer-notification';
+            row.innerHTML = `
+                <span>${SecurityUtils.escapeHtml(label)}</span>
+                <span class="mail-state ${SecurityUtils.escapeHtml(state.toLowerCase())}">${SecurityUtils.escapeHtml(state)}</span>
+                <small>${millis ? new Date(millis).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : 'Just now'}</small>
+            `;
+            container.appendChild(row);
+        });
+    } catch (error) {
+        secureLog('Error loading team notifications:', error);
+        container.innerHTML = '<p class="drawer-empty">Could not load emails</p>';
+    }
+}
 
-        tabsContainer.innerHTML += `
-            <button class="event-tab ${isFirst ? 'active' : ''}" onclick="switchEvent('${safeCode}', this)" data-event="${safeCode}">
-                ${safeEmoji} ${safeName}
-            </button>`;
-    });
+// ===== TRASH VIEW =====
+// Trash is grouped by original collection and event. Entries older than the
+// retention window (config/trash.retentionDays, 0 = keep forever) are purged
+// when a super admin opens the view; every purge goes to the audit log.
+const TRASH_DEFAULT_RETENTION_DAYS = 30;
+const TRASH_GROUP_COLLAPSE_AT = 20;
+let trashEntries = [];
+let trashRetentionDays = TRASH_DEFAULT_RETENTION_DAYS;
+const trashSelection = new Set();
+
+// Event an entry belongs to (registrations carry eventCode; very old ones `event`)
+function trashEventCode(entry) {
+    return entry.originalCollection === 'events' ? entry.originalId : (entry.eventCode || entry.event || '');
 }
-window.generateEventTabs = generateEventTabs;
 
-function generateEventContents() {
-    const container = document.getElementById('dynamicEventContents');
-    if (!container) return;
+// Registrations trashed together with an event that is itself still in trash
+function trashRelatedEntries(entry) {
+    if (entry.originalCollection !== 'events') return [];
+    return trashEntries.filter(e => e.trashedWithEvent === entry.originalId);
+}
 
-    container.innerHTML = '';
-    const isSuperAdmin = AdminPermissions.isSuperAdmin();
-    const accessibleEvents = AdminPermissions.getAccessibleEvents();
-    let firstAccessible = true;
+async function openTrashView() {
+    if (!AdminPermissions.canAccessTrash()) {
+        showToast('⛔ Only super admins can open the trash');
+        return;
+    }
+    document.getElementById('trashModal').classList.add('active');
+    const content = document.getElementById('trashContent');
+    content.innerHTML = '<p style="text-align:center;padding:40px;">Loading...</p>';
+    try {
+        const configSnap = await getDoc(doc(db, 'config', 'trash'));
+        const days = parseInt(configSnap.data()?.retentionDays, 10);
+        trashRetentionDays = days >= 0 ? days : TRASH_DEFAULT_RETENTION_DAYS;
+        document.getElementById('trashRetentionDays').value = trashRetentionDays;
 
-    allEvents.forEach((event, index) => {
-        if (!event.isActive) return;
+        const snapshot = await getDocs(collection(db, 'trash'));
+        trashEntries = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        await purgeExpiredTrash();
 
-        // Skip events that normal admin doesn't have access to
-        if (AdminPermissions.currentAdmin && !isSuperAdmin && accessibleEvents && accessibleEvents.length > 0) {
-            if (!accessibleEvents.includes(event.code)) {
-                return;
-            }
-        }
+        const ids = new Set(trashEntries.map(e => e.id));
+        [...trashSelection].forEach(id => { if (!ids.has(id)) trashSelection.delete(id); });
+        renderTrashView();
+    } catch (err) {
+        secureLog('Error loading trash:', err);
+        content.innerHTML = '<p style="color:var(--accent-red);text-align:center;padding:40px;">⚠️ Error loading trash</p>';
+    }
+}
+window.openTrashView = openTrashView;
 
-        const safeCode = SecurityUtils.escapeHtml(event.code);
-        const safeName = SecurityUtils.escapeHtml(event.name);
-        const safeEmoji = SecurityUtils.escapeHtml(event.emoji);
+// Retention: anything deleted before the window is removed for good
+async function purgeExpiredTrash() {
+    if (trashRetentionDays <= 0) return;
+    const cutoff = Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000;
+    // Registrations trashed with an event expire together with the event's entry
+    const trashedEvents = new Set(trashEntries.filter(e => e.originalCollection === 'events').map(e => e.originalId));
+    const expired = trashEntries.filter(e => {
+        const deletedAt = timestampToMillis(e.deletedAt);
+        return deletedAt > 0 && deletedAt < cutoff && !(e.trashedWithEvent && trashedEvents.has(e.trashedWithEvent));
+    });
+    if (expired.length === 0) return;
 
-        const isFirst = firstAccessible;
-        firstAccessible = false;
+    const purged = await purgeTrashEntries(expired);
+    await logAdminAction('TRASH_AUTO_PURGE', { retentionDays: trashRetentionDays, purged });
+    showToast(`🧹 Purged ${purged} item(s) older than ${trashRetentionDays} days from trash`);
+}
 
-        container.innerHTML += `
-            <div id="${safeCode}-content" class="event-content ${isFirst ? 'active' : ''}">
-                <div class="sub-tabs">
-                    <button class="sub-tab active" onclick="switchSubTab('${safeCode}', 'reg', this)">📝 Registration</button>
-                    <button class="sub-tab" onclick="switchSubTab('${safeCode}', 'winners', this)">🏆 Winners</button>
-                    <button class="sub-tab" onclick="switchSubTab('${safeCode}', 'images', this)">📸 Images</button>
-                </div>
+// Delete trash docs (plus the registrations trashed with any event among them).
+// Returns how many documents were removed.
+async function purgeTrashEntries(entries) {
+    const ids = new Set();
+    entries.forEach(entry => {
+        ids.add(entry.id);
+        trashRelatedEntries(entry).forEach(related => ids.add(related.id));
+    });
+    const allIds = [...ids];
+    for (let i = 0; i < allIds.length; i += WRITE_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        allIds.slice(i, i + WRITE_BATCH_SIZE).forEach(id => batch.delete(doc(db, 'trash', id)));
+        await batch.commit();
+    }
+    trashEntries = trashEntries.filter(e => !ids.has(e.id));
+    allIds.forEach(id => trashSelection.delete(id));
+    return allIds.length;
+}
 
-                <div id="${safeCode}-reg" class="sub-content active">
-                    <div class="data-table-wrapper">
-                        <div class="data-table-header">
-                            <div class="header-left">
-                                <span class="data-table-title">${safeEmoji} ${safeName} Participants</span>
-                                <div class="table-filters" style="margin-left: 20px;">
+function trashEntryMatches(entry, term) {
+    if (!term) return true;
+    const eventCode = trashEventCode(entry);
+    const haystack = [
+        entry.teamName, entry.email, entry.confirmationCode, entry.name, eventCode,
+        allEvents.find(e => e.code === eventCode)?.name
+    ].filter(Boolean).join(' ').toLowerCase();
+    return haystack.includes(term);
+}
+
+function renderTrashView() {
+    const content = document.getElementById('trashContent');
+    const term = (document.getElementById('trashSearch')?.value || '').trim().toLowerCase();
+
+    // Registrations trashed along with their event are handled through the event's row
+    const trashedEvents = new Set(trashEntries.filter(e => e.originalCollection === 'events').map(e => e.originalId));
+    const visible = trashEntries
+        .filter(e => !(e.trashedWithEvent && trashedEvents.has(e.trashedWithEvent)))
+        .filter(e => trashEntryMatches(e, term))
+        .sort((a, b) => timestampToMillis(b.deletedAt) - timestampToMillis(a.deletedAt));
+
+    updateTrashSelectionBar();
+    if (trashEntries.length === 0) { content.innerHTML = '<p style="text-align:center;padding:40px;">🎉 Trash is empty!</p>'; return; }
+    if (visible.length === 0) { content.innerHTML = '<p style="text-align:center;padding:40px;color:var(--text-muted);">Nothing in trash matches your search</p>'; return; }
+
+    const groups = new Map();
+    visible.forEach(entry => {
+        const collectionName = entry.originalCollection || 'registrations';
+        const key = collectionName === 'events' ? 'events' : `${collectionName}__${trashEventCode(entry)}`;
+        if (!groups.has(key)) groups.set(key, { collectionName, eventCode: trashEventCode(entry), entries: [] });
+        groups.get(key).entries.push(entry);
+    });
+
+    content.innerHTML = [...groups.entries()].map(([key, group]) => {
+        const eventName = allEvents.find(e => e.code === group.eventCode)?.name || group.eventCode || 'No event';
+        const title = group.collectionName === 'events'
+            ? '📅 Events'
+            : `📋 ${group.collectionName === 'registrations' ? 'Registrations' : group.collectionName} · ${eventName}`;
+        const allSelected = group.entries.every(e => trashSelection.has(e.id));
+        const rows = group.entries.map(entry => {
+            const safeId = SecurityUtils.escapeHtml(entry.id);
+            const deleted = timestampToMillis(entry.deletedAt) ? new Date(timestampToMillis(entry.deletedAt)).toLocaleDateString() : '—';
+            const label = entry.originalCollection === 'events'
+                ? `<strong>📅 ${SecurityUtils.escapeHtml(entry.name || entry.originalId)}</strong><br><small>Event · ${trashRelatedEntries(entry).length} registrations</small>`
+                : `<strong>${SecurityUtils.escapeHtml(entry.teamName || '—')}</strong>${entry.email ? `<br><small>${SecurityUtils.escapeHtml(entry.email)}</small>` : ''}`;
+            return `<tr>
+                    <td><input type="checkbox" class="row-checkbox" ${trashSelection.has(entry.id) ? 'checked' : ''} onchange="toggleTrashSelection('${safeId}', this.checked)"></td>
+                    <td>${label}</td>
+                    <td>${deleted}<br><small>${SecurityUtils.escapeHtml(entry.deletedBy || '')}</small></td>
+                    <td><button class="action-btn" onclick="restoreFromTrash('${safeId}')" style="background:rgba(16,185,129,0.1)" title="Restore">♻️</button><button class="action-btn delete" onclick="permanentDelete('${safeId}')" title="Delete permanently">🗑️</button></td>
+                </tr>`;
+        }).join('');
+        const open = term || group.entries.length <= TRASH_GROUP_COLLAPSE_AT ? 'open' : '';
+        return `<details class="trash-group" ${open}>
+                <summary>
+                    <input type="checkbox" class="row-checkbox" ${allSelected ? 'checked' : ''} onclick="event.stopPropagation()" onchange="toggleTrashGroup('${SecurityUtils.escapeHtml(key)}', this.checked)">
+                    <span class="trash-group-title">${SecurityUtils.escapeHtml(title)}</span>
+                    <span class="trash-group-count">${group.entries.length}</span>
+                </summary>
+                <table class="data-table" style="width:100%" data-trash-group="${SecurityUtils.escapeHtml(key)}"><tbody>${rows}</tbody></table>
+            </details>`;
+    }).join('');
+}
+window.renderTrashView = renderTrashView;
+
+function toggleTrashSelection(id, checked) {
+    if (checked) trashSelection.add(id);
+    else trashSelection.delete(id);
+    updateTrashSelectionBar();
+}
+window.toggleTrashSelection = toggleTrashSelection;
+
+function toggleTrashGroup(key, checked) {
+    document.querySelectorAll(`table[data-trash-group="${CSS.escape(key)}"] input[type="checkbox"]`).forEach(box => {
+        box.checked = checked;
+        box.dispatchEvent(new Event('change'));
+    });
+}
+window.toggleTrashGroup = toggleTrashGroup;
+
+function updateTrashSelectionBar() {
+    const count = trashSelection.size;
+    const countEl = document.getElementById('trashSelectedCount');
+    if (countEl) countEl.textContent = `${count} selected`;
+    document.querySelectorAll('.trash-bulk-btn').forEach(btn => { btn.disabled = count === 0; });
+}
+
+async function saveTrashRetention() {
+    const days = parseInt(document.getElementById('trashRetentionDays').value, 10);
+    if (isNaN(days) || days < 0 || days > 3650) {
+        showToast('⚠️ Retention must be between 0 and 3650 days');
+        return;
+    }
+    try {
+        await setDoc(doc(db, 'config', 'trash'), {
+            retentionDays: days,
+            updatedAt: serverTimestamp(),
+            updatedBy: auth.currentUser?.email || 'unknown'
+        }, { merge: true });
+        await logAdminAction('UPDATE_TRASH_RETENTION', { from: trashRetentionDays, to: days });
+        trashRetentionDays = days;
+        showToast(days === 0 ? '✅ Trash is kept until purged by hand' : `✅ Trash is purged after ${days} days`);
+        await purgeExpiredTrash();
+        renderTrashView();
+    } catch (error) {
+        secureLog('Error saving trash retention:', error);
+        showToast('⚠️ Could not save retention');
+    }
+}
+window.saveTrashRetention = saveTrashRetention;
+
+// Restore one entry; events bring back the registrations trashed with them.
+// Returns the number of documents restored (0 on failure).
+async function restoreTrashEntry(docId) {
+    const trashSnap = await getDoc(doc(db, 'trash', docId)).catch(() => null);
+    if (trashSnap?.data()?.originalCollection === 'events') {
+        const restored = await restoreEventFromTrash(trashSnap);
+        return restored === null ? 0 : restored + 1;
+    }
+    return await window.undoDelete(docId) ? 1 : 0;
+}
+
+async function restoreFromTrash(docId) {
+    const isEvent = trashEntries.find(e => e.id === docId)?.originalCollection === 'events';
+    const restored = await restoreTrashEntry(docId);
+    if (restored === 0) {
+        showToast('⚠️ Could not restore');
+        return;
+    }
+    showToast(isEvent ? `♻️ Event restored with ${restored - 1} registrations` : '♻️ Restored!');
+    trashSelection.delete(docId);
+    openTrashView();
+    if (isEvent) await initDynamicEvents();
+    else if (window.reloadFirestoreData) window.reloadFirestoreData();
+}
+window.restoreFromTrash = restoreFromTrash;
+
+async function bulkRestoreTrash() {
+    const ids = [...trashSelection];
+    if (ids.length === 0) return;
+    if (!confirm(`♻️ Restore ${ids.length} selected item(s)?`)) return;
+
+    let restored = 0;
+    let failed = 0;
+    for (const id of ids) {
+        const count = await restoreTrashEntry(id);
+        if (count > 0) restored += count;
+        else failed++;
+    }
+    trashSelection.clear();
+    await logAdminAction('BULK_RESTORE_TRASH', { selected: ids.length, restored, failed });
+    showToast(failed > 0 ? `♻️ Restored ${restored} document(s), ${failed} failed` : `♻️ Restored ${restored} document(s)`);
+    openTrashView();
+    await initDynamicEvents();
+}
+window.bulkRestoreTrash = bulkRestoreTrash;
+
+async function bulkPurgeTrash() {
+    const selected = trashEntries.filter(e => trashSelection.has(e.id));
+    if (selected.length === 0) return;
+    const related = selected.reduce((sum, e) => sum + trashRelatedEntries(e).length, 0);
+    if (!confirm(`⚠️ Permanently delete ${selected.length} selected item(s)` +
+        (related > 0 ? ` and ${related} registration(s) trashed with their events` : '') + '? This cannot be undone.')) return;
+
+    try {
+        const purged = await purgeTrashEntries(selected);
+        await logAdminAction('PURGE_TRASH', {
+            purged,
+            items: selected.map(e => ({ id: e.id, collection: e.originalCollection || 'registrations', eventCode: trashEventCode(e) }))
+        });
+        showToast(`🗑️ Permanently deleted ${purged} document(s)`);
+        renderTrashView();
+    } catch (error) {
+        secureLog('Error purging trash:', error);
+        showToast('⚠️ Error');
+    }
+}
+window.bulkPurgeTrash = bulkPurgeTrash;
+
+// Put a trashed event back together with the registrations trashed alongside it.
+// Returns the number of registrations restored, or null on failure.
+async function restoreEventFromTrash(trashSnap) {
+    const { originalCollection, originalId: eventCode, registrationCount, deletedAt, deletedBy, ...eventData } = trashSnap.data();
+    try {
+        if ((await getDoc(doc(db, 'events', eventCode))).exists()) {
+            showToast(`⚠️ An event with the code "${eventCode}" exists again. Delete it before restoring.`);
+            return null;
+        }
+
+        // Event first, so restored registrations never point at a missing event
+        await setDoc(doc(db, 'events', eventCode), eventData);
+        await deleteDoc(trashSnap.ref);
+
+        const registrationsSnapshot = await getDocs(query(collection(db, 'trash'), where('trashedWithEvent', '==', eventCode)));
+        const docs = registrationsSnapshot.docs;
+        for (let i = 0; i < docs.length; i += WRITE_BATCH_SIZE_PAIRED) {
+            const batch = writeBatch(db);
+            docs.slice(i, i + WRITE_BATCH_SIZE_PAIRED).forEach(docSnap => {
+                const { originalCollection: _collection, trashedWithEvent, deletedAt: _at, deletedBy: _by, ...data } = docSnap.data();
+                batch.set(doc(db, 'registrations', docSnap.id), data);
+                batch.delete(docSnap.ref);
+            });
+            await batch.commit();
+        }
+
+        for (const docSnap of docs) {
+            await syncRegistrationLookup(docSnap.id, docSnap.data());
+        }
+        await loadAllEvents();
+        await rebalanceWaitlist(eventCode, { promote: false });
+        if (docs.some(d => d.data().isWinner)) await syncHallOfFame(eventCode);
+
+        await logAdminAction('RESTORE_EVENT', { eventCode, registrationsRestored: docs.length });
+        return docs.length;
+    } catch (error) {
+        secureLog('Error restoring event:', error);
+        showToast('⚠️ Could not restore');
+        return null;
+    }
+}
+
+async function permanentDelete(docId) {
+    const entry = trashEntries.find(e => e.id === docId);
+    if (!entry) return;
+    // Purging an event also purges the registrations trashed with it
+    const related = trashRelatedEntries(entry).length;
+    const message = related > 0
+        ? `⚠️ Permanently delete this event and its ${related} registrations?`
+        : '⚠️ Permanently delete?';
+    if (!confirm(message)) return;
+
+    try {
+        const purged = await purgeTrashEntries([entry]);
+        await logAdminAction('PURGE_TRASH', {
+            purged,
+            items: [{ id: entry.id, collection: entry.originalCollection || 'registrations', eventCode: trashEventCode(entry) }]
+        });
+        showToast('🗑️ Permanently deleted');
+        renderTrashView();
+    } catch (e) { showToast('⚠️ Error'); }
+}
+window.permanentDelete = permanentDelete;
+
+// ===== EVENT NAVIGATION =====
+function openEventView(eventCode) {
+    document.getElementById('event-selector-view')?.classList.add('hidden');
+    document.getElementById('event-detail-view')?.classList.add('active');
+    document.querySelectorAll('.event-tab[data-event]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.event === eventCode);
+    });
+    switchEvent(eventCode);
+    // Update stats for selected event
+    if (typeof updateDashboardStats === 'function') {
+        updateDashboardStats(eventCode);
+    }
+}
+window.openEventView = openEventView;
+
+function backToEventSelector() {
+    unsubscribeAllEventData();
+    document.getElementById('event-detail-view')?.classList.remove('active');
+    document.getElementById('event-selector-view')?.classList.remove('hidden');
+    // Reset stats to global view
+    if (typeof updateDashboardStats === 'function') {
+        updateDashboardStats();
+    }
+}
+window.backToEventSelector = backToEventSelector;
+
+function switchEvent(eventName, btn) {
+    document.querySelectorAll('.event-tab').forEach(t => t.classList.remove('active'));
+    document.querySelectorAll('.event-content').forEach(c => c.classList.remove('active'));
+    if (btn) btn.classList.add('active');
+    else document.querySelector(`.event-tab[data-event="${eventName}"]`)?.classList.add('active');
+    document.getElementById(eventName + '-content')?.classList.add('active');
+    // Its counts follow the first snapshot (see refreshEventTotals)
+    subscribeEventData(eventName);
+}
+window.switchEvent = switchEvent;
+
+function switchSubTab(eventName, subName, btn) {
+    const parent = document.getElementById(eventName + '-content');
+    if (!parent) return;
+    parent.querySelectorAll('.sub-tab').forEach(t => t.classList.remove('active'));
+    parent.querySelectorAll('.sub-content').forEach(c => c.classList.remove('active'));
+    btn.classList.add('active');
+    document.getElementById(eventName + '-' + subName)?.classList.add('active');
+}
+window.switchSubTab = switchSubTab;
+
+// ===== LIVE REGISTRATIONS =====
+// The open event's table follows its current page through onSnapshot instead
+// of manual refreshes. Only one event is live at a time; the listener is torn
+// down when leaving the event view or logging out.
+// Totals come from count queries (see countEventTotals), re-run once a burst of
+// page changes settles. Checks over every registration (duplicates, filters,
+// export) read the event once when they are asked for.
+const LIVE_STATS_DEBOUNCE_MS = 1500;
+const eventListeners = {};
+const eventTotals = {}; // eventCode -> counts from the last refreshEventTotals()
+let liveStatsTimer = null;
+
+// Resolves once the first snapshot has been rendered
+function subscribeEventData(eventCode) {
+    if (eventListeners[eventCode]) return eventListeners[eventCode].ready;
+    if (!AdminPermissions.canAccessEvent(eventCode)) return Promise.resolve();
+    Object.keys(eventListeners).forEach(code => unsubscribeEventData(code));
+    Object.keys(eventTotals).filter(code => code !== eventCode).forEach(code => delete eventTotals[code]);
+
+    let markReady;
+    const ready = new Promise(resolve => { markReady = resolve; });
+    let firstSnapshot = true;
+    const subscribedAt = Date.now();
+
+    // Listens to the current page only; paging or sorting re-subscribes
+    const unsubscribe = onSnapshot(registrationPageQuery(eventCode), snapshot => {
+        // A filtered table is drawn by renderFilteredTable instead
+        if (firstSnapshot) {
+            firstSnapshot = false;
+            if (!isTableFiltered(eventCode)) applyPageSnapshot(eventCode, snapshot);
+            setLiveIndicator(eventCode, true);
+            refreshEventTotals(eventCode);
+            markReady();
+            return;
+        }
+        scheduleLiveStatsRefresh(eventCode);
+        if (isTableFiltered(eventCode)) return;
+        const changes = snapshot.docChanges();
+        // Teams sliding in from the next page aren't new; pending writes have no registeredAt yet
+        const isArrival = c => c.type === 'added' && (timestampToMillis(c.doc.data().registeredAt) || Date.now()) >= subscribedAt;
+        applyPageSnapshot(eventCode, snapshot, {
+            changed: new Set(changes.filter(c => c.type !== 'removed').map(c => c.doc.id)),
+            added: new Set(changes.filter(isArrival).map(c => c.doc.id))
+        });
+    }, error => {
+        secureLog(`Live listener for ${eventCode} failed:`, error);
+        delete eventListeners[eventCode];
+        setLiveIndicator(eventCode, false);
+        showEventTableError(eventCode);
+        markReady();
+    });
+
+    eventListeners[eventCode] = { unsubscribe, ready };
+    return ready;
+}
+
+function unsubscribeEventData(eventCode) {
+    const listener = eventListeners[eventCode];
+    if (!listener) return;
+    listener.unsubscribe();
+    delete eventListeners[eventCode];
+    setLiveIndicator(eventCode, false);
+}
+
+function unsubscribeAllEventData() {
+    Object.keys(eventListeners).forEach(code => unsubscribeEventData(code));
+    Object.keys(eventTotals).forEach(code => delete eventTotals[code]);
+    clearTimeout(liveStatsTimer);
+}
+
+// Team, status, recent and per-session counts of an event, shaped like
+// tallyRegistration's totals (without participants). Docs without a status
+// count as Pending, as everywhere else; inequality filters skip them, so Pending
+// and seat counts are taken as the remainder of the other statuses.
+async function countEventTotals(eventCode) {
+    const eventQuery = query(collection(db, 'registrations'), where('eventCode', '==', eventCode));
+    const count = async (...constraints) => (await getCountFromServer(query(eventQuery, ...constraints))).data().count;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const sessions = eventSessions(eventCode);
+    const [teams, notPending, verified, newToday, newThisWeek, ...sessionCounts] = await Promise.all([
+        count(),
+        count(where('status', '!=', 'Pending')),
+        count(where('status', 'in', ['Verified', 'Checked-in'])),
+        count(where('registeredAt', '>=', Timestamp.fromMillis(today.getTime()))),
+        count(where('registeredAt', '>', Timestamp.fromMillis(Date.now() - 7 * 86400000))),
+        ...sessions.flatMap(s => [
+            count(where('sessionId', '==', s.id)),
+            count(where('sessionId', '==', s.id), where('status', 'not-in', SEAT_HOLDING_STATUSES))
+        ])
+    ]);
+    const totals = { teams, newThisWeek, today: newToday, pending: teams - notPending, verified, sessions: new Map() };
+    sessions.forEach((s, i) => {
+        const [sessionTeams, notHolding] = sessionCounts.slice(i * 2, i * 2 + 2);
+        totals.sessions.set(s.id, { teams: sessionTeams, seats: sessionTeams - notHolding });
+    });
+    return totals;
+}
+
+// Recount the open event and pass the counts on to its table, the stat cards
+// and the analytics hub (which counts every accessible event, so only takes the difference)
+async function refreshEventTotals(eventCode) {
+    let totals;
+    try {
+        totals = await countEventTotals(eventCode);
+    } catch (err) {
+        secureLog(`Could not count registrations for ${eventCode}`, err);
+        return;
+    }
+    if (!eventListeners[eventCode]) return; // closed while counting
+    const before = eventTotals[eventCode];
+    eventTotals[eventCode] = totals;
+    showEventCount(eventCode, totals.teams);
+    refreshSessionGroupRows(eventCode);
+
+    if (before && analyticsHubCounts) {
+        analyticsHubCounts.newToday += totals.today - before.today;
+        analyticsHubCounts.pending += totals.pending - before.pending;
+        analyticsHubCounts.verified += totals.verified - before.verified;
+        renderAnalyticsHubSummary();
+    }
+    // Participants and attendance keep the figures of the last full read
+    if (dashboardStatsView?.totals && dashboardStatsView.eventCodes.length === 1 && dashboardStatsView.eventCodes[0] === eventCode) {
+        Object.assign(dashboardStatsView.totals, totals);
+        renderDashboardStats(dashboardStatsView.totals, dashboardStatsView);
+    }
+}
+
+function setLiveIndicator(eventCode, live) {
+    document.getElementById(`${eventCode}-live`)?.classList.toggle('active', live);
+}
+
+// Batches bursts of changes during a registration drive into one recount
+function scheduleLiveStatsRefresh(eventCode) {
+    clearTimeout(liveStatsTimer);
+    liveStatsTimer = setTimeout(() => refreshEventTotals(eventCode), LIVE_STATS_DEBOUNCE_MS);
+}
+
+// ===== DATA LOADERS (SECURED) =====
+// NOTE: loadTestingData and loadUIBattleData removed - use loadEventData('testing') and loadEventData('uibattle') instead
+
+// ===== DUPLICATE CONFLICTS =====
+// Every registration of an event as of its last scan (not just the page on
+// screen), and their open (undismissed) conflicts
+const eventRegistrationRecords = {};
+const eventConflicts = {};
+
+// One read of the whole event, run when the conflicts panel is opened rather than
+// kept by a listener; it also sets up lookup entries the event's older teams lack
+async function scanEventRegistrations(eventCode) {
+    const snapshot = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', eventCode)));
+    eventRegistrationRecords[eventCode] = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    checkForDuplicates(eventCode);
+    migrateRegistrationLookups(eventRegistrationRecords[eventCode]);
+}
+
+const CONFLICT_TYPE_LABELS = {
+    usn: '🪪 Same USN',
+    email: '📧 Same email',
+    teamName: '🏷️ Similar team name'
+};
+
+// Flag rows that conflict on USN, email or near-identical team name (see DuplicateDetector),
+// from the event's last scan
+function checkForDuplicates(tableId) {
+    const tbody = document.getElementById(`${tableId}-tbody`);
+    const records = eventRegistrationRecords[tableId];
+    if (!tbody || !records) return;
+
+    const event = allEvents.find(e => e.code === tableId);
+    const dismissed = new Set(event?.dismissedConflicts || []);
+    const conflicts = window.DuplicateDetector
+        .findConflicts(records)
+        .filter(c => !dismissed.has(c.id));
+    eventConflicts[tableId] = conflicts;
+
+    tbody.querySelectorAll('tr.duplicate-warning').forEach(row => row.classList.remove('duplicate-warning'));
+    tbody.querySelectorAll('.duplicate-badge').forEach(badge => badge.remove());
+
+    const typesByTeam = new Map();
+    conflicts.forEach(c => c.ids.forEach(id => {
+        if (!typesByTeam.has(id)) typesByTeam.set(id, new Set());
+        typesByTeam.get(id).add(CONFLICT_TYPE_LABELS[c.type].replace(/^\S+\s/, ''));
+    }));
+    typesByTeam.forEach((types, id) => {
+        const row = tbody.querySelector(`tr[data-team="${CSS.escape(id)}"]`);
+        if (!row) return;
+        row.classList.add('duplicate-warning');
+        const cell = row.querySelector('td:nth-child(3)');
+        if (cell) cell.insertAdjacentHTML('beforeend', `<span class="duplicate-badge" title="${SecurityUtils.escapeHtml([...types].join(', '))}">⚠️</span>`);
+    });
+
+    const btn = document.getElementById(`${tableId}-conflicts-btn`);
+    if (btn) {
+        btn.textContent = conflicts.length > 0
+            ? `⚠️ ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}`
+            : '✅ No conflicts';
+    }
+}
+window.checkForDuplicates = checkForDuplicates;
+
+async function openConflictsPanel(eventCode) {
+    if (!AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⛔ You do not have access to this event');
+        return;
+    }
+    const event = allEvents.find(e => e.code === eventCode);
+    const content = document.getElementById('conflictsContent');
+    document.getElementById('conflictsEventCode').value = eventCode;
+    document.getElementById('conflictsEventName').textContent = event?.name || eventCode;
+    content.innerHTML = '<div class="feedback-loading"><div class="spinner"></div><p>Checking registrations...</p></div>';
+    document.getElementById('conflictsModal').classList.add('active');
+    try {
+        await scanEventRegistrations(eventCode);
+    } catch (err) {
+        secureLog(`Error checking ${eventCode} for duplicates:`, err);
+        content.innerHTML = '<p class="conflicts-empty">⚠️ Could not load registrations</p>';
+        return;
+    }
+    renderConflictsPanel(eventCode);
+}
+window.openConflictsPanel = openConflictsPanel;
+
+function renderConflictsPanel(eventCode) {
+    const content = document.getElementById('conflictsContent');
+    const conflicts = eventConflicts[eventCode] || [];
+    if (conflicts.length === 0) {
+        content.innerHTML = '<p class="conflicts-empty">🎉 No conflicts for this event</p>';
+        return;
+    }
+
+    const records = new Map((eventRegistrationRecords[eventCode] || []).map(r => [r.id, r]));
+    content.innerHTML = conflicts.map((c, index) => {
+        const teams = c.ids.map((id, i) => {
+            const r = records.get(id) || {};
+            const safe = SecurityUtils.sanitizeTeamData(r);
+            const usns = window.DuplicateDetector.usnsOf(r).join(', ') || '—';
+            const registered = r.registeredAt ? new Date(timestampToMillis(r.registeredAt)).toLocaleDateString() : '—';
+            return `<label class="conflict-team">
+                <input type="radio" name="conflictKeep-${index}" value="${SecurityUtils.escapeHtml(id)}" ${i === 0 ? 'checked' : ''}>
+                <span class="conflict-team-info">
+                    <strong>${safe.teamName || '—'}</strong>
+                    <span>${safe.email || '—'} • ${SecurityUtils.escapeHtml(usns)}</span>
+                    <span>Registered ${SecurityUtils.escapeHtml(registered)}</span>
+                </span>
+                <span class="status-pill ${safe.status.toLowerCase()}">${safe.status}</span>
+            </label>`;
+        }).join('');
+        return `<div class="conflict-card">
+            <div class="conflict-card-header">
+                <span class="conflict-type">${CONFLICT_TYPE_LABELS[c.type]}</span>
+                <span class="conflict-key">${SecurityUtils.escapeHtml(c.key)}</span>
+            </div>
+            <p class="conflict-hint">Select the registration to keep when merging:</p>
+            ${teams}
+            <div class="conflict-actions">
+                <button class="btn btn-secondary" onclick="dismissConflict('${SecurityUtils.escapeHtml(eventCode)}', ${index})">Dismiss</button>
+                <button class="btn btn-primary" onclick="mergeConflict('${SecurityUtils.escapeHtml(eventCode)}', ${index})">🔀 Merge</button>
+            </div>
+        </div>`;
+    }).join('');
+}
+
+// Keep the selected registration and move the others to trash (restorable)
+async function mergeConflict(eventCode, index) {
+    if (!AdminPermissions.canDelete()) {
+        showToast('⚠️ Only super admins can merge registrations');
+        return;
+    }
+    const conflict = (eventConflicts[eventCode] || [])[index];
+    if (!conflict) return;
+
+    const keepId = document.querySelector(`input[name="conflictKeep-${index}"]:checked`)?.value;
+    if (!keepId || !conflict.ids.includes(keepId)) {
+        showToast('⚠️ Select the registration to keep');
+        return;
+    }
+    const removeIds = conflict.ids.filter(id => id !== keepId);
+    const records = new Map((eventRegistrationRecords[eventCode] || []).map(r => [r.id, r]));
+    const keepName = SecurityUtils.sanitizeTeamName(records.get(keepId)?.teamName || '') || 'the selected team';
+    if (!confirm(`Keep "${keepName}" and move ${removeIds.length} duplicate registration(s) to trash?`)) return;
+
+    const removed = [];
+    for (const id of removeIds) {
+        const result = await window.deleteFromFirestore('registrations', id, records.get(id)?.teamName || 'Unknown', { rebalance: false });
+        if (result.success) removed.push(id);
+    }
+
+    try {
+        const keepStatus = records.get(keepId)?.status || 'Pending';
+        await updateDoc(doc(db, 'registrations', keepId), {
+            statusHistory: arrayUnion(statusHistoryEntry(keepStatus, keepStatus, `Merged ${removed.length} duplicate registration(s)`))
+        });
+    } catch (error) {
+        secureLog('Error recording merge:', error);
+    }
+
+    await logAdminAction('MERGE_DUPLICATES', { eventCode, type: conflict.type, keptId: keepId, removedIds: removed });
+    showToast(`🔀 Merged — ${removed.length} duplicate(s) moved to trash`);
+
+    await rebalanceWaitlist(eventCode);
+    await loadEventData(eventCode);
+    try {
+        await scanEventRegistrations(eventCode);
+    } catch (err) {
+        secureLog(`Error re-checking ${eventCode} for duplicates:`, err);
+    }
+    renderConflictsPanel(eventCode);
+}
+window.mergeConflict = mergeConflict;
+
+// Hide a conflict that is legitimate; it returns if another team joins the group
+async function dismissConflict(eventCode, index) {
+    const conflict = (eventConflicts[eventCode] || [])[index];
+    if (!conflict) return;
+    if (!AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⛔ You do not have access to this event');
+        return;
+    }
+
+    try {
+        await updateDoc(doc(db, 'events', eventCode), { dismissedConflicts: arrayUnion(conflict.id) });
+        const event = allEvents.find(e => e.code === eventCode);
+        if (event) event.dismissedConflicts = [...(event.dismissedConflicts || []), conflict.id];
+        await logAdminAction('DISMISS_CONFLICT', { eventCode, type: conflict.type, teamIds: conflict.ids });
+        showToast('✅ Conflict dismissed');
+        checkForDuplicates(eventCode);
+        renderConflictsPanel(eventCode);
+    } catch (error) {
+        secureLog('Error dismissing conflict:', error);
+        showToast('⚠️ Could not dismiss conflict');
+    }
+}
+window.dismissConflict = dismissConflict;
+
+// ===== DYNAMIC EVENT SYSTEM =====
+
+// Default events list - used for seeding Firestore
+const DEFAULT_EVENTS = [
+    { code: 'testing', name: 'Testing (Sandbox)', emoji: '🧪', isActive: true, isFeatured: false },
+    { code: 'promptquest', name: 'PromptQuest', emoji: '🎯', isActive: true, isFeatured: false },
+    { code: 'uibattle', name: 'UI Battle', emoji: '🎨', isActive: true, isFeatured: false },
+    { code: 'hackathon', name: 'Hackathon', emoji: '💻', isActive: true, isFeatured: false }
+];
+
+// Seed default events to Firestore if they don't exist, or patch existing ones missing required fields
+async function seedDefaultEvents() {
+    try {
+        const batch = writeBatch(db);
+        let updated = 0;
+
+        for (const event of DEFAULT_EVENTS) {
+            const eventRef = doc(db, 'events', event.code);
+            const eventDoc = await getDoc(eventRef);
+
+            if (!eventDoc.exists()) {
+                // Create new event
+                batch.set(eventRef, {
+                    name: event.name,
+                    emoji: event.emoji,
+                    isActive: event.isActive,
+                    isFeatured: event.isFeatured,
+                    createdAt: serverTimestamp(),
+                    createdBy: 'system'
+                });
+                updated++;
+            } else {
+                // Check if existing event is missing required fields
+                const existingData = eventDoc.data();
+                const missingFields = {};
+
+                if (!existingData.name) missingFields.name = event.name;
+                if (!existingData.emoji) missingFields.emoji = event.emoji;
+                if (existingData.isActive === undefined) missingFields.isActive = true;
+                if (!existingData.createdAt) missingFields.createdAt = serverTimestamp();
+
+                if (Object.keys(missingFields).length > 0) {
+                    batch.update(eventRef, missingFields);
+                    updated++;
+                    console.log(`[seedDefaultEvents] Patching ${event.code} with:`, Object.keys(missingFields));
+                }
+            }
+        }
+
+        if (updated > 0) {
+            await batch.commit();
+            console.log(`[seedDefaultEvents] Updated ${updated} events in Firestore`);
+        }
+    } catch (error) {
+        secureLog('Error seeding default events:', error);
+    }
+}
+
+// Load all events from Firestore
+async function loadAllEvents() {
+    try {
+        // First, ensure default events exist
+        await seedDefaultEvents();
+
+        const eventsSnapshot = await getDocs(query(collection(db, 'events'), orderBy('createdAt', 'desc')));
+        allEvents = [];
+
+        eventsSnapshot.forEach(docSnap => {
+            const eventData = docSnap.data();
+            allEvents.push({
+                code: docSnap.id,
+                name: eventData.name || docSnap.id,
+                description: eventData.description || '',
+                emoji: eventData.emoji || '📋',
+                isActive: eventData.isActive !== false,
+                lifecycle: eventLifecycle(eventData),
+                isFeatured: eventData.isFeatured || false,
+                createdAt: eventData.createdAt,
+                // Include all display fields for editing
+                eventDate: eventData.eventDate || '',
+                eventDay: eventData.eventDay || '',
+                eventTime: eventData.eventTime || '',
+                eventDateRaw: eventData.eventDateRaw || '',
+                venue: eventData.venue || '',
+                sessions: eventData.sessions || [],
+                teamSize: eventData.teamSize || { min: 2, max: 3 },
+                capacity: eventData.capacity || 0,
+                posterUrl: eventData.posterUrl || '',
+                registrationStatus: eventData.registrationStatus || 'open',
+                registrationOpensAt: eventData.registrationOpensAt || null,
+                registrationClosesAt: eventData.registrationClosesAt || null,
+                formSchema: eventData.formSchema || null,
+                dismissedConflicts: eventData.dismissedConflicts || [],
+                notificationRules: eventData.notificationRules || {},
+                certificateTemplates: eventData.certificateTemplates || {}
+            });
+        });
+
+        return allEvents;
+    } catch (error) {
+        secureLog('Error loading events:', error);
+        // Use DEFAULT_EVENTS as fallback if Firestore fails
+        allEvents = DEFAULT_EVENTS.map(e => ({ ...e }));
+        return allEvents;
+    }
+}
+window.loadAllEvents = loadAllEvents;
+
+// Generate event selector cards dynamically
+async function generateEventCards() {
+    const grid = document.getElementById('eventSelectorGrid');
+    if (!grid) return;
+
+    // Show loading
+    grid.innerHTML = `<div class="event-loading" id="eventCardsLoader">
+        <div class="spinner"></div>
+        <p>Loading events...</p>
+    </div>`;
+
+    await loadAllEvents();
+
+    // Clear grid and generate cards
+    grid.innerHTML = '';
+
+    // Sort events by event date (latest first)
+    const sortedEvents = [...allEvents].sort((a, b) => {
+        const dateA = a.eventDateRaw ? new Date(a.eventDateRaw) : new Date(0);
+        const dateB = b.eventDateRaw ? new Date(b.eventDateRaw) : new Date(0);
+        return dateB - dateA; // Descending order (latest first)
+    });
+
+    for (const event of sortedEvents) {
+        if (!isLiveEvent(event)) continue;
+
+        // Skip events that normal admin doesn't have access to
+        // Only filter if there's an active admin session with restrictions
+        const isSuperAdmin = AdminPermissions.isSuperAdmin();
+        const accessibleEvents = AdminPermissions.getAccessibleEvents();
+
+        // If no admin is logged in yet, or user is super admin, show all events
+        // accessibleEvents is null for super admin, empty/array for normal admin
+        if (AdminPermissions.currentAdmin && !isSuperAdmin && accessibleEvents && accessibleEvents.length > 0) {
+            if (!accessibleEvents.includes(event.code)) {
+                console.log('[generateEventCards] Skipping event (no access):', event.code);
+                continue;
+            }
+        }
+
+        // Get registration count for this event (only if admin has access)
+        let count = 0;
+        try {
+            // Skip counting if admin doesn't have access to this event
+            if (!AdminPermissions.canAccessEvent(event.code)) {
+                console.log('[generateEventCards] Skipping count for event (no access):', event.code);
+            } else {
+                const countQuery = query(collection(db, 'registrations'), where('eventCode', '==', event.code));
+                const countSnapshot = await getCountFromServer(countQuery);
+                count = countSnapshot.data().count;
+                window[`${event.code}DataCount`] = count;
+            }
+        } catch (e) {
+            secureLog(`Could not count registrations for ${event.code}`, e);
+        }
+
+        const safeCode = SecurityUtils.escapeHtml(event.code);
+        const safeName = SecurityUtils.escapeHtml(event.name);
+        const safeEmoji = SecurityUtils.escapeHtml(event.emoji);
+
+        // Hide delete button for normal admins
+        const deleteBtn = isSuperAdmin
+            ? `<button class="event-action-btn event-delete-btn" onclick="event.stopPropagation(); openDeleteEventModal('${safeCode}', '${safeName}')" title="Delete Event">🗑️</button>`
+            : '';
+
+        // Archive button (for super admins)
+        const archiveBtn = isSuperAdmin
+            ? `<button class="event-action-btn event-archive-btn" onclick="event.stopPropagation(); archiveEvent('${safeCode}')" title="Archive Event">📦</button>`
+            : '';
+
+        // Drafts and completed events are labelled; active is the default
+        const lifecycle = eventLifecycle(event);
+        const lifecycleBadge = lifecycle !== 'active'
+            ? `<span class="event-lifecycle-badge ${lifecycle}">${EVENT_LIFECYCLE[lifecycle].emoji} ${EVENT_LIFECYCLE[lifecycle].label}</span>`
+            : '';
+
+        // Edit button (for super admins)
+        const editBtn = isSuperAdmin
+            ? `<button class="event-action-btn event-edit-btn" onclick="event.stopPropagation(); openEditEventModal('${safeCode}')" title="Edit Event">✏️</button>`
+            : '';
+
+        // Featured badge and toggle button (only for super admins)
+        const featuredBadge = event.isFeatured
+            ? '<span class="featured-badge">⭐ Featured</span>'
+            : '';
+        const featuredToggle = isSuperAdmin
+            ? `<button class="event-action-btn event-featured-btn ${event.isFeatured ? 'active' : ''}" onclick="event.stopPropagation(); toggleFeatured('${safeCode}')" title="${event.isFeatured ? 'Remove from main page' : 'Feature on main page'}">${event.isFeatured ? '⭐' : '☆'}</button>`
+            : '';
+
+        grid.innerHTML += `
+            <div class="event-select-card ${event.isFeatured ? 'is-featured' : ''}" data-event="${safeCode}" onclick="openEventView('${safeCode}')">
+                <div class="event-card-actions">
+                    ${featuredToggle}
+                    ${editBtn}
+                    ${archiveBtn}
+                    ${deleteBtn}
+                </div>
+                ${featuredBadge}
+                <div class="icon">${safeEmoji}</div>
+                <h4>${safeName}</h4>
+                <span class="count" id="${safeCode}-count">👥 ${count} teams</span>
+                ${lifecycleBadge}
+            </div>`;
+    }
+
+    renderArchivedEvents();
+}
+window.generateEventCards = generateEventCards;
+
+// Generate event tabs dynamically
+function generateEventTabs() {
+    const tabsContainer = document.getElementById('dynamicEventTabs');
+    if (!tabsContainer) return;
+
+    tabsContainer.innerHTML = '';
+    const isSuperAdmin = AdminPermissions.isSuperAdmin();
+    const accessibleEvents = AdminPermissions.getAccessibleEvents();
+    let firstAccessible = true;
+
+    allEvents.forEach((event, index) => {
+        if (!isLiveEvent(event)) return;
+
+        // Skip events that normal admin doesn't have access to
+        if (AdminPermissions.currentAdmin && !isSuperAdmin && accessibleEvents && accessibleEvents.length > 0) {
+            if (!accessibleEvents.includes(event.code)) {
+                return;
+            }
+        }
+
+        const safeCode = SecurityUtils.escapeHtml(event.code);
+        const safeName = SecurityUtils.escapeHtml(event.name);
+        const safeEmoji = SecurityUtils.escapeHtml(event.emoji);
+
+        const isFirst = firstAccessible;
+        firstAccessible = false;
+
+        tabsContainer.innerHTML += `
+            <button class="event-tab ${isFirst ? 'active' : ''}" onclick="switchEvent('${safeCode}', this)" data-event="${safeCode}">
+                ${safeEmoji} ${safeName}
+            </button>`;
+    });
+}
+window.generateEventTabs = generateEventTabs;
+
+function generateEventContents() {
+    const container = document.getElementById('dynamicEventContents');
+    if (!container) return;
+
+    container.innerHTML = '';
+    const isSuperAdmin = AdminPermissions.isSuperAdmin();
+    const accessibleEvents = AdminPermissions.getAccessibleEvents();
+    let firstAccessible = true;
+
+    allEvents.forEach((event, index) => {
+        if (!isLiveEvent(event)) return;
+
+        // Skip events that normal admin doesn't have access to
+        if (AdminPermissions.currentAdmin && !isSuperAdmin && accessibleEvents && accessibleEvents.length > 0) {
+            if (!accessibleEvents.includes(event.code)) {
+                return;
+            }
+        }
+
+        const safeCode = SecurityUtils.escapeHtml(event.code);
+        const safeName = SecurityUtils.escapeHtml(event.name);
+        const safeEmoji = SecurityUtils.escapeHtml(event.emoji);
+
+        const isFirst = firstAccessible;
+        firstAccessible = false;
+
+        container.innerHTML += `
+            <div id="${safeCode}-content" class="event-content ${isFirst ? 'active' : ''}">
+                <div class="sub-tabs">
+                    <button class="sub-tab active" onclick="switchSubTab('${safeCode}', 'reg', this)">📝 Registration</button>
+                    <button class="sub-tab" onclick="switchSubTab('${safeCode}', 'winners', this)">🏆 Winners</button>
+                    <button class="sub-tab" onclick="switchSubTab('${safeCode}', 'images', this)">📸 Images</button>
+                </div>
+
+                <div id="${safeCode}-reg" class="sub-content active">
+                    <div class="data-table-wrapper">
+                        <div class="data-table-header">
+                            <div class="header-left">
+                                <span class="data-table-title">${safeEmoji} ${safeName} Participants</span>
+                                <div class="table-filters" style="margin-left: 20px;">
                                     <div class="filter-tabs">
                                         <label class="filter-tab">
                                             <input type="radio" name="statusFilter-${safeCode}" value="all" checked>
@@ -1847,13 +4230,27 @@ function generateEventContents() {
                                             <input type="radio" name="statusFilter-${safeCode}" value="pending">
                                             <span class="tab-text">Pending</span>
                                         </label>
+                                        <label class="filter-tab">
+                                            <input type="radio" name="statusFilter-${safeCode}" value="waitlisted">
+                                            <span class="tab-text">Waitlisted</span>
+                                        </label>
                                     </div>
                                 </div>
                             </div>
                             <div class="data-table-controls">
+                                <button class="conflicts-btn" id="${safeCode}-conflicts-btn" onclick="openConflictsPanel('${safeCode}')" title="Check every registration for duplicate USNs, emails and team names">
+                                    🔍 Check duplicates
+                                </button>
+                                <button class="filter-toggle-btn" onclick="recountSeats('${safeCode}')" title="Recount seats, fill freed ones from the waitlist and waitlist unreviewed teams over capacity">
+                                    🪑 Recount seats
+                                </button>
+                                <button class="filter-toggle-btn" onclick="openCheckinView('${safeCode}')" title="Scan QR codes at the door">
+                                    📷 Check-in
+                                </button>
                                 <button class="filter-toggle-btn" id="filterToggle-${safeCode}" onclick="toggleFilterBar('${safeCode}')">
                                     🔽 Filter
                                 </button>
+                                <span class="live-indicator" id="${safeCode}-live" title="New and changed registrations appear automatically">● Live</span>
                                 <button class="table-refresh-btn" onclick="refreshEventData('${safeCode}')" title="Refresh data">
                                     <span class="refresh-icon">↻</span>
                                 </button>
@@ -1866,289 +4263,1368 @@ function generateEventContents() {
                             </div>
                         </div>
 
-                        <div class="filter-bar" id="filterBar-${safeCode}">
-                            <div class="filter-group">
-                                <label>Date Range</label>
-                                <div class="animated-calendar" id="calendar-${safeCode}">
-                                    <div class="calendar-trigger" onclick="toggleCalendar('${safeCode}')">
-                                        <span class="calendar-icon">📅</span>
-                                        <span class="calendar-text placeholder" id="calendarText-${safeCode}">Select date range</span>
-                                    </div>
-                                    <div class="calendar-dropdown" id="calendarDropdown-${safeCode}">
-                                        <div class="calendar-header">
-                                            <button class="calendar-nav-btn" onclick="calendarPrevYear('${safeCode}')" title="Previous Year">«</button>
-                                            <button class="calendar-nav-btn" onclick="calendarPrevMonth('${safeCode}')" title="Previous Month">‹</button>
-                                            <span class="calendar-title" id="calendarTitle-${safeCode}">February 2026</span>
-                                            <button class="calendar-nav-btn" onclick="calendarNextMonth('${safeCode}')" title="Next Month">›</button>
-                                            <button class="calendar-nav-btn" onclick="calendarNextYear('${safeCode}')" title="Next Year">»</button>
-                                        </div>
-                                        <div class="calendar-weekdays">
-                                            <span class="calendar-weekday">Su</span>
-                                            <span class="calendar-weekday">Mo</span>
-                                            <span class="calendar-weekday">Tu</span>
-                                            <span class="calendar-weekday">We</span>
-                                            <span class="calendar-weekday">Th</span>
-                                            <span class="calendar-weekday">Fr</span>
-                                            <span class="calendar-weekday">Sa</span>
-                                        </div>
-                                        <div class="calendar-days" id="calendarDays-${safeCode}"></div>
-                                        <div class="calendar-footer">
-                                            <button class="calendar-footer-btn" onclick="calendarSelectToday('${safeCode}')">
-                                                <span class="check-icon">✓</span> Today
-                                            </button>
-                                            <button class="calendar-footer-btn" onclick="calendarClear('${safeCode}')">
-                                                × Clear
-                                            </button>
-                                        </div>
-                                    </div>
-                                </div>
-                                <input type="hidden" id="filterDateFrom-${safeCode}">
-                                <input type="hidden" id="filterDateTo-${safeCode}">
-                            </div>
-                            <div class="filter-group">
-                                <label>Status</label>
-                                <select id="filterStatus-${safeCode}">
-                                    <option value="">All</option>
-                                    <option value="pending">Pending</option>
-                                    <option value="verified">Verified</option>
-                                </select>
-                            </div>
-                            <div class="filter-actions">
-                                <button class="filter-btn apply" onclick="applyFilters('${safeCode}')">Apply</button>
-                                <button class="filter-btn clear" onclick="clearFilters('${safeCode}')">Clear</button>
-                            </div>
-                        </div>
+                        <div class="filter-bar" id="filterBar-${safeCode}">
+                            <div class="filter-group">
+                                <label>Date Range</label>
+                                <div class="animated-calendar" id="calendar-${safeCode}">
+                                    <div class="calendar-trigger" onclick="toggleCalendar('${safeCode}')">
+                                        <span class="calendar-icon">📅</span>
+                                        <span class="calendar-text placeholder" id="calendarText-${safeCode}">Select date range</span>
+                                    </div>
+                                    <div class="calendar-dropdown" id="calendarDropdown-${safeCode}">
+                                        <div class="calendar-header">
+                                            <button class="calendar-nav-btn" onclick="calendarPrevYear('${safeCode}')" title="Previous Year">«</button>
+                                            <button class="calendar-nav-btn" onclick="calendarPrevMonth('${safeCode}')" title="Previous Month">‹</button>
+                                            <span class="calendar-title" id="calendarTitle-${safeCode}">February 2026</span>
+                                            <button class="calendar-nav-btn" onclick="calendarNextMonth('${safeCode}')" title="Next Month">›</button>
+                                            <button class="calendar-nav-btn" onclick="calendarNextYear('${safeCode}')" title="Next Year">»</button>
+                                        </div>
+                                        <div class="calendar-weekdays">
+                                            <span class="calendar-weekday">Su</span>
+                                            <span class="calendar-weekday">Mo</span>
+                                            <span class="calendar-weekday">Tu</span>
+                                            <span class="calendar-weekday">We</span>
+                                            <span class="calendar-weekday">Th</span>
+                                            <span class="calendar-weekday">Fr</span>
+                                            <span class="calendar-weekday">Sa</span>
+                                        </div>
+                                        <div class="calendar-days" id="calendarDays-${safeCode}"></div>
+                                        <div class="calendar-footer">
+                                            <button class="calendar-footer-btn" onclick="calendarSelectToday('${safeCode}')">
+                                                <span class="check-icon">✓</span> Today
+                                            </button>
+                                            <button class="calendar-footer-btn" onclick="calendarClear('${safeCode}')">
+                                                × Clear
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                                <input type="hidden" id="filterDateFrom-${safeCode}">
+                                <input type="hidden" id="filterDateTo-${safeCode}">
+                            </div>
+                            <div class="filter-group">
+                                <label>Status</label>
+                                <select id="filterStatus-${safeCode}">
+                                    <option value="">All</option>
+                                    <option value="pending">Pending</option>
+                                    <option value="verified">Verified</option>
+                                    <option value="waitlisted">Waitlisted</option>
+                                    <option value="checked-in">Checked-in</option>
+                                    <option value="rejected">Rejected</option>
+                                    <option value="cancelled">Cancelled</option>
+                                </select>
+                            </div>
+                            <div class="filter-actions">
+                                <button class="filter-btn apply" onclick="applyFilters('${safeCode}')">Apply</button>
+                                <button class="filter-btn clear" onclick="clearFilters('${safeCode}')">Clear</button>
+                            </div>
+                        </div>
+
+                        <table class="data-table" id="${safeCode}-table">
+                            <thead>
+                                <tr>
+                                    <th style="width: 40px;"><input type="checkbox" class="row-checkbox"
+                                            id="selectAll-${safeCode}"
+                                            onchange="toggleSelectAll(this.checked, '${safeCode}')"
+                                            title="Select all"></th>
+                                    <th class="sortable" data-sort="registeredAt" onclick="sortEventTable('${safeCode}', 'registeredAt')" title="Sort by registration time">Team</th>
+                                    <th class="sortable" data-sort="teamName" onclick="sortEventTable('${safeCode}', 'teamName')" title="Sort by team name">Team Name</th>
+                                    <th>Member 1</th>
+                                    <th>Member 2</th>
+                                    <th>Member 3</th>
+                                    <th>Email</th>
+                                    <th class="sortable" data-sort="status" onclick="sortEventTable('${safeCode}', 'status')" title="Sort by status">Status</th>
+                                    <th>Attended</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody id="${safeCode}-tbody">
+                                <tr><td colspan="10" style="text-align:center;padding:40px;color:var(--text-muted);">
+                                    <div class="spinner" style="margin: 0 auto 10px;"></div>
+                                    Loading registrations...
+                                </td></tr>
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="pagination" id="${safeCode}-pagination"></div>
+                </div>
+
+                <div id="${safeCode}-winners" class="sub-content">
+                    <div class="placeholder-box">
+                        <div class="icon">🏆</div>
+                        <h4>Winners Coming Soon!</h4>
+                        <p>${safeName} winners will be announced after the event.</p>
+                    </div>
+                </div>
+
+                <div id="${safeCode}-images" class="sub-content">
+                    <div class="placeholder-box">
+                        <div class="icon">📷</div>
+                        <h4>Event Photos Coming Soon!</h4>
+                        <p>Photos will be uploaded after the event.</p>
+                    </div>
+                </div>
+            </div>`;
+    });
+
+    // Setup status filter listeners for each event
+    setupEventFilterListeners();
+}
+window.generateEventContents = generateEventContents;
+
+// Setup filter listeners for dynamically created events
+function setupEventFilterListeners() {
+    allEvents.forEach(event => {
+        if (!isLiveEvent(event)) return;
+
+        document.querySelectorAll(`input[name="statusFilter-${event.code}"]`).forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                applyStatusFilter(e.target.value, event.code);
+            });
+        });
+    });
+}
+
+// ===== REGISTRATION TABLE PAGING =====
+// Event tables hold one page of registrations at a time, fetched with Firestore
+// cursors (startAfter), so only the visible page is ever in the DOM. Sorting is
+// the query's orderBy; sorting by team name or status needs the composite
+// indexes listed in the README. Search, status and date filters cover the whole
+// event: while one is set, paging is off and the table lists every match.
+const TABLE_PAGE_SIZES = [25, 50, 100];
+const REGISTRATION_SORT_DEFAULT_DIR = { registeredAt: 'desc', teamName: 'asc', status: 'asc' };
+const eventTableState = {};
+
+function tableState(eventCode) {
+    if (!eventTableState[eventCode]) {
+        eventTableState[eventCode] = {
+            pageSize: TABLE_PAGE_SIZES[0],
+            sortField: 'registeredAt',
+            sortDir: 'desc',
+            page: 1,
+            cursors: [], // cursors[n] = last doc shown on page n + 1
+            hasNext: false,
+            total: 0,
+            shown: 0,
+            filter: { status: '', search: '', from: null, to: null } // from/to: ms bounds of registeredAt
+        };
+    }
+    return eventTableState[eventCode];
+}
+
+// Current page of an event; the one extra doc only tells whether there is a next page
+function registrationPageQuery(eventCode) {
+    const state = tableState(eventCode);
+    const constraints = [where('eventCode', '==', eventCode), orderBy(state.sortField, state.sortDir)];
+    const cursor = state.cursors[state.page - 2];
+    if (cursor) constraints.push(startAfter(cursor));
+    constraints.push(limit(state.pageSize + 1));
+    return query(collection(db, 'registrations'), ...constraints);
+}
+
+// Render a page snapshot; a page emptied by deletions falls back to the previous one
+function applyPageSnapshot(eventCode, snapshot, patch = {}) {
+    const state = tableState(eventCode);
+    const docs = snapshot.docs.slice(0, state.pageSize);
+    if (docs.length === 0 && state.page > 1) {
+        state.page--;
+        reloadEventTable(eventCode);
+        return;
+    }
+    state.hasNext = snapshot.docs.length > state.pageSize;
+    state.cursors[state.page - 1] = docs[docs.length - 1];
+    state.cursors.length = state.page;
+    renderEventTable(eventCode, docs, patch);
+    renderTablePagination(eventCode);
+}
+
+// The open event's count comes with the rest of its totals (see refreshEventTotals)
+async function refreshEventCount(eventCode) {
+    try {
+        const snapshot = await getCountFromServer(query(collection(db, 'registrations'), where('eventCode', '==', eventCode)));
+        showEventCount(eventCode, snapshot.data().count);
+    } catch (err) {
+        secureLog(`Could not count registrations for ${eventCode}`, err);
+    }
+}
+
+function showEventCount(eventCode, total) {
+    tableState(eventCode).total = total;
+    window[`${eventCode}DataCount`] = total;
+    const countEl = document.getElementById(`${eventCode}-count`);
+    if (countEl) countEl.textContent = `👥 ${total} teams`;
+    renderTablePagination(eventCode);
+}
+
+function isTableFiltered(eventCode) {
+    const { filter } = tableState(eventCode);
+    return Boolean(filter.status || filter.search || filter.from || filter.to);
+}
+
+// A table's search/status/date filter (also used to export only matching rows)
+function matchesTableFilter(d, filter) {
+    if (filter.status && (d.status || 'Pending').toLowerCase() !== filter.status) return false;
+    const registeredAt = timestampToMillis(d.registeredAt);
+    if (registeredAt && ((filter.from && registeredAt < filter.from) || (filter.to && registeredAt > filter.to))) return false;
+    if (filter.search) {
+        const members = [1, 2, 3, 4].map(n => d[`member${n}`]).filter(Boolean);
+        const text = [d.teamName, d.email, d.confirmationCode, ...members.flatMap(m => [m.name, m.usn])]
+            .filter(Boolean).join(' ').toLowerCase();
+        if (!text.includes(filter.search)) return false;
+    }
+    return true;
+}
+
+// Every registration of the event that passes the filter, in the table's sort
+// order, from one read of the event each time the filter changes
+async function renderFilteredTable(eventCode) {
+    const state = tableState(eventCode);
+    let entries;
+    try {
+        const snapshot = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', eventCode)));
+        entries = snapshot.docs.map(docSnap => [docSnap.id, docSnap.data()]);
+    } catch (err) {
+        secureLog(`Error filtering ${eventCode}:`, err);
+        showEventTableError(eventCode);
+        return;
+    }
+    if (!isTableFiltered(eventCode)) return; // cleared while loading
+
+    const sortValue = d => state.sortField === 'registeredAt' ? timestampToMillis(d.registeredAt) : String(d[state.sortField] || '');
+    const direction = state.sortDir === 'asc' ? 1 : -1;
+    const docs = entries
+        .filter(([, d]) => matchesTableFilter(d, state.filter))
+        .sort(([, a], [, b]) => (sortValue(a) < sortValue(b) ? -1 : sortValue(a) > sortValue(b) ? 1 : 0) * direction)
+        .map(([id, d]) => ({ id, data: () => d }));
+    state.hasNext = false;
+    renderEventTable(eventCode, docs);
+    renderTablePagination(eventCode);
+}
+
+// Filters restart paging; a filtered table lists every match (see renderFilteredTable)
+async function setTableFilter(eventCode, changes, { quiet = false } = {}) {
+    const state = tableState(eventCode);
+    Object.assign(state.filter, changes);
+    state.page = 1;
+    state.cursors = [];
+    await reloadEventTable(eventCode);
+    if (!quiet && isTableFiltered(eventCode)) showToast(`🔍 Showing ${state.shown} of ${state.total} teams`);
+}
+
+// Re-run the current page query, live or one-shot (or the filter, when one is set)
+function reloadEventTable(eventCode) {
+    if (isTableFiltered(eventCode)) return renderFilteredTable(eventCode);
+    if (eventListeners[eventCode]) {
+        unsubscribeEventData(eventCode);
+        return subscribeEventData(eventCode);
+    }
+    return loadEventData(eventCode);
+}
+
+function goToTablePage(eventCode, step) {
+    const state = tableState(eventCode);
+    if (step > 0 && !state.hasNext) return;
+    if (step < 0 && state.page === 1) return;
+    state.page += step;
+    reloadEventTable(eventCode);
+}
+window.goToTablePage = goToTablePage;
+
+function setTablePageSize(eventCode, size) {
+    const pageSize = parseInt(size, 10);
+    if (!TABLE_PAGE_SIZES.includes(pageSize)) return;
+    const state = tableState(eventCode);
+    state.pageSize = pageSize;
+    state.page = 1;
+    state.cursors = [];
+    reloadEventTable(eventCode);
+}
+window.setTablePageSize = setTablePageSize;
+
+// orderBy() leaves out every doc without the sorted field, and older or imported
+// registrations can lack status/teamName (read as 'Pending'/blank everywhere else).
+// Before an event's table first sorts on either, the missing values are written in.
+const REGISTRATION_SORT_FALLBACKS = { teamName: '', status: 'Pending' };
+const sortFieldsBackfilled = new Set();
+
+async function backfillSortFields(eventCode) {
+    if (sortFieldsBackfilled.has(eventCode)) return;
+    const fields = Object.keys(REGISTRATION_SORT_FALLBACKS);
+    const eventQuery = query(collection(db, 'registrations'), where('eventCode', '==', eventCode));
+    const counts = await Promise.all([eventQuery, ...fields.map(field => query(eventQuery, orderBy(field)))]
+        .map(async q => (await getCountFromServer(q)).data().count));
+    if (counts.some(count => count !== counts[0])) {
+        const snapshot = await getDocs(eventQuery);
+        const missing = snapshot.docs
+            .map(docSnap => ({ ref: docSnap.ref, fill: Object.fromEntries(fields
+                .filter(field => !(field in docSnap.data()))
+                .map(field => [field, REGISTRATION_SORT_FALLBACKS[field]])) }))
+            .filter(({ fill }) => Object.keys(fill).length > 0);
+        for (let i = 0; i < missing.length; i += WRITE_BATCH_SIZE) {
+            const batch = writeBatch(db);
+            missing.slice(i, i + WRITE_BATCH_SIZE).forEach(({ ref, fill }) => batch.update(ref, fill));
+            await batch.commit();
+        }
+        await logAdminAction('BACKFILL_SORT_FIELDS', { eventCode, updated: missing.length });
+    }
+    sortFieldsBackfilled.add(eventCode);
+}
+
+// Clicking the sorted column again flips its direction
+async function sortEventTable(eventCode, field) {
+    if (!REGISTRATION_SORT_DEFAULT_DIR[field]) return;
+    if (field in REGISTRATION_SORT_FALLBACKS) {
+        try {
+            await backfillSortFields(eventCode);
+        } catch (err) {
+            secureLog(`Could not prepare ${eventCode} for sorting by ${field}:`, err);
+            showToast('❌ Could not sort the table');
+            return;
+        }
+    }
+    const state = tableState(eventCode);
+    if (state.sortField === field) {
+        state.sortDir = state.sortDir === 'asc' ? 'desc' : 'asc';
+    } else {
+        state.sortField = field;
+        state.sortDir = REGISTRATION_SORT_DEFAULT_DIR[field];
+    }
+    state.page = 1;
+    state.cursors = [];
+    reloadEventTable(eventCode);
+}
+window.sortEventTable = sortEventTable;
+
+function renderTablePagination(eventCode) {
+    const container = document.getElementById(`${eventCode}-pagination`);
+    if (!container) return;
+    const state = tableState(eventCode);
+    const { shown } = state;
+    const filtered = isTableFiltered(eventCode);
+    const first = (state.page - 1) * state.pageSize + 1;
+
+    document.querySelectorAll(`[id="${CSS.escape(eventCode)}-table"] th[data-sort]`).forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sort === state.sortField && state.sortDir === 'asc');
+        th.classList.toggle('sorted-desc', th.dataset.sort === state.sortField && state.sortDir === 'desc');
+    });
+
+    const prev = document.createElement('button');
+    prev.className = 'page-btn';
+    prev.textContent = '‹';
+    prev.title = 'Previous page';
+    prev.disabled = filtered || state.page === 1;
+    prev.onclick = () => goToTablePage(eventCode, -1);
+
+    const info = document.createElement('span');
+    info.className = 'page-info';
+    if (filtered) {
+        info.textContent = `${shown} matching${state.total ? ` of ${state.total}` : ''}`;
+    } else {
+        info.textContent = shown > 0
+            ? `Page ${state.page} · ${first}–${first + shown - 1}${state.total ? ` of ${state.total}` : ''}`
+            : `Page ${state.page}`;
+    }
+
+    const next = document.createElement('button');
+    next.className = 'page-btn';
+    next.textContent = '›';
+    next.title = 'Next page';
+    next.disabled = filtered || !state.hasNext;
+    next.onclick = () => goToTablePage(eventCode, 1);
+
+    const sizeLabel = document.createElement('label');
+    sizeLabel.className = 'page-size';
+    sizeLabel.append('Rows per page ');
+    const sizeSelect = document.createElement('select');
+    TABLE_PAGE_SIZES.forEach(size => sizeSelect.add(new Option(size, size, false, size === state.pageSize)));
+    sizeSelect.onchange = () => setTablePageSize(eventCode, sizeSelect.value);
+    sizeLabel.appendChild(sizeSelect);
+
+    container.replaceChildren(prev, info, next, sizeLabel);
+}
+
+// Generic data loader for any event. While the event is open its table is
+// live (see LIVE REGISTRATIONS), so this only fetches tables nobody is watching.
+async function loadEventData(eventCode) {
+    if (eventListeners[eventCode]) return eventListeners[eventCode].ready;
+    if (isTableFiltered(eventCode)) return renderFilteredTable(eventCode);
+    try {
+        const snapshot = await getDocs(registrationPageQuery(eventCode));
+        applyPageSnapshot(eventCode, snapshot);
+        refreshEventCount(eventCode);
+    } catch (err) {
+        secureLog(`Error loading ${eventCode} data:`, err);
+        showEventTableError(eventCode);
+    }
+}
+window.loadEventData = loadEventData;
+
+function showEventTableError(eventCode) {
+    const tbody = document.getElementById(`${eventCode}-tbody`);
+    if (tbody) {
+        tbody.innerHTML = '<tr><td colspan="10" style="text-align:center;padding:40px;color:var(--accent-red);">Error loading data</td></tr>';
+    }
+}
+
+// Build (or patch) an event's registrations table from one page of registration
+// docs (or every filter match). Without `changed` the table is rebuilt; with it,
+// rows of unchanged teams are kept as they are and only changed/added teams are rendered.
+function renderEventTable(eventCode, pageDocs, { changed = null, added = null } = {}) {
+    const tbody = document.getElementById(`${eventCode}-tbody`);
+    if (!tbody) return;
+    const state = tableState(eventCode);
+    state.shown = pageDocs.length;
+
+    if (pageDocs.length === 0) {
+        const message = isTableFiltered(eventCode) ? 'No registrations match the filters' : 'No registrations';
+        tbody.innerHTML = `<tr><td colspan="10" style="text-align:center;padding:40px;color:var(--text-muted);">${message}</td></tr>`;
+        return;
+    }
+
+    // Multi-slot events: one block of rows per session, in session order
+    const sessions = eventSessions(eventCode);
+    const sessionIndex = new Map(sessions.map((s, index) => [s.id, index]));
+    const groupOf = docSnap => sessionIndex.has(docSnap.data().sessionId) ? docSnap.data().sessionId : '';
+    const docs = [...pageDocs];
+    if (sessions.length > 0) {
+        const orderOf = docSnap => sessionIndex.get(groupOf(docSnap)) ?? sessions.length;
+        docs.sort((a, b) => orderOf(a) - orderOf(b));
+    }
+
+    const existingRows = changed
+        ? new Map([...tbody.querySelectorAll('tr[data-team]')].map(row => [row.dataset.team, row]))
+        : new Map();
+    const fragment = document.createDocumentFragment();
+    let currentSession = null;
+    let i = (state.page - 1) * state.pageSize + 1;
+
+    docs.forEach(docSnap => {
+        const d = docSnap.data();
+        if (sessions.length > 0 && groupOf(docSnap) !== currentSession) {
+            currentSession = groupOf(docSnap);
+            const group = pageDocs.filter(x => groupOf(x) === currentSession).map(x => x.data());
+            fragment.appendChild(renderSessionGroupRow(sessions.find(s => s.id === currentSession), sessionGroupCounts(eventCode, currentSession, group)));
+        }
+
+        const index = i++;
+        const previous = existingRows.get(docSnap.id);
+        if (previous && !changed.has(docSnap.id)) {
+            previous.querySelector('.team-badge').textContent = index;
+            fragment.appendChild(previous);
+            return;
+        }
+
+        const row = renderRegistrationRow(docSnap.id, d, index, eventCode, sessions.length > 0);
+        if (previous) {
+            // Keep the admin's selection and filtering on a row patched under them
+            row.style.display = previous.style.display;
+            row.querySelector('.row-checkbox').checked = previous.querySelector('.row-checkbox')?.checked || false;
+        }
+        if (added?.has(docSnap.id)) row.classList.add('row-new');
+        fragment.appendChild(row);
+    });
+
+    tbody.replaceChildren(fragment);
+    if (changed) updateBulkActionBar();
+
+    // Conflicts come from the event's last scan (eventRegistrationRecords); this marks the rows on screen
+    setTimeout(() => checkForDuplicates(eventCode), 100);
+}
+
+// Plain-text member name and "USN • dept" line for table cells
+function memberCellText(member) {
+    const usn = SecurityUtils.sanitizeString(member?.usn, 20) || '';
+    const dept = SecurityUtils.sanitizeString(member?.dept, 50) || '';
+    return { name: SecurityUtils.sanitizeString(member?.name, 100) || '-', detail: `${usn} • ${dept}` };
+}
+
+// One registrations table row, built with DOM APIs so values never pass through HTML
+function renderRegistrationRow(docId, d, index, eventCode, hasSessions) {
+    const teamName = SecurityUtils.sanitizeTeamName(d.teamName);
+    const email = SecurityUtils.sanitizeString(d.email, 254);
+    const status = REGISTRATION_STATUSES.includes(d.status) ? d.status : 'Pending';
+    const [m1, m2, m3] = [d.member1, d.member2, d.member3].map(memberCellText);
+    const teamDataStr = encodeURIComponent(JSON.stringify(d));
+    const regDate = d.registeredAt ? (d.registeredAt.toDate ? d.registeredAt.toDate().toISOString() : new Date(d.registeredAt.seconds * 1000).toISOString()) : '';
+
+    // Winner badge position labels
+    const POSITION_LABELS = { 1: '1st', 2: '2nd', 3: '3rd' };
+    const POSITION_CLASSES = { 1: 'gold', 2: 'silver', 3: 'bronze' };
+
+    const node = (tag, className = '', text = null) => {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== null) el.textContent = text;
+        return el;
+    };
+    // Cells with their own controls don't open the team drawer
+    const controlCell = () => {
+        const td = node('td');
+        td.onclick = e => e.stopPropagation();
+        return td;
+    };
+    const memberCell = member => {
+        const td = node('td');
+        const info = node('div', 'member-info');
+        info.append(node('span', 'name', member.name), node('span', 'detail', member.detail));
+        td.appendChild(info);
+        return td;
+    };
+    const actionBtn = (className, label, text, onclick) => {
+        const btn = node('button', `action-btn ${className}`, text);
+        btn.setAttribute('aria-label', label);
+        btn.onclick = onclick;
+        return btn;
+    };
+
+    const row = node('tr', 'clickable-row');
+    row.dataset.team = docId;
+    if (hasSessions) row.dataset.session = d.sessionId || '';
+    row.dataset.registeredAt = regDate;
+    row.onclick = e => handleRowClick(e, docId, teamDataStr);
+
+    const selectCell = controlCell();
+    const checkbox = node('input', 'row-checkbox');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.teamId = docId;
+    checkbox.onchange = toggleRowSelection;
+    selectCell.appendChild(checkbox);
+
+    const badgeCell = node('td');
+    badgeCell.appendChild(node('span', 'team-badge', index));
+
+    const nameCell = node('td');
+    nameCell.appendChild(node('strong', '', teamName || '—'));
+    if (d.isWinner) {
+        nameCell.appendChild(node('span', `winner-badge ${POSITION_CLASSES[d.winnerPosition] || 'bronze'}`, `🏆 ${POSITION_LABELS[d.winnerPosition] || '3rd'}`));
+    }
+
+    const emailCell = controlCell();
+    const emailLink = node('a', 'email-link', email);
+    emailLink.href = `mailto:${email}`;
+    emailCell.appendChild(emailLink);
+
+    const statusCell = controlCell();
+    const pill = node('span', `status-pill clickable ${status.toLowerCase()}`, status);
+    pill.onclick = () => openStatusModal(docId, status, eventCode);
+    statusCell.appendChild(pill);
+
+    const attendanceCell = controlCell();
+    attendanceCell.className = 'attendance-cell';
+    attendanceCell.style.textAlign = 'center';
+    attendanceCell.appendChild(renderAttendanceCell(docId, d, eventCode));
+
+    const actionsCell = controlCell();
+    const actions = node('div', 'action-buttons');
+    const winnerBtn = d.isWinner
+        ? actionBtn('winner', 'Remove winner status', '❌', () => removeWinner(docId, eventCode))
+        : actionBtn('winner', 'Set as winner', '🏆', () => openWinnerModal(docId, teamName, eventCode));
+    winnerBtn.title = d.isWinner ? 'Remove Winner Status' : 'Set as Winner';
+    actions.append(
+        actionBtn('view', 'View details', '👁️', e => handleRowClick(e, docId, teamDataStr)),
+        winnerBtn,
+        actionBtn('verify', 'Toggle verification status', '✓', () => toggleStatus(docId, status, eventCode)),
+        actionBtn('edit', 'Edit team', '✏️', () => openEditModal(docId, teamName, m1.name, m1.detail, m2.name, m2.detail, m3.name, m3.detail, email)),
+        actionBtn('delete', 'Delete team', '🗑️', () => openDeleteModal(docId, teamName))
+    );
+    actionsCell.appendChild(actions);
+
+    row.append(selectCell, badgeCell, nameCell, memberCell(m1), memberCell(m2), memberCell(m3), emailCell, statusCell, attendanceCell, actionsCell);
+    return row;
+}
+
+// Teams and seats of a session's block ('' = no session): the event's counts
+// once refreshEventTotals has them, else those of the registrations given
+function sessionGroupCounts(eventCode, sessionId, registrations) {
+    const totals = eventTotals[eventCode];
+    if (totals) {
+        if (sessionId) return totals.sessions.get(sessionId) || { teams: 0, seats: 0 };
+        const inSessions = [...totals.sessions.values()].reduce((sum, s) => sum + s.teams, 0);
+        return { teams: totals.teams - inSessions, seats: 0 };
+    }
+    return {
+        teams: registrations.length,
+        seats: registrations.filter(r => SEAT_HOLDING_STATUSES.includes(r.status || 'Pending')).length
+    };
+}
+
+// Header row above a session's block in the registrations table
+function renderSessionGroupRow(session, { teams, seats }) {
+    const label = session ? window.EventSessions.label(session) : 'No session';
+    const capacity = session?.capacity ? ` · ${seats}/${session.capacity} seats` : '';
+    const row = document.createElement('tr');
+    row.className = 'session-group-row';
+    row.dataset.group = session?.id || '';
+    const cell = document.createElement('td');
+    cell.colSpan = 10;
+    const count = document.createElement('span');
+    count.className = 'session-group-count';
+    count.textContent = `${teams} teams${capacity}`;
+    cell.append(`🗓️ ${label}`, count);
+    row.appendChild(cell);
+    return row;
+}
+
+// Fresh counts move the session totals shown in the headers without redrawing the rows
+function refreshSessionGroupRows(eventCode) {
+    const tbody = document.getElementById(`${eventCode}-tbody`);
+    if (!eventTotals[eventCode] || !tbody) return;
+    const sessions = eventSessions(eventCode);
+    tbody.querySelectorAll('tr.session-group-row').forEach(row => {
+        const session = sessions.find(s => s.id === row.dataset.group);
+        row.replaceWith(renderSessionGroupRow(session, sessionGroupCounts(eventCode, session?.id || '', [])));
+    });
+}
+
+// Load data for all events (respects admin access permissions)
+async function loadAllEventData() {
+    for (const event of allEvents) {
+        if (!isLiveEvent(event)) continue;
+        // Skip loading data for events the admin doesn't have access to
+        if (!AdminPermissions.canAccessEvent(event.code)) {
+            console.log('[loadAllEventData] Skipping event (no access):', event.code);
+            continue;
+        }
+        await loadEventData(event.code);
+    }
+}
+window.loadAllEventData = loadAllEventData;
+
+// Refresh event data
+async function refreshEventData(eventCode) {
+    showToast(`🔄 Refreshing ${eventCode}...`);
+    await reloadEventTable(eventCode);
+    showToast(`✅ ${eventCode} refreshed!`);
+}
+window.refreshEventData = refreshEventData;
+
+// Initialize dynamic event system
+async function initDynamicEvents() {
+    try {
+        // Generate event selector cards
+        await generateEventCards();
 
-                        <table class="data-table" id="${safeCode}-table">
-                            <thead>
-                                <tr>
-                                    <th style="width: 40px;"><input type="checkbox" class="row-checkbox"
-                                            id="selectAll-${safeCode}"
-                                            onchange="toggleSelectAll(this.checked, '${safeCode}')"
-                                            title="Select all"></th>
-                                    <th>Team</th>
-                                    <th>Team Name</th>
-                                    <th>Member 1</th>
-                                    <th>Member 2</th>
-                                    <th>Member 3</th>
-                                    <th>Email</th>
-                                    <th>Status</th>
-                                    <th>Attended</th>
-                                    <th>Actions</th>
-                                </tr>
-                            </thead>
-                            <tbody id="${safeCode}-tbody">
-                                <tr><td colspan="10" style="text-align:center;padding:40px;color:var(--text-muted);">
-                                    <div class="spinner" style="margin: 0 auto 10px;"></div>
-                                    Loading registrations...
-                                </td></tr>
-                            </tbody>
-                        </table>
-                    </div>
-                    <div class="pagination" id="${safeCode}-pagination"></div>
-                </div>
+        // Populate registration routing dropdown
+        populateRoutingDropdown();
 
-                <div id="${safeCode}-winners" class="sub-content">
-                    <div class="placeholder-box">
-                        <div class="icon">🏆</div>
-                        <h4>Winners Coming Soon!</h4>
-                        <p>${safeName} winners will be announced after the event.</p>
-                    </div>
-                </div>
+        // Generate event tabs
+        generateEventTabs();
 
-                <div id="${safeCode}-images" class="sub-content">
-                    <div class="placeholder-box">
-                        <div class="icon">📷</div>
-                        <h4>Event Photos Coming Soon!</h4>
-                        <p>Photos will be uploaded after the event.</p>
-                    </div>
-                </div>
-            </div>`;
+        // Generate event content sections
+        generateEventContents();
+
+        // Load data for all events
+        await loadAllEventData();
+
+        console.log('Dynamic event system initialized with', allEvents.length, 'events');
+    } catch (error) {
+        secureLog('Error initializing dynamic events:', error);
+        showToast('⚠️ Error loading events');
+    }
+}
+window.initDynamicEvents = initDynamicEvents;
+
+window.reloadFirestoreData = async function () {
+    await loadAllEventData();
+};
+
+// ===== MISC FUNCTIONS =====
+
+// Shared date/time formatting utilities
+function formatEventDate(dateStr) {
+    if (!dateStr) return { formatted: '', dayOfWeek: '' };
+    const dateObj = new Date(dateStr + 'T00:00:00');
+    return {
+        formatted: dateObj.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+        dayOfWeek: dateObj.toLocaleDateString('en-US', { weekday: 'long' })
+    };
+}
+
+function formatEventTime(timeStr) {
+    if (!timeStr) return '';
+    const [hours, minutes] = timeStr.split(':');
+    const hour = parseInt(hours);
+    const ampm = hour >= 12 ? 'PM' : 'AM';
+    const hour12 = hour % 12 || 12;
+    return `${hour12}:${minutes} ${ampm}`;
+}
+
+// ===== REGISTRATION EXPORT =====
+
+const EXPORT_MAX_MEMBERS = 4;
+
+function handleExport(preselectCode = '') {
+    const select = document.getElementById('exportEventSelect');
+    const modal = document.getElementById('exportModal');
+    if (!select || !modal) return;
+
+    const accessible = allEvents.filter(e => AdminPermissions.canAccessEvent(e.code));
+    if (accessible.length === 0) {
+        showToast('⚠️ No events available to export');
+        return;
+    }
+
+    select.innerHTML = '<option value="">Select an event...</option>';
+    accessible.forEach(e => {
+        const opt = document.createElement('option');
+        opt.value = e.code;
+        opt.textContent = `${e.emoji || '📅'} ${e.name}`;
+        select.appendChild(opt);
+    });
+
+    // Preselect the requested event, else the one currently open in the events view
+    const openContent = document.querySelector('.event-content.active');
+    const openCode = preselectCode || (openContent ? openContent.id.replace(/-content$/, '') : '');
+    if (openCode && accessible.some(e => e.code === openCode)) {
+        select.value = openCode;
+    }
+
+    document.getElementById('exportVisibleOnly').checked = false;
+    modal.classList.add('active');
+}
+window.handleExport = handleExport;
+
+// Flatten a registration doc into a single export row
+function flattenRegistration(docId, d, customFieldColumns, sessions = []) {
+    const regDate = d.registeredAt
+        ? (d.registeredAt.toDate ? d.registeredAt.toDate() : new Date(d.registeredAt.seconds * 1000))
+        : null;
+    const attendedAt = d.attendedAt?.toDate ? d.attendedAt.toDate() : null;
+
+    const row = {
+        'Team ID': docId,
+        'Confirmation Code': d.confirmationCode || '',
+        'Team Name': d.teamName || '',
+        'Email': d.email || '',
+        'Event Code': d.eventCode || '',
+        'Status': d.status || 'Pending',
+        ...(sessions.length > 0 ? { 'Session': window.EventSessions.label(sessions.find(s => s.id === d.sessionId)) } : {}),
+        'Attended': d.attended === true ? 'Yes' : 'No',
+        'Attended At': attendedAt ? attendedAt.toISOString() : '',
+        'Winner Position': d.isWinner ? (d.winnerPosition || '') : '',
+        'Registered At': regDate ? regDate.toISOString() : ''
+    };
+
+    for (let n = 1; n <= EXPORT_MAX_MEMBERS; n++) {
+        const m = d[`member${n}`] || {};
+        row[`Member ${n} Name`] = m.name || d[`member${n}Name`] || '';
+        row[`Member ${n} USN`] = m.usn || '';
+        row[`Member ${n} Dept`] = m.dept || '';
+        row[`Member ${n} Semester`] = m.semester || '';
+        row[`Member ${n} Attended`] = m.name ? (attendanceMembers(d).find(a => a.index === n)?.attended ? 'Yes' : 'No') : '';
+        // Legacy docs stored a single free-text detail field
+        if (!m.usn && d[`member${n}Detail`]) row[`Member ${n} USN`] = d[`member${n}Detail`];
+    }
+
+    // Event-specific form answers, one column per schema field
+    (customFieldColumns || []).forEach(f => {
+        const column = f.label in row ? `${f.label} (form)` : f.label;
+        row[column] = d.customFields?.[f.key] ?? '';
+    });
+    return row;
+}
+
+// Quote a CSV cell and neutralise spreadsheet formula injection
+function toCsvCell(value) {
+    let str = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return `"${str.replace(/"/g, '""')}"`;
+}
+
+function downloadBlob(content, type, filename) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Printable page with one QR card per verified team
+function buildCheckinSheetHtml(event, rows) {
+    const esc = (value) => SecurityUtils.escapeHtml(value);
+    const title = `${event?.name || rows[0]['Event Code']} — Check-in QR codes`;
+    const cards = rows.map(r => {
+        const payload = r['Confirmation Code'] || r['Team ID'];
+        const members = [];
+        for (let n = 1; n <= EXPORT_MAX_MEMBERS; n++) {
+            if (r[`Member ${n} Name`]) members.push(r[`Member ${n} Name`]);
+        }
+        return `<div class="card">
+    <img src="${qrDataUrl(payload, 5)}" alt="QR code ${esc(payload)}">
+    <h2>${esc(r['Team Name'] || 'Team')}</h2>
+    <p>${esc(members.join(', '))}</p>
+    <code>${esc(payload)}</code>
+</div>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 24px; color: #111827; }
+    h1 { font-size: 20px; margin-bottom: 16px; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 16px; }
+    .card { border: 1px solid #d1d5db; border-radius: 8px; padding: 16px; text-align: center; page-break-inside: avoid; }
+    .card img { width: 160px; height: 160px; image-rendering: pixelated; }
+    .card h2 { font-size: 16px; margin: 8px 0 4px; }
+    .card p { font-size: 12px; color: #4b5563; margin: 0 0 8px; }
+    .card code { font-size: 14px; letter-spacing: 1px; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<div class="grid">
+${cards}
+</div>
+</body>
+</html>`;
+}
+
+async function runRegistrationExport() {
+    const eventCode = document.getElementById('exportEventSelect')?.value;
+    const format = document.getElementById('exportFormatSelect')?.value || 'csv';
+    const visibleOnly = document.getElementById('exportVisibleOnly')?.checked === true;
+
+    if (!eventCode) {
+        showToast('⚠️ Please select an event');
+        return;
+    }
+    if (!SecurityUtils.isValidDocId(eventCode) || !AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⛔ You do not have access to this event');
+        return;
+    }
+
+    // The event table's search/status/date filters, applied to every registration (not one page)
+    const tableFilter = visibleOnly ? tableState(eventCode).filter : null;
+
+    const btn = document.getElementById('exportConfirmBtn');
+    if (btn) btn.disabled = true;
+
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, 'registrations'),
+            where('eventCode', '==', eventCode),
+            orderBy('registeredAt', 'desc')
+        ));
+
+        const event = allEvents.find(e => e.code === eventCode);
+        const customFieldColumns = window.FormSchema ? window.FormSchema.normalize(event?.formSchema).fields : [];
+        const sessions = eventSessions(event);
+
+        const rows = [];
+        snapshot.forEach(docSnap => {
+            if (tableFilter && !matchesTableFilter(docSnap.data(), tableFilter)) return;
+            // The QR sheet only covers teams that can be checked in
+            if (format === 'qr' && !CHECKIN_ELIGIBLE_STATUSES.includes(docSnap.data().status)) return;
+            rows.push(flattenRegistration(docSnap.id, docSnap.data(), customFieldColumns, sessions));
+        });
+
+        if (rows.length === 0) {
+            showToast(format === 'qr' ? '⚠️ No verified teams to export' : '⚠️ No registrations to export');
+            return;
+        }
+
+        const filename = `${eventCode}_registrations_${new Date().toISOString().split('T')[0]}`;
+
+        if (format === 'xlsx') {
+            if (typeof XLSX === 'undefined') {
+                showToast('❌ Excel library failed to load');
+                return;
+            }
+            const sheet = XLSX.utils.json_to_sheet(rows);
+            const book = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(book, sheet, eventCode.slice(0, 31));
+            XLSX.writeFile(book, `${filename}.xlsx`);
+        } else if (format === 'json') {
+            downloadBlob(JSON.stringify(rows, null, 2), 'application/json;charset=utf-8;', `${filename}.json`);
+        } else if (format === 'qr') {
+            if (typeof qrcode !== 'function') {
+                showToast('❌ QR library failed to load');
+                return;
+            }
+            downloadBlob(buildCheckinSheetHtml(event, rows), 'text/html;charset=utf-8;', `${eventCode}_checkin_qr_${new Date().toISOString().split('T')[0]}.html`);
+        } else {
+            const headers = Object.keys(rows[0]);
+            const csvContent = [
+                headers.map(toCsvCell).join(','),
+                ...rows.map(r => headers.map(h => toCsvCell(r[h])).join(','))
+            ].join('\n');
+            downloadBlob('\uFEFF' + csvContent, 'text/csv;charset=utf-8;', `${filename}.csv`);
+        }
+
+        await logAdminAction('EXPORT', { eventCode, format, visibleOnly, rowCount: rows.length });
+        closeModal('exportModal');
+        showToast(`✅ Exported ${rows.length} registrations`);
+    } catch (error) {
+        secureLog('Export error:', error);
+        showToast('❌ Export failed');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+window.runRegistrationExport = runRegistrationExport;
+
+// Club calendar feed: every active, dated event as one .ics file. Hosting it at
+// the site root (events.ics) lets members subscribe from any calendar app.
+async function exportEventsCalendar() {
+    if (!window.EventCalendar) {
+        showToast('❌ Calendar export is unavailable');
+        return;
+    }
+
+    const entries = allEvents
+        .filter(e => ['active', 'completed'].includes(eventLifecycle(e)))
+        .flatMap(e => window.EventCalendar.entries(e))
+        .sort((a, b) => a.start - b.start);
+    if (entries.length === 0) {
+        showToast('⚠️ No dated events to export');
+        return;
+    }
+
+    try {
+        downloadBlob(window.EventCalendar.toICS(entries), 'text/calendar;charset=utf-8;', 'events.ics');
+        await logAdminAction('EXPORT_CALENDAR', { entryCount: entries.length });
+        showToast(`✅ Exported ${entries.length} calendar entries`);
+    } catch (error) {
+        secureLog('Calendar export error:', error);
+        showToast('❌ Export failed');
+    }
+}
+window.exportEventsCalendar = exportEventsCalendar;
+
+// ===== REGISTRATION IMPORT WIZARD =====
+
+const IMPORT_MAX_ROWS = 1000;
+
+// Target fields use the same keys as the public registration form
+const IMPORT_FIELDS = [
+    { key: 'teamName', label: 'Team Name', required: true },
+    { key: 'teamEmail', label: 'Team Email', required: true },
+    ...[1, 2, 3, 4].flatMap(n => [
+        { key: `member${n}Name`, label: `Member ${n} Name`, required: n === 1, member: n, part: 'name' },
+        { key: `member${n}USN`, label: `Member ${n} USN`, required: n === 1, member: n, part: 'usn' },
+        { key: `member${n}Dept`, label: `Member ${n} Dept`, required: n === 1, member: n, part: 'dept' },
+        { key: `member${n}Sem`, label: `Member ${n} Semester`, required: false, member: n, part: 'sem' }
+    ])
+];
+
+const IMPORT_PART_KEYWORDS = {
+    name: ['name'],
+    usn: ['usn', 'roll'],
+    dept: ['dept', 'department', 'branch'],
+    sem: ['sem', 'semester']
+};
+
+let importState = { step: 1, eventCode: '', fileName: '', headers: [], rows: [], mapping: {}, results: [] };
+
+function handleImport() {
+    const select = document.getElementById('importEventSelect');
+    if (!select) return;
+
+    const accessible = allEvents.filter(e => AdminPermissions.canAccessEvent(e.code));
+    if (accessible.length === 0) {
+        showToast('⚠️ No events available to import into');
+        return;
+    }
+
+    select.innerHTML = '<option value="">Select an event...</option>';
+    accessible.forEach(e => {
+        const opt = document.createElement('option');
+        opt.value = e.code;
+        opt.textContent = `${e.emoji || '📅'} ${e.name}`;
+        select.appendChild(opt);
+    });
+
+    importState = { step: 1, eventCode: '', fileName: '', headers: [], rows: [], mapping: {}, results: [] };
+    document.getElementById('importFileInput').value = '';
+    document.getElementById('importFileSummary').textContent = '';
+    setImportStep(1);
+    document.getElementById('importModal').classList.add('active');
+}
+window.handleImport = handleImport;
+
+function setImportStep(step) {
+    importState.step = step;
+    document.querySelectorAll('#importModal .import-step').forEach(el => {
+        el.classList.toggle('active', Number(el.dataset.step) === step);
+    });
+    [1, 2, 3].forEach(n => {
+        document.getElementById(`importStep${n}`)?.classList.toggle('active', n === step);
+    });
+
+    const backBtn = document.getElementById('importBackBtn');
+    const nextBtn = document.getElementById('importNextBtn');
+    backBtn.style.display = step > 1 ? '' : 'none';
+    nextBtn.textContent = step === 3 ? '📤 Import' : 'Next →';
+    nextBtn.disabled = step === 1 && importState.rows.length === 0;
+}
+
+// Read the first sheet of an uploaded XLSX/CSV file into header + row arrays
+function handleImportFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    if (typeof XLSX === 'undefined') {
+        showToast('❌ Spreadsheet library failed to load');
+        return;
+    }
+    if (file.size > 5 * 1024 * 1024) {
+        showToast('⚠️ File is too large (max 5 MB)');
+        input.value = '';
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const book = XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+            const sheet = book.Sheets[book.SheetNames[0]];
+            const table = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false });
+
+            const headers = (table[0] || []).map(h => String(h).trim());
+            const rows = table.slice(1).filter(r => r.some(cell => String(cell).trim() !== ''));
+
+            if (headers.length === 0 || rows.length === 0) {
+                showToast('⚠️ No data rows found in this file');
+                return;
+            }
+            if (rows.length > IMPORT_MAX_ROWS) {
+                showToast(`⚠️ Maximum ${IMPORT_MAX_ROWS} rows per import`);
+                return;
+            }
+
+            importState.fileName = SecurityUtils.sanitizeString(file.name, 200);
+            importState.headers = headers;
+            importState.rows = rows;
+            importState.mapping = guessImportMapping(headers);
+
+            document.getElementById('importFileSummary').textContent =
+                `📄 ${importState.fileName}: ${rows.length} rows, ${headers.length} columns`;
+            document.getElementById('importNextBtn').disabled = false;
+        } catch (error) {
+            secureLog('Import parse error:', error);
+            showToast('❌ Could not read this file');
+        }
+    };
+    reader.readAsArrayBuffer(file);
+}
+window.handleImportFile = handleImportFile;
+
+// Guess a column for each field from header text (Google Forms style headers)
+function guessImportMapping(headers) {
+    const norm = headers.map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    const used = new Set();
+    const mapping = {};
+
+    const pick = (test) => {
+        const idx = norm.findIndex((h, i) => !used.has(i) && test(h));
+        if (idx === -1) return -1;
+        used.add(idx);
+        return idx;
+    };
+
+    mapping.teamName = pick(h => h.includes('team') && h.includes('name'));
+    mapping.teamEmail = pick(h => h.includes('email'));
+
+    IMPORT_FIELDS.filter(f => f.member).forEach(f => {
+        const keywords = IMPORT_PART_KEYWORDS[f.part];
+        mapping[f.key] = pick(h =>
+            h.includes(String(f.member)) &&
+            !h.includes('team') &&
+            keywords.some(k => h.includes(k))
+        );
     });
 
-    // Setup status filter listeners for each event
-    setupEventFilterListeners();
+    return mapping;
 }
-window.generateEventContents = generateEventContents;
 
-// Setup filter listeners for dynamically created events
-function setupEventFilterListeners() {
-    allEvents.forEach(event => {
-        if (!event.isActive) return;
+function renderImportMapping() {
+    const grid = document.getElementById('importMappingGrid');
+    if (!grid) return;
 
-        document.querySelectorAll(`input[name="statusFilter-${event.code}"]`).forEach(radio => {
-            radio.addEventListener('change', (e) => {
-                applyStatusFilter(e.target.value, event.code);
-            });
-        });
+    const options = importState.headers.map((h, i) =>
+        `<option value="${i}">${SecurityUtils.escapeHtml(h || `Column ${i + 1}`)}</option>`
+    ).join('');
+
+    grid.innerHTML = IMPORT_FIELDS.map(f => `
+        <div class="form-group">
+            <label>${f.label}${f.required ? ' <span class="required">*</span>' : ''}</label>
+            <select data-field="${f.key}" onchange="updateImportMapping(this)">
+                <option value="-1">— Not in file —</option>
+                ${options}
+            </select>
+        </div>
+    `).join('');
+
+    grid.querySelectorAll('select[data-field]').forEach(sel => {
+        sel.value = String(importState.mapping[sel.dataset.field] ?? -1);
     });
 }
 
-// Generic data loader for any event
-async function loadEventData(eventCode) {
-    try {
-        const snapshot = await getDocs(query(
-            collection(db, 'registrations'),
-            where('eventCode', '==', eventCode),
-            orderBy('registeredAt', 'desc')
-        ));
-
-        window[`${eventCode}DataCount`] = snapshot.size;
+function updateImportMapping(select) {
+    importState.mapping[select.dataset.field] = parseInt(select.value, 10);
+}
+window.updateImportMapping = updateImportMapping;
 
-        const tbody = document.getElementById(`${eventCode}-tbody`);
-        if (!tbody) return;
+// Map loose spreadsheet values onto the form's allowed values
+function normalizeImportDept(value) {
+    const allowed = window.SECURITY_CONFIG?.validation?.department?.allowedValues || [];
+    const match = allowed.find(d => d && d.toLowerCase() === String(value).trim().toLowerCase());
+    return match || String(value).trim();
+}
 
-        if (snapshot.empty) {
-            tbody.innerHTML = '<tr><td colspan="10" style="text-align:center;padding:40px;color:var(--text-muted);">No registrations</td></tr>';
-            return;
-        }
+function normalizeImportSem(value) {
+    const m = String(value).match(/[1-8]/);
+    return m ? m[0] : '';
+}
 
-        tbody.innerHTML = '';
-        let i = 1;
+function buildImportFormData(row) {
+    const cell = (key) => {
+        const idx = importState.mapping[key];
+        return idx >= 0 ? String(row[idx] ?? '').trim() : '';
+    };
 
-        snapshot.forEach(docSnap => {
-            const d = docSnap.data();
-            const docId = docSnap.id;
-            const safeDocId = SecurityUtils.escapeHtml(docId);
+    const formData = { teamName: cell('teamName'), teamEmail: cell('teamEmail') };
+    for (let n = 1; n <= 4; n++) {
+        formData[`member${n}Name`] = cell(`member${n}Name`);
+        formData[`member${n}USN`] = cell(`member${n}USN`);
+        formData[`member${n}Dept`] = normalizeImportDept(cell(`member${n}Dept`));
+        formData[`member${n}Sem`] = normalizeImportSem(cell(`member${n}Sem`));
+    }
+    return formData;
+}
+
+// Validate every row with the public form's InputValidator and flag duplicates
+async function validateImportRows() {
+    const validator = new window.InputValidator();
+    const event = allEvents.find(e => e.code === importState.eventCode);
+
+    // Existing registrations for duplicate detection (same rules as the conflicts panel)
+    const detector = window.DuplicateDetector;
+    const existingUsns = new Set();
+    const existingEmails = new Set();
+    const existingTeams = [];
+    const snapshot = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', importState.eventCode)));
+    snapshot.forEach(docSnap => {
+        const d = docSnap.data();
+        if (detector.INACTIVE_STATUSES.includes(d.status)) return;
+        detector.usnsOf(d).forEach(usn => existingUsns.add(usn));
+        if (d.email) existingEmails.add(detector.normalizeEmail(d.email));
+        if (d.teamName) existingTeams.push(d.teamName);
+    });
 
-            // Use consolidated sanitization helper
-            const safe = SecurityUtils.sanitizeTeamData(d);
-            const isAttended = d.attended === true;
+    const seenUsns = new Map();
+    const seenEmails = new Map();
+    const seenTeams = [];
+
+    importState.results = importState.rows.map((row, i) => {
+        const rowNum = i + 2; // +1 for header row, +1 for 1-based spreadsheet rows
+        const formData = buildImportFormData(row);
+        const validation = validator.validateRegistrationForm(formData, null, event?.teamSize);
+        const errors = Object.values(validation.errors);
+
+        // Same sanitization pass the public form applies before writing
+        const data = window.InputSanitizer.sanitizeObject(validation.sanitized);
+        for (let n = 1; n <= 4; n++) data[`member${n}Sem`] = formData[`member${n}Sem`] || null;
+
+        const duplicates = [];
+        const rowUsns = [...new Set([1, 2, 3, 4].map(n => detector.normalizeUSN(data[`member${n}USN`])).filter(Boolean))];
+        rowUsns.forEach(usn => {
+            if (existingUsns.has(usn)) duplicates.push(`USN ${usn} already registered`);
+            else if (seenUsns.has(usn)) duplicates.push(`USN ${usn} also in row ${seenUsns.get(usn)}`);
+            else seenUsns.set(usn, rowNum);
+        });
+        const emailKey = detector.normalizeEmail(data.teamEmail);
+        if (emailKey) {
+            if (existingEmails.has(emailKey)) duplicates.push('email already registered');
+            else if (seenEmails.has(emailKey)) duplicates.push(`same email as row ${seenEmails.get(emailKey)}`);
+            else seenEmails.set(emailKey, rowNum);
+        }
+        if (data.teamName) {
+            const seenTeam = seenTeams.find(t => detector.teamNamesSimilar(t.name, data.teamName));
+            if (existingTeams.some(name => detector.teamNamesSimilar(name, data.teamName))) duplicates.push('team name already registered (or very similar)');
+            else if (seenTeam) duplicates.push(`similar team name to row ${seenTeam.rowNum}`);
+            else seenTeams.push({ name: data.teamName, rowNum });
+        }
 
-            // Winner badge position labels
-            const POSITION_LABELS = { 1: '1st', 2: '2nd', 3: '3rd' };
-            const POSITION_CLASSES = { 1: 'gold', 2: 'silver', 3: 'bronze' };
+        return { rowNum, data, errors, duplicates, ok: errors.length === 0 && duplicates.length === 0 };
+    });
+}
 
-            const winnerBadge = d.isWinner
-                ? `<span class="winner-badge ${POSITION_CLASSES[d.winnerPosition] || 'bronze'}">🏆 ${POSITION_LABELS[d.winnerPosition] || '3rd'}</span>`
-                : '';
+function renderImportPreview() {
+    const results = importState.results;
+    const ready = results.filter(r => r.ok).length;
+    const invalid = results.filter(r => r.errors.length > 0).length;
+    const dupes = results.filter(r => r.errors.length === 0 && r.duplicates.length > 0).length;
+
+    document.getElementById('importSummary').innerHTML = `
+        <span class="import-summary-item ok">✅ ${ready} ready</span>
+        <span class="import-summary-item error">❌ ${invalid} invalid</span>
+        <span class="import-summary-item dupe">⚠️ ${dupes} duplicate</span>
+        <span class="import-summary-note">Only ready rows will be imported.</span>
+    `;
+
+    document.getElementById('importPreviewBody').innerHTML = results.map(r => {
+        const memberCount = [1, 2, 3, 4].filter(n => r.data[`member${n}Name`]).length;
+        let result = '<span class="status-pill verified">Ready</span>';
+        if (r.errors.length > 0) {
+            result = `<span class="import-issue error">${r.errors.map(e => SecurityUtils.escapeHtml(e)).join('<br>')}</span>`;
+        } else if (r.duplicates.length > 0) {
+            result = `<span class="import-issue dupe">Duplicate: ${SecurityUtils.escapeHtml(r.duplicates.join(', '))}</span>`;
+        }
+        return `<tr class="${r.ok ? '' : 'import-row-skipped'}">
+            <td>${r.rowNum}</td>
+            <td>${SecurityUtils.escapeHtml(r.data.teamName || '—')}</td>
+            <td>${SecurityUtils.escapeHtml(r.data.teamEmail || '—')}</td>
+            <td>${memberCount}</td>
+            <td>${result}</td>
+        </tr>`;
+    }).join('');
 
-            const winnerBtn = d.isWinner
-                ? `<button class="action-btn winner" title="Remove Winner Status" aria-label="Remove winner status" onclick="removeWinner('${safeDocId}', '${eventCode}')">❌</button>`
-                : `<button class="action-btn winner" title="Set as Winner" aria-label="Set as winner" onclick="openWinnerModal('${safeDocId}', '${safe.teamName.replace(/'/g, "\\'")}', '${eventCode}')">🏆</button>`;
-
-            const teamDataStr = encodeURIComponent(JSON.stringify(d));
-            const regDate = d.registeredAt ? (d.registeredAt.toDate ? d.registeredAt.toDate().toISOString() : new Date(d.registeredAt.seconds * 1000).toISOString()) : '';
-
-            // Escape single quotes for onclick handlers
-            const esc = str => str.replace(/'/g, "\\'");
-
-            tbody.innerHTML += `<tr data-team="${safeDocId}" data-registered-at="${regDate}" class="clickable-row" onclick="handleRowClick(event,'${safeDocId}','${teamDataStr}')">
-                <td onclick="event.stopPropagation()"><input type="checkbox" class="row-checkbox" data-team-id="${safeDocId}" onchange="toggleRowSelection()"></td>
-                <td><span class="team-badge">${i++}</span></td>
-                <td><strong>${safe.teamName || '—'}</strong>${winnerBadge}</td>
-                <td><div class="member-info"><span class="name">${safe.m1.name}</span><span class="detail">${safe.m1.detail}</span></div></td>
-                <td><div class="member-info"><span class="name">${safe.m2.name}</span><span class="detail">${safe.m2.detail}</span></div></td>
-                <td><div class="member-info"><span class="name">${safe.m3.name}</span><span class="detail">${safe.m3.detail}</span></div></td>
-                <td><a href="mailto:${safe.email}" class="email-link" onclick="event.stopPropagation()">${safe.email}</a></td>
-                <td onclick="event.stopPropagation()"><span class="status-pill clickable ${safe.status.toLowerCase()}" onclick="toggleStatus('${safeDocId}','${safe.status}')">${safe.status}</span></td>
-                <td onclick="event.stopPropagation()" style="text-align:center;">
-                    <input type="checkbox" class="attended-checkbox" ${isAttended ? 'checked' : ''} 
-                        onchange="markAttended('${safeDocId}', this.checked, '${eventCode}')" 
-                        title="${isAttended ? 'Mark as not attended' : 'Mark as attended'}">
-                </td>
-                <td onclick="event.stopPropagation()"><div class="action-buttons">
-                    <button class="action-btn view" aria-label="View details" onclick="handleRowClick(event,'${safeDocId}','${teamDataStr}')">👁️</button>
-                    ${winnerBtn}
-                    <button class="action-btn verify" aria-label="Toggle verification status" onclick="toggleStatus('${safeDocId}','${safe.status}')">✓</button>
-                    <button class="action-btn edit" aria-label="Edit team" onclick="openEditModal('${safeDocId}','${esc(safe.teamName)}','${esc(safe.m1.name)}','${esc(safe.m1.detail)}','${esc(safe.m2.name)}','${esc(safe.m2.detail)}','${esc(safe.m3.name)}','${esc(safe.m3.detail)}','${safe.email}')">✏️</button>
-                    <button class="action-btn delete" aria-label="Delete team" onclick="openDeleteModal('${safeDocId}','${esc(safe.teamName)}')">🗑️</button>
-                </div></td></tr>`;
-        });
+    document.getElementById('importNextBtn').disabled = ready === 0;
+}
 
-        // Update count badge
-        const countEl = document.getElementById(`${eventCode}-count`);
-        if (countEl) countEl.textContent = `👥 ${snapshot.size} teams`;
+async function importNextStep() {
+    const nextBtn = document.getElementById('importNextBtn');
 
-        setTimeout(() => checkForDuplicates(eventCode), 100);
-    } catch (err) {
-        secureLog(`Error loading ${eventCode} data:`, err);
-        const tbody = document.getElementById(`${eventCode}-tbody`);
-        if (tbody) {
-            tbody.innerHTML = '<tr><td colspan="10" style="text-align:center;padding:40px;color:var(--accent-red);">Error loading data</td></tr>';
+    if (importState.step === 1) {
+        const eventCode = document.getElementById('importEventSelect').value;
+        if (!eventCode) {
+            showToast('⚠️ Please select an event');
+            return;
+        }
+        if (!SecurityUtils.isValidDocId(eventCode) || !AdminPermissions.canAccessEvent(eventCode)) {
+            showToast('⛔ You do not have access to this event');
+            return;
+        }
+        if (importState.rows.length === 0) {
+            showToast('⚠️ Please choose a file');
+            return;
         }
+        importState.eventCode = eventCode;
+        renderImportMapping();
+        setImportStep(2);
+        return;
     }
-}
-window.loadEventData = loadEventData;
 
-// Load data for all events (respects admin access permissions)
-async function loadAllEventData() {
-    for (const event of allEvents) {
-        if (!event.isActive) continue;
-        // Skip loading data for events the admin doesn't have access to
-        if (!AdminPermissions.canAccessEvent(event.code)) {
-            console.log('[loadAllEventData] Skipping event (no access):', event.code);
-            continue;
+    if (importState.step === 2) {
+        const missing = IMPORT_FIELDS.filter(f => f.required && !(importState.mapping[f.key] >= 0));
+        if (missing.length > 0) {
+            showToast(`⚠️ Map required fields: ${missing.map(f => f.label).join(', ')}`);
+            return;
         }
-        await loadEventData(event.code);
+        nextBtn.disabled = true;
+        try {
+            await validateImportRows();
+            setImportStep(3);
+            renderImportPreview();
+        } catch (error) {
+            secureLog('Import validation error:', error);
+            showToast('❌ Could not validate rows');
+            nextBtn.disabled = false;
+        }
+        return;
     }
-}
-window.loadAllEventData = loadAllEventData;
 
-// Refresh event data
-async function refreshEventData(eventCode) {
-    showToast(`🔄 Refreshing ${eventCode}...`);
-    await loadEventData(eventCode);
-    showToast(`✅ ${eventCode} refreshed!`);
+    await commitImport();
 }
-window.refreshEventData = refreshEventData;
-
-// Initialize dynamic event system
-async function initDynamicEvents() {
-    try {
-        // Generate event selector cards
-        await generateEventCards();
-
-        // Populate registration routing dropdown
-        populateRoutingDropdown();
+window.importNextStep = importNextStep;
 
-        // Generate event tabs
-        generateEventTabs();
-
-        // Generate event content sections
-        generateEventContents();
+function importPrevStep() {
+    if (importState.step > 1) setImportStep(importState.step - 1);
+    if (importState.step === 2) renderImportMapping();
+}
+window.importPrevStep = importPrevStep;
 
-        // Load data for all events
-        await loadAllEventData();
+// Write ready rows in writeBatch chunks using the public form's document shape
+async function commitImport() {
+    const { eventCode } = importState;
+    if (!AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⛔ You do not have access to this event');
+        return;
+    }
 
-        console.log('Dynamic event system initialized with', allEvents.length, 'events');
-    } catch (error) {
-        secureLog('Error initializing dynamic events:', error);
-        showToast('⚠️ Error loading events');
+    const rateCheck = rateLimiters.bulkAction.recordAttempt('import_' + (auth.currentUser?.uid || 'anon'));
+    if (!rateCheck.allowed) {
+        showToast(`⏳ Too many bulk actions. Try again in ${rateCheck.retryAfter}s`);
+        return;
     }
-}
-window.initDynamicEvents = initDynamicEvents;
 
-window.reloadFirestoreData = async function () {
-    await loadAllEventData();
-};
+    const ready = importState.results.filter(r => r.ok);
+    if (ready.length === 0) return;
+    if (!confirm(`Import ${ready.length} registration(s) into "${eventCode}"?`)) return;
 
-// ===== MISC FUNCTIONS =====
+    const nextBtn = document.getElementById('importNextBtn');
+    nextBtn.disabled = true;
+    nextBtn.textContent = 'Importing...';
 
-// Shared date/time formatting utilities
-function formatEventDate(dateStr) {
-    if (!dateStr) return { formatted: '', dayOfWeek: '' };
-    const dateObj = new Date(dateStr + 'T00:00:00');
-    return {
-        formatted: dateObj.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
-        dayOfWeek: dateObj.toLocaleDateString('en-US', { weekday: 'long' })
-    };
-}
+    let imported = 0;
+    let waitlisted = 0;
+    try {
+        // Rows beyond the event's capacity join the waitlist, like late public submissions
+        const capacity = parseInt(allEvents.find(e => e.code === eventCode)?.capacity, 10) || 0;
+        let seatsTaken = 0;
+        if (capacity > 0) {
+            const existing = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', eventCode)));
+            existing.forEach(d => { if (SEAT_HOLDING_STATUSES.includes(d.data().status || 'Pending')) seatsTaken++; });
+        }
 
-function formatEventTime(timeStr) {
-    if (!timeStr) return '';
-    const [hours, minutes] = timeStr.split(':');
-    const hour = parseInt(hours);
-    const ampm = hour >= 12 ? 'PM' : 'AM';
-    const hour12 = hour % 12 || 12;
-    return `${hour12}:${minutes} ${ampm}`;
-}
+        for (let i = 0; i < ready.length; i += WRITE_BATCH_SIZE) {
+            const batch = writeBatch(db);
+            ready.slice(i, i + WRITE_BATCH_SIZE).forEach(({ data }) => {
+                const member = n => ({
+                    name: data[`member${n}Name`] || null,
+                    usn: data[`member${n}USN`] || null,
+                    dept: data[`member${n}Dept`] || null,
+                    semester: data[`member${n}Sem`] || null
+                });
+                const isWaitlisted = capacity > 0 && seatsTaken >= capacity;
+                if (isWaitlisted) waitlisted++; else seatsTaken++;
+                batch.set(doc(collection(db, 'registrations')), {
+                    teamName: data.teamName,
+                    email: data.teamEmail,
+                    eventCode: eventCode,
+                    member1: member(1),
+                    member1Name: data.member1Name,
+                    member2: member(2),
+                    member3: member(3),
+                    member4: member(4),
+                    registeredAt: serverTimestamp(),
+                    status: isWaitlisted ? 'Waitlisted' : 'Pending',
+                    ...(isWaitlisted && { waitlistedAt: serverTimestamp() }),
+                    source: 'import',
+                    importedBy: auth.currentUser?.email || 'unknown'
+                });
+            });
+            await batch.commit();
+            imported += Math.min(WRITE_BATCH_SIZE, ready.length - i);
+        }
 
-function handleExport() { showToast('📥 Export feature coming soon'); }
-window.handleExport = handleExport;
+        await logAdminAction('BULK_IMPORT', {
+            eventCode,
+            fileName: importState.fileName,
+            imported,
+            waitlisted,
+            skipped: importState.results.length - ready.length
+        });
 
-function handleSendEmail() { showToast('📧 Email feature'); }
-window.handleSendEmail = handleSendEmail;
+        closeModal('importModal');
+        showToast(`✅ Imported ${imported} registration(s)` + (waitlisted ? ` (${waitlisted} waitlisted)` : ''));
+        await rebalanceWaitlist(eventCode, { promote: false });
+        await loadEventData(eventCode);
+    } catch (error) {
+        secureLog('Import commit error:', error);
+        if (imported > 0) {
+            await logAdminAction('BULK_IMPORT', { eventCode, fileName: importState.fileName, imported, failed: true });
+        }
+        showToast(`❌ Import failed after ${imported} row(s)`);
+        nextBtn.disabled = false;
+        nextBtn.textContent = '📤 Import';
+    }
+}
 
 function handleAddEvent() {
     const navBtn = document.querySelector('.sidebar-nav-item[data-view="events"]');
@@ -2179,7 +5655,7 @@ function populateRoutingDropdown() {
     content.innerHTML = '';
 
     for (const event of allEvents) {
-        if (!event.isActive) continue;
+        if (!isLiveEvent(event)) continue;
 
         const safeCode = SecurityUtils.escapeHtml(event.code);
         const safeName = SecurityUtils.escapeHtml(event.name);
@@ -2300,12 +5776,18 @@ function toggleCreateEventForm() {
         document.querySelectorAll('.emoji-option').forEach(btn => btn.classList.remove('selected'));
         document.querySelector('.emoji-option[data-emoji="🎯"]')?.classList.add('selected');
         eventCalClear('newEvent');
+        eventCalClear('newEventOpens');
+        eventCalClear('newEventCloses');
         document.getElementById('newEventVenue').value = '';
         document.getElementById('newEventTeamMin').value = '2';
         document.getElementById('newEventTeamMax').value = '3';
+        document.getElementById('newEventCapacity').value = '';
         document.getElementById('newEventPoster').value = '';
         document.getElementById('newEventFeatured').checked = false;
+        document.getElementById('newEventLifecycle').value = 'active';
         document.getElementById('newEventRegStatus').value = 'open';
+        renderFormSchemaEditor('newEvent', null);
+        renderSessionsEditor('newEvent', []);
         form.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 }
@@ -2323,6 +5805,240 @@ function selectEventEmoji(emoji, btn) {
 }
 window.selectEventEmoji = selectEventEmoji;
 
+// ===== EVENT FORM SCHEMA EDITOR =====
+// Edits events/{code}.formSchema (shape defined by FormSchema in security.js)
+
+const FORM_FIELD_TYPE_LABELS = {
+    text: 'Short text',
+    textarea: 'Long text',
+    email: 'Email',
+    tel: 'Phone',
+    url: 'Link (https)',
+    number: 'Number',
+    select: 'Dropdown'
+};
+
+function renderFormSchemaEditor(prefix, rawSchema) {
+    const container = document.getElementById(`${prefix}FormSchema`);
+    if (!container || !window.FormSchema) return;
+
+    const schema = window.FormSchema.normalize(rawSchema);
+    container.innerHTML = `
+        <div class="form-group">
+            <label>Registration Type</label>
+            <select id="${prefix}FormMode">
+                <option value="team">👥 Team (team name + members)</option>
+                <option value="individual">👤 Individual (one participant, no team name)</option>
+            </select>
+        </div>
+        <div class="form-schema-fields" id="${prefix}FormFields"></div>
+        <div class="form-schema-add">
+            <button type="button" class="btn btn-secondary" onclick="addFormSchemaField('${prefix}')">➕ Custom Field</button>
+            <button type="button" class="btn btn-secondary" onclick="addFormSchemaField('${prefix}', 'phone')">📱 Phone</button>
+            <button type="button" class="btn btn-secondary" onclick="addFormSchemaField('${prefix}', 'tshirt')">👕 T-Shirt Size</button>
+            <button type="button" class="btn btn-secondary" onclick="addFormSchemaField('${prefix}', 'github')">🐙 GitHub Link</button>
+        </div>
+        <p style="font-size: 11px; color: var(--text-muted); margin-top: 6px;">Email, name, USN, department and semester are always collected. Extra fields appear below them on the public form.</p>
+    `;
+
+    document.getElementById(`${prefix}FormMode`).value = schema.mode;
+    schema.fields.forEach(field => appendFormSchemaFieldRow(prefix, field));
+}
+
+function appendFormSchemaFieldRow(prefix, field) {
+    const list = document.getElementById(`${prefix}FormFields`);
+    if (!list) return;
+
+    const row = document.createElement('div');
+    row.className = 'form-schema-field';
+    if (field.key) row.dataset.key = field.key;
+
+    const typeOptions = Object.entries(FORM_FIELD_TYPE_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    row.innerHTML = `
+        <input type="text" class="fs-label" placeholder="Field label (e.g. Phone Number)" maxlength="60">
+        <select class="fs-type" onchange="onFormSchemaTypeChange(this)">${typeOptions}</select>
+        <input type="text" class="fs-options" placeholder="Options, comma separated" maxlength="500">
+        <label class="fs-required"><input type="checkbox"> Required</label>
+        <button type="button" class="action-btn delete" aria-label="Remove field" onclick="removeFormSchemaField(this)">🗑️</button>
+    `;
+
+    // Set values via properties so labels/options never go through innerHTML
+    row.querySelector('.fs-label').value = field.label || '';
+    row.querySelector('.fs-type').value = field.type || 'text';
+    row.querySelector('.fs-options').value = (field.options || []).join(', ');
+    row.querySelector('.fs-required input').checked = field.required === true;
+    row.querySelector('.fs-options').style.display = field.type === 'select' ? '' : 'none';
+
+    list.appendChild(row);
+}
+
+function addFormSchemaField(prefix, presetName) {
+    const list = document.getElementById(`${prefix}FormFields`);
+    if (!list) return;
+
+    const maxFields = window.SECURITY_CONFIG?.validation?.customField?.maxFields || 10;
+    if (list.children.length >= maxFields) {
+        showToast(`⚠️ Maximum ${maxFields} custom fields`);
+        return;
+    }
+
+    const preset = presetName ? window.FormSchema.PRESETS[presetName] : null;
+    if (preset && list.querySelector(`.form-schema-field[data-key="${preset.key}"]`)) {
+        showToast('⚠️ That field is already on the form');
+        return;
+    }
+
+    appendFormSchemaFieldRow(prefix, preset ? { ...preset } : { label: '', type: 'text', required: false, options: [] });
+    list.lastElementChild?.querySelector('.fs-label')?.focus();
+}
+window.addFormSchemaField = addFormSchemaField;
+
+function removeFormSchemaField(btn) {
+    btn.closest('.form-schema-field')?.remove();
+}
+window.removeFormSchemaField = removeFormSchemaField;
+
+function onFormSchemaTypeChange(select) {
+    const options = select.closest('.form-schema-field')?.querySelector('.fs-options');
+    if (options) options.style.display = select.value === 'select' ? '' : 'none';
+}
+window.onFormSchemaTypeChange = onFormSchemaTypeChange;
+
+// Read the editor back into a schema; returns { schema } or { error }
+function readFormSchemaEditor(prefix) {
+    const FormSchema = window.FormSchema;
+    const config = window.SECURITY_CONFIG.validation.customField;
+    const mode = document.getElementById(`${prefix}FormMode`)?.value || 'team';
+    const rows = document.querySelectorAll(`#${prefix}FormFields .form-schema-field`);
+    const fields = [];
+    const keys = new Set();
+
+    for (const row of rows) {
+        const label = row.querySelector('.fs-label').value.trim();
+        const type = row.querySelector('.fs-type').value;
+        const required = row.querySelector('.fs-required input').checked;
+        const options = row.querySelector('.fs-options').value.split(',').map(o => o.trim()).filter(Boolean);
+        const key = row.dataset.key || FormSchema.keyFromLabel(label);
+
+        if (!label) return { error: '⚠️ Every custom field needs a label' };
+        if (!config.keyPattern.test(key) || FormSchema.RESERVED_KEYS.includes(key) || /^member[0-9]/.test(key)) {
+            return { error: `⚠️ "${label}" can't be used as a field label` };
+        }
+        if (keys.has(key)) return { error: `⚠️ Duplicate field "${label}"` };
+        if (type === 'select' && options.length === 0) return { error: `⚠️ Add options for "${label}"` };
+
+        keys.add(key);
+        fields.push({ key, label, type, required, options });
+    }
+
+    return { schema: FormSchema.normalize({ mode, fields }) };
+}
+
+// ===== EVENT SESSIONS EDITOR =====
+// Edits events/{code}.sessions (shape defined by EventSessions in scheduling.js)
+
+// Normalized sessions of an event (by object or code); empty for single-slot events
+function eventSessions(eventOrCode) {
+    const event = typeof eventOrCode === 'string' ? allEvents.find(e => e.code === eventOrCode) : eventOrCode;
+    return window.EventSessions && event ? window.EventSessions.normalize(event.sessions) : [];
+}
+
+function renderSessionsEditor(prefix, rawSessions) {
+    const container = document.getElementById(`${prefix}Sessions`);
+    if (!container || !window.EventSessions) return;
+
+    container.innerHTML = `
+        <div class="form-schema-fields" id="${prefix}SessionRows"></div>
+        <div class="form-schema-add">
+            <button type="button" class="btn btn-secondary" onclick="addEventSession('${prefix}')">➕ Session</button>
+        </div>
+        <p style="font-size: 11px; color: var(--text-muted); margin-top: 6px;">Leave empty for a single-slot event. With sessions, teams pick one when registering, the event date follows the first session and each session's capacity replaces the event capacity.</p>
+    `;
+    eventSessions({ sessions: rawSessions }).forEach(session => appendSessionRow(prefix, session));
+}
+
+function appendSessionRow(prefix, session) {
+    const list = document.getElementById(`${prefix}SessionRows`);
+    if (!list) return;
+
+    const row = document.createElement('div');
+    row.className = 'form-schema-field session-row';
+    row.dataset.id = session.id || window.EventSessions.newId();
+    row.innerHTML = `
+        <input type="date" class="ss-date" aria-label="Session date">
+        <input type="time" class="ss-time" aria-label="Session start time">
+        <input type="text" class="ss-venue" placeholder="Venue" maxlength="200">
+        <input type="number" class="ss-capacity" placeholder="Unlimited" min="0" max="${EVENT_MAX_CAPACITY}" aria-label="Session capacity">
+        <button type="button" class="action-btn delete" aria-label="Remove session" onclick="removeEventSession(this)">🗑️</button>
+    `;
+
+    row.querySelector('.ss-date').value = session.date || '';
+    row.querySelector('.ss-time').value = convertTo24Hour(session.time);
+    row.querySelector('.ss-venue').value = session.venue || '';
+    row.querySelector('.ss-capacity').value = session.capacity || '';
+
+    list.appendChild(row);
+}
+
+function addEventSession(prefix) {
+    const list = document.getElementById(`${prefix}SessionRows`);
+    if (!list) return;
+
+    const maxSessions = window.SECURITY_CONFIG?.validation?.session?.maxSessions || 12;
+    if (list.children.length >= maxSessions) {
+        showToast(`⚠️ Maximum ${maxSessions} sessions`);
+        return;
+    }
+
+    // Start from the previous session so repeated slots are quick to enter
+    const last = list.lastElementChild;
+    appendSessionRow(prefix, {
+        date: last?.querySelector('.ss-date').value || '',
+        venue: last?.querySelector('.ss-venue').value || '',
+        capacity: parseInt(last?.querySelector('.ss-capacity').value, 10) || 0
+    });
+    list.lastElementChild?.querySelector('.ss-time')?.focus();
+}
+window.addEventSession = addEventSession;
+
+function removeEventSession(btn) {
+    btn.closest('.session-row')?.remove();
+}
+window.removeEventSession = removeEventSession;
+
+// Read the editor back into sessions; returns { sessions } or { error }
+function readSessionsEditor(prefix) {
+    const rows = document.querySelectorAll(`#${prefix}SessionRows .session-row`);
+    const sessions = [];
+
+    for (const [i, row] of [...rows].entries()) {
+        const date = row.querySelector('.ss-date').value;
+        const capacity = parseInt(row.querySelector('.ss-capacity').value, 10) || 0;
+        if (!date) return { error: `⚠️ Session ${i + 1} needs a date` };
+        if (capacity < 0 || capacity > EVENT_MAX_CAPACITY) {
+            return { error: `⚠️ Session ${i + 1}: capacity must be between 0 and ${EVENT_MAX_CAPACITY} teams` };
+        }
+        sessions.push({
+            id: row.dataset.id,
+            date,
+            time: formatEventTime(row.querySelector('.ss-time').value),
+            venue: SecurityUtils.sanitizeString(row.querySelector('.ss-venue').value.trim(), 200),
+            capacity
+        });
+    }
+
+    return { sessions: window.EventSessions ? window.EventSessions.normalize(sessions) : [] };
+}
+
+// Multi-slot events show the first session as their headline date, time and venue
+function sessionSchedule(sessions, fallback) {
+    if (sessions.length === 0) return fallback;
+    return { date: sessions[0].date, time: convertTo24Hour(sessions[0].time), venue: sessions[0].venue };
+}
+
 // Create new event
 async function createNewEvent() {
     const name = document.getElementById('newEventName').value.trim();
@@ -2336,9 +6052,14 @@ async function createNewEvent() {
     const venue = document.getElementById('newEventVenue').value.trim();
     const teamMin = parseInt(document.getElementById('newEventTeamMin').value) || 2;
     const teamMax = parseInt(document.getElementById('newEventTeamMax').value) || 3;
+    const capacity = parseInt(document.getElementById('newEventCapacity').value) || 0;
     const posterUrl = document.getElementById('newEventPoster').value.trim();
     const isFeatured = document.getElementById('newEventFeatured').checked;
     const registrationStatus = document.getElementById('newEventRegStatus').value || 'open';
+    const lifecycle = document.getElementById('newEventLifecycle')?.value === 'draft' ? 'draft' : 'active';
+    const { opensAt, closesAt, error: windowError } = readRegistrationWindow('newEvent');
+    const { schema: formSchema, error: formSchemaError } = readFormSchemaEditor('newEvent');
+    const { sessions, error: sessionsError } = readSessionsEditor('newEvent');
 
     // Validation
     if (!name || name.length < 2) {
@@ -2365,6 +6086,36 @@ async function createNewEvent() {
         showToast('⚠️ Minimum team size cannot be greater than maximum');
         return;
     }
+    // The public form collects at most four members
+    const formTeamMax = window.SECURITY_CONFIG?.validation?.teamSize?.max || 4;
+    if (teamMin < 1 || teamMax > formTeamMax) {
+        showToast(`⚠️ Team size must be between 1 and ${formTeamMax}`);
+        return;
+    }
+    // 0 (or blank) means unlimited
+    if (capacity < 0 || capacity > EVENT_MAX_CAPACITY) {
+        showToast(`⚠️ Capacity must be between 0 and ${EVENT_MAX_CAPACITY} teams`);
+        return;
+    }
+
+    if (formSchemaError) {
+        showToast(formSchemaError);
+        return;
+    }
+    if (sessionsError) {
+        showToast(sessionsError);
+        return;
+    }
+    if (windowError) {
+        showToast(windowError);
+        return;
+    }
+    if (isFeatured && lifecycle === 'draft') {
+        showToast('⚠️ A draft event cannot be featured on the main page');
+        return;
+    }
+    // Individual events always register exactly one participant
+    const teamSize = formSchema.mode === 'individual' ? { min: 1, max: 1 } : { min: teamMin, max: teamMax };
 
     try {
         // Check if event code already exists
@@ -2399,8 +6150,9 @@ async function createNewEvent() {
             await batch.commit();
         }
 
-        const { formatted: formattedDate, dayOfWeek } = formatEventDate(eventDate);
-        const formattedTime = formatEventTime(eventTime);
+        const schedule = sessionSchedule(sessions, { date: eventDate, time: eventTime, venue });
+        const { formatted: formattedDate, dayOfWeek } = formatEventDate(schedule.date);
+        const formattedTime = formatEventTime(schedule.time);
 
         // Create event in Firestore with all fields
         await setDoc(doc(db, 'events', code), {
@@ -2410,20 +6162,38 @@ async function createNewEvent() {
             emoji: emoji,
             createdAt: serverTimestamp(),
             createdBy: auth.currentUser?.email || 'unknown',
-            isActive: true,
+            lifecycle: lifecycle,
+            isActive: lifecycle === 'active',
 
             // Display fields for main page
             isFeatured: isFeatured,
             eventDate: formattedDate,
             eventDay: dayOfWeek,
             eventTime: formattedTime,
-            eventDateRaw: eventDate || '',  // ISO format for sorting
-            venue: SecurityUtils.sanitizeString(venue, 200),
-            teamSize: { min: teamMin, max: teamMax },
+            eventDateRaw: schedule.date || '',  // ISO format for sorting
+            venue: SecurityUtils.sanitizeString(schedule.venue, 200),
+            sessions: sessions,
+            teamSize: teamSize,
+            capacity: capacity,
             posterUrl: posterUrl ? SecurityUtils.sanitizeString(posterUrl, 500) : '',
-            registrationStatus: registrationStatus
+            registrationStatus: registrationStatus,
+            registrationOpensAt: opensAt,
+            registrationClosesAt: closesAt,
+            formSchema: formSchema
         });
 
+        // Seat counters read by the public form when the event (or a session) is capped
+        if (sessions.length === 0 && capacity > 0) {
+            await setDoc(doc(db, 'eventStats', code), { seatsTaken: 0, capacity, updatedAt: serverTimestamp() });
+        }
+        for (const session of sessions.filter(s => s.capacity > 0)) {
+            await setDoc(doc(db, 'eventStats', window.EventSessions.statsDocId(code, session.id)), {
+                seatsTaken: 0,
+                capacity: session.capacity,
+                updatedAt: serverTimestamp()
+            });
+        }
+
         // If featured, also update activeEvent for registration routing
         if (isFeatured) {
             await setDoc(doc(db, 'config', 'registration'), {
@@ -2437,32 +6207,135 @@ async function createNewEvent() {
             isFeatured: isFeatured
         });
 
-        showToast(`✅ Event "${name}" created successfully!`);
-        if (isFeatured) {
-            showToast('⭐ Now featured on the main page!');
-        }
-        // Hide inline form
-        const inlineForm = document.getElementById('inlineCreateEventForm');
-        if (inlineForm) inlineForm.style.display = 'none';
+        showToast(`✅ Event "${name}" created successfully!`);
+        if (isFeatured) {
+            showToast('⭐ Now featured on the main page!');
+        }
+        // Hide inline form
+        const inlineForm = document.getElementById('inlineCreateEventForm');
+        if (inlineForm) inlineForm.style.display = 'none';
+
+        // Dynamically update the UI without page reload
+        await initDynamicEvents();
+
+    } catch (error) {
+        secureLog('Error creating event:', error);
+        showToast('⚠️ Failed to create event');
+    }
+}
+window.createNewEvent = createNewEvent;
+
+// ===== EVENT LIFECYCLE =====
+// draft → active → completed → archived. Archived events leave the live views
+// (cards, tabs, dashboard) but keep their registrations, winners and gallery.
+// isActive is kept in step (true only while active): the public site and the
+// Firestore rules read it to decide whether an event takes registrations.
+const EVENT_LIFECYCLE = {
+    draft: { label: 'Draft', emoji: '📝' },
+    active: { label: 'Active', emoji: '🟢' },
+    completed: { label: 'Completed', emoji: '🏁' },
+    archived: { label: 'Archived', emoji: '📦' }
+};
+
+// Events saved before the lifecycle existed only carry isActive
+function eventLifecycle(event) {
+    if (EVENT_LIFECYCLE[event?.lifecycle]) return event.lifecycle;
+    return event?.isActive === false ? 'archived' : 'active';
+}
+
+function isLiveEvent(event) {
+    return eventLifecycle(event) !== 'archived';
+}
+
+async function setEventLifecycle(eventCode, lifecycle) {
+    if (!AdminPermissions.isSuperAdmin()) {
+        showToast('⛔ Only super admins can change an event\'s lifecycle');
+        return false;
+    }
+    const event = allEvents.find(e => e.code === eventCode);
+    if (!event || !EVENT_LIFECYCLE[lifecycle]) {
+        showToast('⚠️ Event not found');
+        return false;
+    }
+
+    try {
+        const update = {
+            lifecycle,
+            isActive: lifecycle === 'active',
+            updatedAt: serverTimestamp(),
+            updatedBy: auth.currentUser?.email || 'unknown'
+        };
+        // An archived event cannot stay on the main page
+        if (lifecycle === 'archived' && event.isFeatured) update.isFeatured = false;
+        await updateDoc(doc(db, 'events', eventCode), update);
 
-        // Dynamically update the UI without page reload
+        await logAdminAction('EVENT_LIFECYCLE', { eventCode, from: eventLifecycle(event), to: lifecycle });
+        showToast(`${EVENT_LIFECYCLE[lifecycle].emoji} "${event.name}" is now ${EVENT_LIFECYCLE[lifecycle].label.toLowerCase()}`);
         await initDynamicEvents();
-
+        return true;
     } catch (error) {
-        secureLog('Error creating event:', error);
-        showToast('⚠️ Failed to create event');
+        secureLog('Error changing event lifecycle:', error);
+        showToast('⚠️ Failed to update event');
+        return false;
     }
 }
-window.createNewEvent = createNewEvent;
 
-// Delete entire event and all its registrations
+async function archiveEvent(eventCode) {
+    const event = allEvents.find(e => e.code === eventCode);
+    const message = `📦 Archive "${event?.name || eventCode}"?\n\n` +
+        'It leaves the event list and dashboard. Registrations, winners and gallery photos are kept ' +
+        'and the event can be restored from "Archived events".' +
+        (event?.isFeatured ? '\n\nIt will also be removed from the main page.' : '');
+    if (!confirm(message)) return;
+    await setEventLifecycle(eventCode, 'archived');
+}
+window.archiveEvent = archiveEvent;
+
+async function unarchiveEvent(eventCode) {
+    await setEventLifecycle(eventCode, 'completed');
+}
+window.unarchiveEvent = unarchiveEvent;
+
+// Archived events, listed under the live event cards
+function renderArchivedEvents() {
+    const section = document.getElementById('archivedEventsSection');
+    const list = document.getElementById('archivedEventsList');
+    if (!section || !list) return;
+
+    const archived = allEvents.filter(e => !isLiveEvent(e) && AdminPermissions.canAccessEvent(e.code));
+    section.style.display = archived.length > 0 ? '' : 'none';
+    document.getElementById('archivedEventsCount').textContent = archived.length;
+
+    const isSuperAdmin = AdminPermissions.isSuperAdmin();
+    list.innerHTML = archived.map(event => {
+        const safeCode = SecurityUtils.escapeHtml(event.code);
+        const actions = isSuperAdmin
+            ? `<button class="btn btn-secondary" onclick="unarchiveEvent('${safeCode}')" title="Move back to the event list as completed">♻️ Restore</button>
+               <button class="btn btn-danger" onclick="deleteEvent('${safeCode}')" title="Move the event and its registrations to trash">🗑️ Trash</button>`
+            : '';
+        return `<div class="archived-event-row">
+                <span class="archived-event-name">${SecurityUtils.escapeHtml(event.emoji)} ${SecurityUtils.escapeHtml(event.name)}</span>
+                <span class="archived-event-date">${SecurityUtils.escapeHtml(event.eventDate || 'No date')}</span>
+                <div class="archived-event-actions">
+                    <button class="btn btn-secondary" onclick="handleExport('${safeCode}')" title="Export registrations">📥 Export</button>
+                    ${actions}
+                </div>
+            </div>`;
+    }).join('');
+}
+
+// Deleting an event moves it and all its registrations to trash (see restoreEventFromTrash)
 async function deleteEvent(eventCode) {
     if (!eventCode) {
         showToast('⚠️ Invalid event code');
         return;
     }
+    if (!AdminPermissions.canDelete()) {
+        showToast('⛔ Only super admins can delete events');
+        return;
+    }
 
-    const confirmMsg = `⚠️ Are you sure you want to delete the event "${eventCode}"?\n\nThis will permanently delete:\n- The event configuration\n- ALL registrations for this event\n\nThis action cannot be undone!`;
+    const confirmMsg = `⚠️ Move the event "${eventCode}" to trash?\n\nThis will move to trash:\n- The event configuration\n- ALL registrations for this event\n\nEverything can be restored from Trash until it is purged.`;
 
     if (!confirm(confirmMsg)) return;
 
@@ -2474,23 +6347,52 @@ async function deleteEvent(eventCode) {
     }
 
     try {
-        showToast('🔄 Deleting event...');
+        showToast('🔄 Moving event to trash...');
 
-        // Delete all registrations for this event
-        const registrationsQuery = query(collection(db, 'registrations'), where('eventCode', '==', eventCode));
-        const registrationsSnapshot = await getDocs(registrationsQuery);
+        const eventSnap = await getDoc(doc(db, 'events', eventCode));
+        if (!eventSnap.exists()) {
+            showToast('⚠️ Event not found');
+            return;
+        }
+        const registrationsSnapshot = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', eventCode)));
+        const deletedBy = auth.currentUser?.email || 'unknown';
 
-        let deletedCount = 0;
-        for (const docSnap of registrationsSnapshot.docs) {
-            await deleteDoc(doc(db, 'registrations', docSnap.id));
-            deletedCount++;
+        // Each registration is two writes (trash copy + delete)
+        const docs = registrationsSnapshot.docs;
+        for (let i = 0; i < docs.length; i += WRITE_BATCH_SIZE_PAIRED) {
+            const batch = writeBatch(db);
+            docs.slice(i, i + WRITE_BATCH_SIZE_PAIRED).forEach(docSnap => {
+                batch.set(doc(db, 'trash', docSnap.id), {
+                    ...docSnap.data(),
+                    originalCollection: 'registrations',
+                    trashedWithEvent: eventCode,
+                    deletedAt: serverTimestamp(),
+                    deletedBy
+                });
+                batch.delete(docSnap.ref);
+            });
+            await batch.commit();
         }
 
-        // Delete the event document
+        // The event goes last so a failure above leaves it in place
+        await setDoc(doc(db, 'trash', eventTrashId(eventCode)), {
+            ...eventSnap.data(),
+            isFeatured: false,
+            originalCollection: 'events',
+            originalId: eventCode,
+            registrationCount: docs.length,
+            deletedAt: serverTimestamp(),
+            deletedBy
+        });
         await deleteDoc(doc(db, 'events', eventCode));
 
-        await logAdminAction('DELETE_EVENT', { eventCode, registrationsDeleted: deletedCount });
-        showToast(`🗑️ Event "${eventCode}" deleted with ${deletedCount} registrations`);
+        for (const docSnap of docs) {
+            await syncRegistrationLookup(docSnap.id, docSnap.data(), { removed: true });
+        }
+        if (docs.some(d => d.data().isWinner)) await syncHallOfFame(eventCode);
+
+        await logAdminAction('DELETE_EVENT', { eventCode, registrationsTrashed: docs.length });
+        showToast(`🗑️ Event "${eventCode}" moved to trash with ${docs.length} registrations`);
 
         // Dynamically update the UI without page reload
         await initDynamicEvents();
@@ -2504,9 +6406,14 @@ async function deleteEvent(eventCode) {
 }
 window.deleteEvent = deleteEvent;
 
+// Trash ids are shared with registrations, so events get a prefix
+function eventTrashId(eventCode) {
+    return `event__${eventCode}`;
+}
+
 // Open delete event confirmation modal
 function openDeleteEventModal(eventCode, eventName) {
-    if (!confirm(`Are you sure you want to delete "${eventName || eventCode}"?\n\nThis will delete ALL registrations for this event!`)) {
+    if (!confirm(`Are you sure you want to delete "${eventName || eventCode}"?\n\nThe event and ALL its registrations will be moved to trash. Consider archiving it instead.`)) {
         return;
     }
     deleteEvent(eventCode);
@@ -2610,9 +6517,12 @@ function openEditEventModal(eventCode) {
     document.getElementById('editEventVenue').value = event.venue || '';
     document.getElementById('editEventTeamMin').value = event.teamSize?.min || 2;
     document.getElementById('editEventTeamMax').value = event.teamSize?.max || 3;
+    document.getElementById('editEventCapacity').value = event.capacity || '';
     document.getElementById('editEventPoster').value = event.posterUrl || '';
     document.getElementById('editEventRegStatus').value = event.registrationStatus || 'open';
-    document.getElementById('editEventActive').checked = event.isActive !== false;
+    document.getElementById('editEventLifecycle').value = eventLifecycle(event);
+    renderFormSchemaEditor('editEvent', event.formSchema);
+    renderSessionsEditor('editEvent', event.sessions);
 
     // Handle date and time - use calendar widget
     const editDateRaw = event.eventDateRaw || '';
@@ -2621,6 +6531,8 @@ function openEditEventModal(eventCode) {
         editTime24 = convertTo24Hour(event.eventTime);
     }
     setEventCalDateTime('editEvent', editDateRaw, editTime24);
+    setEventCalFromTimestamp('editEventOpens', event.registrationOpensAt);
+    setEventCalFromTimestamp('editEventCloses', event.registrationClosesAt);
 
     // Set emoji selection
     document.getElementById('editSelectedEventEmoji').value = event.emoji || '🎯';
@@ -2670,9 +6582,14 @@ async function saveEventEdit() {
     const venue = document.getElementById('editEventVenue').value.trim();
     const teamMin = parseInt(document.getElementById('editEventTeamMin').value) || 2;
     const teamMax = parseInt(document.getElementById('editEventTeamMax').value) || 3;
+    const capacity = parseInt(document.getElementById('editEventCapacity').value) || 0;
     const posterUrl = document.getElementById('editEventPoster').value.trim();
     const registrationStatus = document.getElementById('editEventRegStatus').value || 'open';
-    const isActive = document.getElementById('editEventActive').checked;
+    const lifecycleValue = document.getElementById('editEventLifecycle').value;
+    const lifecycle = EVENT_LIFECYCLE[lifecycleValue] ? lifecycleValue : 'active';
+    const { opensAt, closesAt, error: windowError } = readRegistrationWindow('editEvent');
+    const { schema: formSchema, error: formSchemaError } = readFormSchemaEditor('editEvent');
+    const { sessions, error: sessionsError } = readSessionsEditor('editEvent');
 
     // Validation
     if (!name || name.length < 2) {
@@ -2690,153 +6607,699 @@ async function saveEventEdit() {
         showToast('⚠️ Minimum team size cannot be greater than maximum');
         return;
     }
+    // The public form collects at most four members
+    const formTeamMax = window.SECURITY_CONFIG?.validation?.teamSize?.max || 4;
+    if (teamMin < 1 || teamMax > formTeamMax) {
+        showToast(`⚠️ Team size must be between 1 and ${formTeamMax}`);
+        return;
+    }
+    // 0 (or blank) means unlimited
+    if (capacity < 0 || capacity > EVENT_MAX_CAPACITY) {
+        showToast(`⚠️ Capacity must be between 0 and ${EVENT_MAX_CAPACITY} teams`);
+        return;
+    }
+
+    if (formSchemaError) {
+        showToast(formSchemaError);
+        return;
+    }
+    if (sessionsError) {
+        showToast(sessionsError);
+        return;
+    }
+    if (windowError) {
+        showToast(windowError);
+        return;
+    }
+    const teamSize = formSchema.mode === 'individual' ? { min: 1, max: 1 } : { min: teamMin, max: teamMax };
+
+    // Teams booked into a removed session would lose their slot (counted across the whole event)
+    const sessionIds = new Set(sessions.map(s => s.id));
+    const removedSessionIds = eventSessions(eventCode).map(s => s.id).filter(id => !sessionIds.has(id));
+    let orphaned = 0;
+    for (let i = 0; i < removedSessionIds.length; i += 30) {
+        try {
+            const countSnap = await getCountFromServer(query(
+                collection(db, 'registrations'),
+                where('eventCode', '==', eventCode),
+                where('sessionId', 'in', removedSessionIds.slice(i, i + 30))
+            ));
+            orphaned += countSnap.data().count;
+        } catch (error) {
+            secureLog('Could not count teams in removed sessions:', error);
+        }
+    }
+    if (orphaned > 0 && !confirm(`${orphaned} team(s) are booked into a session you removed. They will show as "No session". Save anyway?`)) {
+        return;
+    }
 
     try {
-        const { formatted: formattedDate, dayOfWeek } = formatEventDate(eventDate);
-        const formattedTime = formatEventTime(eventTime);
+        const schedule = sessionSchedule(sessions, { date: eventDate, time: eventTime, venue });
+        const { formatted: formattedDate, dayOfWeek } = formatEventDate(schedule.date);
+        const formattedTime = formatEventTime(schedule.time);
 
         // Update event in Firestore
-        await updateDoc(doc(db, 'events', eventCode), {
+        const eventRef = doc(db, 'events', eventCode);
+        const beforeSnap = await getDoc(eventRef);
+        const update = {
             name: SecurityUtils.sanitizeString(name, 100),
             description: SecurityUtils.sanitizeString(description, 150),
             emoji: emoji,
-            isActive: isActive,
+            lifecycle: lifecycle,
+            isActive: lifecycle === 'active',
+            // An archived event cannot stay on the main page
+            ...(lifecycle === 'archived' ? { isFeatured: false } : {}),
             eventDate: formattedDate,
             eventDay: dayOfWeek,
             eventTime: formattedTime,
-            eventDateRaw: eventDate || '',
-            venue: SecurityUtils.sanitizeString(venue, 200),
-            teamSize: { min: teamMin, max: teamMax },
+            eventDateRaw: schedule.date || '',
+            venue: SecurityUtils.sanitizeString(schedule.venue, 200),
+            sessions: sessions,
+            teamSize: teamSize,
+            capacity: capacity,
             posterUrl: posterUrl ? SecurityUtils.sanitizeString(posterUrl, 500) : '',
             registrationStatus: registrationStatus,
+            registrationOpensAt: opensAt,
+            registrationClosesAt: closesAt,
+            formSchema: formSchema,
             updatedAt: serverTimestamp(),
             updatedBy: auth.currentUser?.email || 'unknown'
-        });
+        };
+        await updateDoc(eventRef, update);
 
-        await logAdminAction('UPDATE_EVENT', { eventCode, eventName: name });
+        await logAdminAction('UPDATE_EVENT', {
+            eventCode,
+            eventName: name,
+            ...auditDiff(beforeSnap.data(), update, Object.keys(update).filter(k => k !== 'updatedAt' && k !== 'updatedBy'))
+        });
         showToast(`✅ Event "${name}" updated successfully!`);
         closeModal('editEventModal');
 
         // Refresh UI
         await initDynamicEvents();
 
-    } catch (error) {
-        secureLog('Error updating event:', error);
-        showToast('⚠️ Failed to update event');
-    }
+        // A raised (or new session) capacity frees seats for the waitlist
+        await rebalanceWaitlist(eventCode);
+
+    } catch (error) {
+        secureLog('Error updating event:', error);
+        showToast('⚠️ Failed to update event');
+    }
+}
+window.saveEventEdit = saveEventEdit;
+
+// ===== WINNER MODAL FUNCTIONS =====
+function openWinnerModal(teamId, teamName, eventCode) {
+    document.getElementById('winnerTeamId').value = teamId;
+    document.getElementById('winnerTeamName').textContent = teamName;
+    document.getElementById('winnerEventCode').value = eventCode;
+    document.getElementById('selectedWinnerPosition').value = '';
+
+    // Reset position button selections
+    document.querySelectorAll('.winner-position-btn').forEach(btn => {
+        btn.classList.remove('selected');
+    });
+
+    document.getElementById('winnerModal').classList.add('active');
+}
+window.openWinnerModal = openWinnerModal;
+
+function selectWinnerPosition(position, btn) {
+    // Store the selected position
+    document.getElementById('selectedWinnerPosition').value = position;
+
+    // Update button visuals
+    document.querySelectorAll('.winner-position-btn').forEach(b => {
+        b.classList.remove('selected');
+    });
+    btn.classList.add('selected');
+}
+window.selectWinnerPosition = selectWinnerPosition;
+
+async function confirmSetWinner() {
+    const teamId = document.getElementById('winnerTeamId').value;
+    const position = parseInt(document.getElementById('selectedWinnerPosition').value);
+    const eventCode = document.getElementById('winnerEventCode').value;
+
+    if (!position) {
+        showToast('⚠️ Please select a position');
+        return;
+    }
+
+    try {
+        const { success, undoId } = await window.updateInFirestore('registrations', teamId, {
+            isWinner: true,
+            winnerPosition: position
+        }, { hallOfFame: true });
+
+        if (success) {
+            showToast(`🏆 Winner set to position ${position}!`, { undoId });
+            closeModal('winnerModal');
+
+            // Refresh the specific event data
+            if (eventCode) {
+                await loadEventData(eventCode);
+            } else {
+                await loadAllEventData();
+            }
+        } else {
+            showToast('⚠️ Failed to set winner (permission denied)');
+        }
+    } catch (err) {
+        secureLog('Set winner error:', err);
+        showToast('❌ Error setting winner');
+    }
+}
+window.confirmSetWinner = confirmSetWinner;
+
+// Remove winner status
+async function removeWinner(teamId, eventCode) {
+    if (!confirm('Remove winner status from this team?')) return;
+
+    try {
+        const { success, undoId } = await window.updateInFirestore('registrations', teamId, {
+            isWinner: false,
+            winnerPosition: null
+        }, { hallOfFame: true });
+
+        if (success) {
+            showToast('✅ Winner status removed', { undoId });
+
+            // Refresh the specific event data
+            if (eventCode) {
+                await loadEventData(eventCode);
+            } else {
+                await loadAllEventData();
+            }
+        }
+    } catch (err) {
+        secureLog('Remove winner error:', err);
+        showToast('❌ Error removing winner');
+    }
+}
+window.removeWinner = removeWinner;
+
+// Public podium archive: hallOfFame/{eventCode} holds names only (no emails/USNs)
+// so the public site never needs to query registrations.
+// `pending` overlays registrations written in the same batch ({ [teamId]: data });
+// resolves to null when the event has no winners left.
+async function buildHallOfFame(eventCode, pending = {}) {
+    const snapshot = await getDocs(query(
+        collection(db, 'registrations'),
+        where('eventCode', '==', eventCode),
+        where('isWinner', '==', true)
+    ));
+    const winners = new Map(snapshot.docs.map(docSnap => [docSnap.id, docSnap.data()]));
+    Object.entries(pending).forEach(([teamId, d]) => winners.set(teamId, d));
+
+    const podium = [];
+    winners.forEach(d => {
+        const position = parseInt(d.winnerPosition);
+        if (!d.isWinner || !position || position < 1 || position > 3) return;
+        podium.push({
+            position,
+            teamName: SecurityUtils.sanitizeTeamName(d.teamName) || 'Winner',
+            members: attendanceMembers(d).map(m => m.name)
+        });
+    });
+    if (podium.length === 0) return null;
+    podium.sort((a, b) => a.position - b.position);
+
+    // The year comes straight from the stored date, not via Date (which would read it as UTC)
+    const event = allEvents.find(e => e.code === eventCode) || {};
+    const dateYear = /^\d{4}-\d{2}-\d{2}$/.test(event.eventDateRaw || '') ? parseInt(event.eventDateRaw.slice(0, 4), 10) : null;
+    const createdAt = timestampToMillis(event.createdAt);
+    const year = dateYear || (createdAt ? new Date(createdAt).getFullYear() : new Date().getFullYear());
+
+    return {
+        eventCode,
+        eventName: event.name || eventCode,
+        emoji: event.emoji || '🏆',
+        eventDate: event.eventDate || '',
+        eventDateRaw: event.eventDateRaw || '',
+        year,
+        podium,
+        updatedAt: serverTimestamp()
+    };
+}
+
+function writeHallOfFame(batch, eventCode, entry) {
+    const ref = doc(db, 'hallOfFame', eventCode);
+    if (entry) batch.set(ref, entry);
+    else batch.delete(ref);
+}
+
+// Standalone refresh for changes that don't go through updateInFirestore (deletes, imports, restores)
+async function syncHallOfFame(eventCode) {
+    if (!eventCode || !SecurityUtils.isValidDocId(eventCode)) return;
+    try {
+        const batch = writeBatch(db);
+        writeHallOfFame(batch, eventCode, await buildHallOfFame(eventCode));
+        await batch.commit();
+    } catch (error) {
+        secureLog('Error syncing hall of fame:', error);
+        showToast('⚠️ Winners saved, but the Hall of Fame could not be updated');
+    }
+}
+
+// Backfill the archive for every event (e.g. winners set before the Hall of Fame existed)
+async function rebuildHallOfFame() {
+    if (!AdminPermissions.isSuperAdmin()) {
+        showToast('⚠️ Only super admins can rebuild the Hall of Fame');
+        return;
+    }
+    if (!confirm('Rebuild the public Hall of Fame from the current winners of every event?')) return;
+
+    await loadAllEvents();
+    for (const event of allEvents) {
+        await syncHallOfFame(event.code);
+    }
+    await logAdminAction('REBUILD_HALL_OF_FAME', { eventCount: allEvents.length });
+    showToast(`🏛️ Hall of Fame rebuilt for ${allEvents.length} events`);
+}
+window.rebuildHallOfFame = rebuildHallOfFame;
+
+function togglePasswordVisibility() {
+    const input = document.getElementById('password');
+    const toggleBtn = document.querySelector('.password-toggle');
+    if (!input) return;
+
+    if (input.type === 'password') {
+        input.type = 'text';
+        if (toggleBtn) toggleBtn.textContent = '🙈';
+    } else {
+        input.type = 'password';
+        if (toggleBtn) toggleBtn.textContent = '👁️';
+    }
+}
+window.togglePasswordVisibility = togglePasswordVisibility;
+
+function refreshTableData() {
+    if (window.reloadFirestoreData) window.reloadFirestoreData().then(() => showToast('✅ Refreshed!'));
+}
+window.refreshTableData = refreshTableData;
+
+// ===== CERTIFICATES =====
+// Templates live on events/{code}.certificateTemplates.{participation|winner}:
+// { background: 'images/...', orientation, fields: [{ text, x, y, size, color, align, bold }] }
+// x/y are percentages of the page; text may use the CERTIFICATE_TOKENS placeholders.
+
+const CERTIFICATE_TYPES = {
+    participation: '🎓 Participation (attended members)',
+    winner: '🏆 Winners (members of winning teams)'
+};
+const CERTIFICATE_TOKENS = ['{name}', '{usn}', '{team}', '{event}', '{date}', '{position}', '{id}'];
+const CERTIFICATE_MAX_FIELDS = 12;
+const CERTIFICATE_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CERTIFICATE_BACKGROUND_PATTERN = /^images\/[\w\- ]+\.(png|jpe?g)$/i;
+const POSITION_NAMES = { 1: '1st', 2: '2nd', 3: '3rd' };
+
+const DEFAULT_CERTIFICATE_TEMPLATES = {
+    participation: {
+        background: 'images/certificate.png',
+        orientation: 'landscape',
+        fields: [
+            { text: 'Certificate of Participation', x: 50, y: 24, size: 34, color: '#1e293b', align: 'center', bold: true },
+            { text: 'This is to certify that', x: 50, y: 38, size: 16, color: '#475569', align: 'center', bold: false },
+            { text: '{name}', x: 50, y: 49, size: 30, color: '#6366f1', align: 'center', bold: true },
+            { text: 'participated in {event} conducted by ISTE on {date}', x: 50, y: 60, size: 16, color: '#475569', align: 'center', bold: false },
+            { text: 'Verification ID: {id}', x: 50, y: 92, size: 10, color: '#64748b', align: 'center', bold: false }
+        ]
+    },
+    winner: {
+        background: 'images/certificate.png',
+        orientation: 'landscape',
+        fields: [
+            { text: 'Certificate of Achievement', x: 50, y: 24, size: 34, color: '#1e293b', align: 'center', bold: true },
+            { text: 'This is to certify that', x: 50, y: 38, size: 16, color: '#475569', align: 'center', bold: false },
+            { text: '{name}', x: 50, y: 49, size: 30, color: '#6366f1', align: 'center', bold: true },
+            { text: 'of team {team} secured {position} place in {event} on {date}', x: 50, y: 60, size: 16, color: '#475569', align: 'center', bold: false },
+            { text: 'Verification ID: {id}', x: 50, y: 92, size: 10, color: '#64748b', align: 'center', bold: false }
+        ]
+    }
+};
+
+let certificateRecipients = [];
+
+function handleCertificates() {
+    const select = document.getElementById('certEventSelect');
+    const accessible = allEvents.filter(e => AdminPermissions.canAccessEvent(e.code));
+    if (!select || accessible.length === 0) {
+        showToast('⚠️ No events available');
+        return;
+    }
+
+    select.innerHTML = '<option value="">Select an event...</option>';
+    accessible.forEach(e => {
+        const opt = document.createElement('option');
+        opt.value = e.code;
+        opt.textContent = `${e.emoji || '📅'} ${e.name}`;
+        select.appendChild(opt);
+    });
+    const openContent = document.querySelector('.event-content.active');
+    const openCode = openContent ? openContent.id.replace(/-content$/, '') : '';
+    if (openCode && accessible.some(e => e.code === openCode)) select.value = openCode;
+
+    document.getElementById('certTypeSelect').value = 'participation';
+    onCertificateSourceChange();
+    document.getElementById('certificateModal').classList.add('active');
+}
+window.handleCertificates = handleCertificates;
+
+// Event or certificate type changed: load its template and recipients
+async function onCertificateSourceChange() {
+    const eventCode = document.getElementById('certEventSelect').value;
+    const type = document.getElementById('certTypeSelect').value;
+    const event = allEvents.find(e => e.code === eventCode);
+    renderCertificateTemplate(event?.certificateTemplates?.[type] || DEFAULT_CERTIFICATE_TEMPLATES[type]);
+
+    const summary = document.getElementById('certRecipientSummary');
+    certificateRecipients = [];
+    if (!eventCode) {
+        summary.textContent = 'Select an event to see who gets a certificate.';
+        return;
+    }
+    summary.textContent = 'Loading recipients...';
+    try {
+        certificateRecipients = await loadCertificateRecipients(eventCode, type);
+        if (document.getElementById('certEventSelect').value !== eventCode) return;
+        summary.textContent = certificateRecipients.length > 0
+            ? `${certificateRecipients.length} certificate(s) will be generated.`
+            : (type === 'winner' ? 'No winners set for this event yet.' : 'No members have been marked as attended yet.');
+        renderCertificatePreview();
+    } catch (error) {
+        secureLog('Error loading certificate recipients:', error);
+        summary.textContent = '⚠️ Could not load registrations';
+    }
+}
+window.onCertificateSourceChange = onCertificateSourceChange;
+
+// One entry per person: attended members, or every member of a winning team
+async function loadCertificateRecipients(eventCode, type) {
+    const snapshot = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', eventCode)));
+    const recipients = [];
+    snapshot.forEach(docSnap => {
+        const d = docSnap.data();
+        if (type === 'winner' && !d.isWinner) return;
+        attendanceMembers(d).forEach(m => {
+            if (type === 'participation' && !m.attended) return;
+            recipients.push({
+                teamId: docSnap.id,
+                memberIndex: m.index,
+                name: m.name,
+                usn: SecurityUtils.sanitizeString(d[`member${m.index}`]?.usn, 20),
+                teamName: SecurityUtils.sanitizeTeamName(d.teamName),
+                position: type === 'winner' ? (d.winnerPosition || null) : null
+            });
+        });
+    });
+    recipients.sort((a, b) => (a.position || 0) - (b.position || 0) || a.teamName.localeCompare(b.teamName) || a.memberIndex - b.memberIndex);
+    return recipients;
+}
+
+function renderCertificateTemplate(template) {
+    document.getElementById('certBackground').value = template.background || '';
+    document.getElementById('certOrientation').value = template.orientation === 'portrait' ? 'portrait' : 'landscape';
+    document.getElementById('certFields').innerHTML = '';
+    (template.fields || []).forEach(field => appendCertificateFieldRow(field));
+    renderCertificatePreview();
+}
+
+function appendCertificateFieldRow(field) {
+    const list = document.getElementById('certFields');
+    const row = document.createElement('div');
+    row.className = 'cert-field';
+    row.innerHTML = `
+        <input type="text" class="cf-text" placeholder="Text, e.g. {name}" maxlength="200">
+        <input type="number" class="cf-x" min="0" max="100" step="0.5" title="Horizontal position (%)">
+        <input type="number" class="cf-y" min="0" max="100" step="0.5" title="Vertical position (%)">
+        <input type="number" class="cf-size" min="6" max="96" title="Font size (pt)">
+        <input type="color" class="cf-color" title="Colour">
+        <select class="cf-align" title="Alignment">
+            <option value="left">Left</option>
+            <option value="center">Center</option>
+            <option value="right">Right</option>
+        </select>
+        <label class="cf-bold"><input type="checkbox"> Bold</label>
+        <button type="button" class="action-btn delete" aria-label="Remove text field" onclick="removeCertificateField(this)">🗑️</button>
+    `;
+    row.querySelector('.cf-text').value = field.text || '';
+    row.querySelector('.cf-x').value = field.x ?? 50;
+    row.querySelector('.cf-y').value = field.y ?? 50;
+    row.querySelector('.cf-size').value = field.size || 16;
+    row.querySelector('.cf-color').value = /^#[0-9a-f]{6}$/i.test(field.color) ? field.color : '#1e293b';
+    row.querySelector('.cf-align').value = ['left', 'center', 'right'].includes(field.align) ? field.align : 'center';
+    row.querySelector('.cf-bold input').checked = field.bold === true;
+    list.appendChild(row);
+}
+
+function addCertificateField() {
+    const list = document.getElementById('certFields');
+    if (list.children.length >= CERTIFICATE_MAX_FIELDS) {
+        showToast(`⚠️ Maximum ${CERTIFICATE_MAX_FIELDS} text fields`);
+        return;
+    }
+    appendCertificateFieldRow({ text: '', x: 50, y: 50, size: 16, color: '#1e293b', align: 'center', bold: false });
+    list.lastElementChild?.querySelector('.cf-text')?.focus();
+    renderCertificatePreview();
+}
+window.addCertificateField = addCertificateField;
+
+function removeCertificateField(btn) {
+    btn.closest('.cert-field')?.remove();
+    renderCertificatePreview();
+}
+window.removeCertificateField = removeCertificateField;
+
+// Read the editor back into a template; returns { template } or { error }
+function readCertificateTemplate() {
+    const background = document.getElementById('certBackground').value.trim();
+    if (!CERTIFICATE_BACKGROUND_PATTERN.test(background)) {
+        return { error: '⚠️ Background must be a .png or .jpg file in images/ (e.g. images/certificate.png)' };
+    }
+    const clamp = (value, min, max, fallback) => {
+        const num = parseFloat(value);
+        return Number.isFinite(num) ? Math.min(max, Math.max(min, num)) : fallback;
+    };
+    const fields = [];
+    for (const row of document.querySelectorAll('#certFields .cert-field')) {
+        const text = SecurityUtils.sanitizeString(row.querySelector('.cf-text').value, 200);
+        if (!text) continue;
+        fields.push({
+            text,
+            x: clamp(row.querySelector('.cf-x').value, 0, 100, 50),
+            y: clamp(row.querySelector('.cf-y').value, 0, 100, 50),
+            size: clamp(row.querySelector('.cf-size').value, 6, 96, 16),
+            color: /^#[0-9a-f]{6}$/i.test(row.querySelector('.cf-color').value) ? row.querySelector('.cf-color').value : '#1e293b',
+            align: row.querySelector('.cf-align').value,
+            bold: row.querySelector('.cf-bold input').checked
+        });
+    }
+    if (fields.length === 0) return { error: '⚠️ Add at least one text field' };
+    return {
+        template: {
+            background,
+            orientation: document.getElementById('certOrientation').value === 'portrait' ? 'portrait' : 'landscape',
+            fields
+        }
+    };
+}
+
+function fillCertificateText(text, values) {
+    return text.replace(/\{(name|usn|team|event|date|position|id)\}/g, (_, token) => values[token] ?? '');
 }
-window.saveEventEdit = saveEventEdit;
 
-// ===== WINNER MODAL FUNCTIONS =====
-function openWinnerModal(teamId, teamName, eventCode) {
-    document.getElementById('winnerTeamId').value = teamId;
-    document.getElementById('winnerTeamName').textContent = teamName;
-    document.getElementById('winnerEventCode').value = eventCode;
-    document.getElementById('selectedWinnerPosition').value = '';
+function certificateValues(recipient, event, id) {
+    return {
+        name: recipient.name,
+        usn: recipient.usn,
+        team: recipient.teamName,
+        event: event?.name || '',
+        date: event?.eventDate || new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+        position: recipient.position ? (POSITION_NAMES[recipient.position] || `${recipient.position}th`) : '',
+        id
+    };
+}
 
-    // Reset position button selections
-    document.querySelectorAll('.winner-position-btn').forEach(btn => {
-        btn.classList.remove('selected');
+// Live preview with the first recipient (or sample values)
+function renderCertificatePreview() {
+    const preview = document.getElementById('certPreview');
+    if (!preview) return;
+    const event = allEvents.find(e => e.code === document.getElementById('certEventSelect').value);
+    const background = document.getElementById('certBackground').value.trim();
+    const portrait = document.getElementById('certOrientation').value === 'portrait';
+    const sample = certificateRecipients[0] || { name: 'Participant Name', usn: '1XX21CS000', teamName: 'Team Name', position: 1 };
+    const values = certificateValues(sample, event, 'ISTE-XXXXXXXXXX');
+
+    preview.classList.toggle('portrait', portrait);
+    preview.style.backgroundImage = CERTIFICATE_BACKGROUND_PATTERN.test(background) ? `url("${encodeURI(background)}")` : 'none';
+    preview.innerHTML = '';
+    document.querySelectorAll('#certFields .cert-field').forEach(row => {
+        const span = document.createElement('span');
+        span.className = 'cert-preview-text';
+        span.textContent = fillCertificateText(row.querySelector('.cf-text').value, values);
+        span.style.left = `${parseFloat(row.querySelector('.cf-x').value) || 0}%`;
+        span.style.top = `${parseFloat(row.querySelector('.cf-y').value) || 0}%`;
+        // Preview is ~1/4 of A4 width, so scale point sizes down to match
+        span.style.fontSize = `${(parseFloat(row.querySelector('.cf-size').value) || 16) * (portrait ? 0.45 : 0.32)}px`;
+        span.style.color = row.querySelector('.cf-color').value;
+        span.style.fontWeight = row.querySelector('.cf-bold input').checked ? '700' : '400';
+        span.dataset.align = row.querySelector('.cf-align').value;
+        preview.appendChild(span);
     });
+}
+window.renderCertificatePreview = renderCertificatePreview;
 
-    document.getElementById('winnerModal').classList.add('active');
+async function saveCertificateTemplate() {
+    const eventCode = document.getElementById('certEventSelect').value;
+    const type = document.getElementById('certTypeSelect').value;
+    if (!eventCode || !AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⚠️ Please select an event');
+        return null;
+    }
+    const { template, error } = readCertificateTemplate();
+    if (error) {
+        showToast(error);
+        return null;
+    }
+
+    try {
+        await updateDoc(doc(db, 'events', eventCode), { [`certificateTemplates.${type}`]: template });
+        const event = allEvents.find(e => e.code === eventCode);
+        if (event) event.certificateTemplates = { ...(event.certificateTemplates || {}), [type]: template };
+        await logAdminAction('SAVE_CERTIFICATE_TEMPLATE', { eventCode, type });
+        showToast('✅ Certificate template saved');
+        return template;
+    } catch (error) {
+        secureLog('Error saving certificate template:', error);
+        showToast('⚠️ Could not save template');
+        return null;
+    }
 }
-window.openWinnerModal = openWinnerModal;
+window.saveCertificateTemplate = saveCertificateTemplate;
 
-function selectWinnerPosition(position, btn) {
-    // Store the selected position
-    document.getElementById('selectedWinnerPosition').value = position;
+function generateCertificateId() {
+    const bytes = new Uint8Array(10);
+    crypto.getRandomValues(bytes);
+    return 'ISTE-' + Array.from(bytes, b => CERTIFICATE_ID_ALPHABET[b % CERTIFICATE_ID_ALPHABET.length]).join('');
+}
 
-    // Update button visuals
-    document.querySelectorAll('.winner-position-btn').forEach(b => {
-        b.classList.remove('selected');
+async function loadImageAsDataUrl(path) {
+    const response = await fetch(encodeURI(path));
+    if (!response.ok) throw new Error(`Background image not found: ${path}`);
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
     });
-    btn.classList.add('selected');
 }
-window.selectWinnerPosition = selectWinnerPosition;
 
-async function confirmSetWinner() {
-    const teamId = document.getElementById('winnerTeamId').value;
-    const position = parseInt(document.getElementById('selectedWinnerPosition').value);
-    const eventCode = document.getElementById('winnerEventCode').value;
+function hexToRgb(hex) {
+    const num = parseInt(hex.slice(1), 16);
+    return [(num >> 16) & 255, (num >> 8) & 255, num & 255];
+}
 
-    if (!position) {
-        showToast('⚠️ Please select a position');
+// Generate one PDF per recipient, record each in `certificates`, and download them as a ZIP
+async function generateCertificates() {
+    const eventCode = document.getElementById('certEventSelect').value;
+    const type = document.getElementById('certTypeSelect').value;
+    const event = allEvents.find(e => e.code === eventCode);
+    if (!eventCode || !event || !AdminPermissions.canAccessEvent(eventCode)) {
+        showToast('⚠️ Please select an event');
         return;
     }
-
-    try {
-        const success = await window.updateInFirestore('registrations', teamId, {
-            isWinner: true,
-            winnerPosition: position
-        });
-
-        if (success) {
-            showToast(`🏆 Winner set to position ${position}!`);
-            closeModal('winnerModal');
-
-            // Refresh the specific event data
-            if (eventCode) {
-                await loadEventData(eventCode);
-            } else {
-                await loadAllEventData();
-            }
-        } else {
-            showToast('⚠️ Failed to set winner (permission denied)');
-        }
-    } catch (err) {
-        secureLog('Set winner error:', err);
-        showToast('❌ Error setting winner');
+    if (!window.jspdf?.jsPDF || typeof JSZip === 'undefined') {
+        showToast('❌ PDF/ZIP libraries failed to load');
+        return;
+    }
+    if (certificateRecipients.length === 0) {
+        showToast('⚠️ Nobody to generate certificates for');
+        return;
     }
-}
-window.confirmSetWinner = confirmSetWinner;
 
-// Remove winner status
-async function removeWinner(teamId, eventCode) {
-    if (!confirm('Remove winner status from this team?')) return;
+    const template = await saveCertificateTemplate();
+    if (!template) return;
 
+    const btn = document.getElementById('certGenerateBtn');
+    btn.disabled = true;
     try {
-        const success = await window.updateInFirestore('registrations', teamId, {
-            isWinner: false,
-            winnerPosition: null
+        const background = await loadImageAsDataUrl(template.background);
+        const imageFormat = /\.png$/i.test(template.background) ? 'PNG' : 'JPEG';
+
+        // Re-issuing keeps each person's existing verification ID
+        const existing = new Map();
+        const issued = await getDocs(query(collection(db, 'certificates'), where('eventCode', '==', eventCode), where('type', '==', type)));
+        issued.forEach(docSnap => {
+            const c = docSnap.data();
+            existing.set(`${c.teamId}:${c.memberIndex}`, docSnap.id);
         });
 
-        if (success) {
-            showToast('✅ Winner status removed');
+        const zip = new JSZip();
+        const usedNames = new Set();
+        let batch = writeBatch(db);
+        let pending = 0;
+
+        for (let i = 0; i < certificateRecipients.length; i++) {
+            const recipient = certificateRecipients[i];
+            btn.textContent = `Generating ${i + 1}/${certificateRecipients.length}...`;
+
+            const id = existing.get(`${recipient.teamId}:${recipient.memberIndex}`) || generateCertificateId();
+            const values = certificateValues(recipient, event, id);
+
+            const pdf = new window.jspdf.jsPDF({ orientation: template.orientation, unit: 'pt', format: 'a4' });
+            const width = pdf.internal.pageSize.getWidth();
+            const height = pdf.internal.pageSize.getHeight();
+            pdf.addImage(background, imageFormat, 0, 0, width, height);
+            template.fields.forEach(field => {
+                pdf.setFont('helvetica', field.bold ? 'bold' : 'normal');
+                pdf.setFontSize(field.size);
+                pdf.setTextColor(...hexToRgb(field.color));
+                pdf.text(fillCertificateText(field.text, values), width * field.x / 100, height * field.y / 100, { align: field.align, baseline: 'middle' });
+            });
 
-            // Refresh the specific event data
-            if (eventCode) {
-                await loadEventData(eventCode);
-            } else {
-                await loadAllEventData();
+            let filename = `${recipient.name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '_') || 'certificate'}_${id}.pdf`;
+            if (usedNames.has(filename)) filename = `${recipient.memberIndex}_${filename}`;
+            usedNames.add(filename);
+            zip.file(filename, pdf.output('arraybuffer'));
+
+            batch.set(doc(db, 'certificates', id), {
+                verificationId: id,
+                type,
+                eventCode,
+                eventName: event.name,
+                teamId: recipient.teamId,
+                teamName: recipient.teamName,
+                memberIndex: recipient.memberIndex,
+                name: recipient.name,
+                position: recipient.position,
+                issuedAt: serverTimestamp(),
+                issuedBy: auth.currentUser?.email || 'unknown'
+            });
+            if (++pending === WRITE_BATCH_SIZE) {
+                await batch.commit();
+                batch = writeBatch(db);
+                pending = 0;
             }
         }
-    } catch (err) {
-        secureLog('Remove winner error:', err);
-        showToast('❌ Error removing winner');
-    }
-}
-window.removeWinner = removeWinner;
+        if (pending > 0) await batch.commit();
 
-function togglePasswordVisibility() {
-    const input = document.getElementById('password');
-    const toggleBtn = document.querySelector('.password-toggle');
-    if (!input) return;
+        btn.textContent = 'Zipping...';
+        const blob = await zip.generateAsync({ type: 'blob' });
+        downloadBlob(blob, 'application/zip', `${eventCode}_${type}_certificates.zip`);
 
-    if (input.type === 'password') {
-        input.type = 'text';
-        if (toggleBtn) toggleBtn.textContent = '🙈';
-    } else {
-        input.type = 'password';
-        if (toggleBtn) toggleBtn.textContent = '👁️';
+        await logAdminAction('GENERATE_CERTIFICATES', { eventCode, type, count: certificateRecipients.length });
+        showToast(`🎓 Generated ${certificateRecipients.length} certificates`);
+    } catch (error) {
+        secureLog('Certificate generation error:', error);
+        showToast(error.message?.startsWith('Background image') ? `⚠️ ${error.message}` : '❌ Certificate generation failed');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = '🎓 Generate ZIP';
     }
 }
-window.togglePasswordVisibility = togglePasswordVisibility;
-
-function refreshTableData() {
-    if (window.reloadFirestoreData) window.reloadFirestoreData().then(() => showToast('✅ Refreshed!'));
-}
-window.refreshTableData = refreshTableData;
+window.generateCertificates = generateCertificates;
 
 // ===== FILTER BAR FUNCTIONS =====
 function toggleFilterBar(eventName) {
@@ -2858,26 +7321,7 @@ function toggleFilterBar(eventName) {
 window.toggleFilterBar = toggleFilterBar;
 
 function applyStatusFilter(status, eventName = 'testing') {
-    const tbody = document.getElementById(`${eventName}-tbody`);
-    if (!tbody) return;
-
-    const rows = tbody.querySelectorAll('tr');
-    let visibleCount = 0;
-
-    rows.forEach(row => {
-        const statusCell = row.querySelector('.status-pill');
-        const rowStatus = statusCell ? statusCell.textContent.toLowerCase().trim() : '';
-
-        let showRow = true;
-        if (status && status !== 'all') {
-            showRow = rowStatus === status.toLowerCase();
-        }
-
-        row.style.display = showRow ? '' : 'none';
-        if (showRow) visibleCount++;
-    });
-
-    showToast(`🔍 Showing ${visibleCount} of ${rows.length} teams`);
+    setTableFilter(eventName, { status: status && status !== 'all' ? status.toLowerCase() : '' });
 }
 window.applyStatusFilter = applyStatusFilter;
 
@@ -2886,61 +7330,22 @@ async function applyFilters(eventName) {
     const dateTo = document.getElementById(`filterDateTo-${eventName}`)?.value;
     const status = document.getElementById(`filterStatus-${eventName}`)?.value?.toLowerCase();
 
-    const tbody = document.getElementById(`${eventName}-tbody`);
-    if (!tbody) return;
-
-    const rows = tbody.querySelectorAll('tr[data-team]');
-    let visibleCount = 0;
-
     // Parse date range if provided
     const fromDate = dateFrom ? new Date(dateFrom) : null;
     const toDate = dateTo ? new Date(dateTo) : null;
     if (fromDate) fromDate.setHours(0, 0, 0, 0);
     if (toDate) toDate.setHours(23, 59, 59, 999);
 
-    rows.forEach(row => {
-        const statusCell = row.querySelector('.status-pill');
-        const rowStatus = statusCell ? statusCell.textContent.toLowerCase().trim() : '';
-
-        // Get registration date from data attribute
-        const regDateAttr = row.getAttribute('data-registered-at');
-        let rowDate = null;
-        if (regDateAttr) {
-            rowDate = new Date(regDateAttr);
-        }
-
-        let showRow = true;
-
-        // Status filter
-        if (status && status !== 'all' && status !== '' && rowStatus !== status) {
-            showRow = false;
-        }
-
-        // Date range filter
-        if (showRow && (fromDate || toDate) && rowDate) {
-            if (fromDate && rowDate < fromDate) {
-                showRow = false;
-            }
-            if (toDate && rowDate > toDate) {
-                showRow = false;
-            }
-        }
-
-        row.style.display = showRow ? '' : 'none';
-        if (showRow) visibleCount++;
+    await setTableFilter(eventName, {
+        status: status && status !== 'all' ? status : '',
+        from: fromDate ? fromDate.getTime() : null,
+        to: toDate ? toDate.getTime() : null
     });
-
-    showToast(`🔍 Showing ${visibleCount} of ${rows.length} teams`);
     await logAdminAction('FILTER_APPLIED', { eventName, status, dateFrom, dateTo });
 }
 window.applyFilters = applyFilters;
 
 function clearFilters(eventName) {
-    const tbody = document.getElementById(`${eventName}-tbody`);
-    if (!tbody) return;
-
-    tbody.querySelectorAll('tr').forEach(row => row.style.display = '');
-
     // Reset filter inputs
     const statusSelect = document.getElementById(`filterStatus-${eventName}`);
     const dateFrom = document.getElementById(`filterDateFrom-${eventName}`);
@@ -2959,10 +7364,20 @@ function clearFilters(eventName) {
         calendarClear(eventName);
     }
 
+    setTableFilter(eventName, { status: '', from: null, to: null });
     showToast('🔄 Filters cleared');
 }
 window.clearFilters = clearFilters;
 
+// Search covers every registration of the event, not just the page on screen
+function handleTableSearch(eventCode, term) {
+    clearTimeout(searchTimeouts[eventCode]);
+    searchTimeouts[eventCode] = setTimeout(() => {
+        setTableFilter(eventCode, { search: String(term || '').trim().toLowerCase().slice(0, 100) }, { quiet: true });
+    }, 300);
+}
+window.handleTableSearch = handleTableSearch;
+
 // ===== ROW SELECTION =====
 function toggleRowSelection() {
     updateBulkActionBar();
@@ -3059,6 +7474,9 @@ window.handleLogin = function (event) {
             // Load routing config
             loadRoutingConfig();
 
+            // Send any event reminders that have come due
+            processDueReminders();
+
             // Render the registrations chart after data is loaded
             renderRegistrationsChart();
 
@@ -3106,6 +7524,7 @@ document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
         document.querySelectorAll('.modal-overlay.active').forEach(m => m.classList.remove('active'));
         closeTeamDrawer();
+        if (checkinState) closeCheckinView();
     }
 });
 
@@ -3220,6 +7639,8 @@ async function renderRegistrationsChart() {
 window.renderRegistrationsChart = renderRegistrationsChart;
 
 // ===== ANALYTICS HUB (Dynamic Data) =====
+let analyticsHubCounts = null; // { totalTeams, newToday, pending, verified } from the last full count
+
 async function updateAnalyticsHub() {
     try {
         // Get all registration counts
@@ -3228,10 +7649,7 @@ async function updateAnalyticsHub() {
         const uibattleCount = window.uibattleDataCount || 0;
         const totalTeams = testingCount + promptquestCount + uibattleCount;
 
-        // Get today's registrations (simplified - counts from today)
-        let newToday = 0;
-        let pendingCount = 0;
-        let verifiedCount = 0;
+        const totals = emptyRegistrationTotals();
 
         // Query registrations to calculate stats (respects admin permissions)
         try {
@@ -3267,42 +7685,13 @@ async function updateAnalyticsHub() {
                 snapshot = await getDocs(regsRef);
             }
 
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-
-            snapshot.forEach(docSnap => {
-                const data = docSnap.data();
-
-                // Count pending vs verified
-                if (data.status === 'Verified') {
-                    verifiedCount++;
-                } else {
-                    pendingCount++;
-                }
-
-                // Count today's registrations
-                if (data.registeredAt) {
-                    const regDate = data.registeredAt.toDate ? data.registeredAt.toDate() : new Date(data.registeredAt);
-                    if (regDate >= today) {
-                        newToday++;
-                    }
-                }
-            });
+            snapshot.forEach(docSnap => tallyRegistration(totals, docSnap.data()));
         } catch (e) {
             console.log('[Hub] Could not fetch detailed stats:', e);
         }
 
-        // Calculate verification rate
-        const verificationRate = totalTeams > 0 ? Math.round((verifiedCount / totalTeams) * 100) : 0;
-
-        // Update Stats Summary
-        const newTodayEl = document.getElementById('totalTeamsToday');
-        const pendingEl = document.getElementById('pendingVerifications');
-        const rateEl = document.getElementById('verificationRate');
-
-        if (newTodayEl) newTodayEl.textContent = `+${newToday}`;
-        if (pendingEl) pendingEl.textContent = pendingCount;
-        if (rateEl) rateEl.textContent = `${verificationRate}%`;
+        analyticsHubCounts = { totalTeams, newToday: totals.today, pending: totals.pending, verified: totals.verified };
+        renderAnalyticsHubSummary();
 
         // Update Top Performers (sorted by count)
         const events = [
@@ -3330,7 +7719,7 @@ async function updateAnalyticsHub() {
             });
         }
 
-        console.log('[Hub] Analytics updated:', { newToday, pendingCount, verifiedCount, verificationRate });
+        console.log('[Hub] Analytics updated:', analyticsHubCounts);
     } catch (err) {
         secureLog('[Hub] Update error:', err);
     }
@@ -3338,6 +7727,21 @@ async function updateAnalyticsHub() {
 
 window.updateAnalyticsHub = updateAnalyticsHub;
 
+// Stats summary of the hub; live snapshots adjust analyticsHubCounts in place
+function renderAnalyticsHubSummary() {
+    if (!analyticsHubCounts) return;
+    const { totalTeams, newToday, pending, verified } = analyticsHubCounts;
+    const verificationRate = totalTeams > 0 ? Math.round((verified / totalTeams) * 100) : 0;
+
+    const newTodayEl = document.getElementById('totalTeamsToday');
+    const pendingEl = document.getElementById('pendingVerifications');
+    const rateEl = document.getElementById('verificationRate');
+
+    if (newTodayEl) newTodayEl.textContent = `+${newToday}`;
+    if (pendingEl) pendingEl.textContent = pending;
+    if (rateEl) rateEl.textContent = `${verificationRate}%`;
+}
+
 // ===== ANIMATED CALENDAR COMPONENT =====
 const calendarState = {};
 
@@ -3633,20 +8037,77 @@ document.addEventListener('click', (e) => {
 });
 
 // ===== DASHBOARD STATS =====
+// What the stat cards currently show ({ eventCodes, statsLabel, activeEventCount, galleryCount, isSuperAdmin, statsSessions, totals })
+let dashboardStatsView = null;
+
+function emptyRegistrationTotals() {
+    return { teams: 0, participants: 0, present: 0, newThisWeek: 0, today: 0, pending: 0, verified: 0, sessions: new Map() };
+}
+
+// Add (sign 1) or take back (sign -1) one registration's share of the stat card
+// and analytics hub counts; sessions maps sessionId -> { teams, seats }
+function tallyRegistration(totals, d, sign = 1) {
+    const members = attendanceMembers(d);
+    const status = d.status || 'Pending';
+    totals.teams += sign;
+    totals.participants += sign * members.length;
+    totals.present += sign * members.filter(m => m.attended).length;
+    if (status === 'Pending') totals.pending += sign;
+    if (status === 'Verified' || status === 'Checked-in') totals.verified += sign;
+
+    if (d.sessionId) {
+        const session = totals.sessions.get(d.sessionId) || { teams: 0, seats: 0 };
+        session.teams += sign;
+        if (SEAT_HOLDING_STATUSES.includes(status)) session.seats += sign;
+        totals.sessions.set(d.sessionId, session);
+    }
+
+    const registeredAt = timestampToMillis(d.registeredAt);
+    if (registeredAt) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        if (registeredAt > Date.now() - 7 * 86400000) totals.newThisWeek += sign;
+        if (registeredAt >= today.getTime()) totals.today += sign;
+    }
+}
+
+// Update UI with animation & remove skeletons
+function renderDashboardStats(totals, view) {
+    function revealStatCard(cardId, statId, value, changeId, changeText) {
+        const card = document.getElementById(cardId);
+        const statEl = document.getElementById(statId);
+        const changeEl = document.getElementById(changeId);
+        if (card) {
+            card.classList.remove('skeleton-loading');
+            card.classList.add('loaded');
+        }
+        if (statEl) {
+            statEl.textContent = '';
+            if (typeof window.animateStat === 'function' && typeof value === 'number' && !isNaN(value)) {
+                window.animateStat(statEl.id, value);
+            } else {
+                statEl.textContent = value;
+            }
+        }
+        if (changeEl) changeEl.textContent = changeText;
+    }
+
+    const { statsLabel } = view;
+    revealStatCard('card-totalTeams', 'stat-totalTeams', totals.teams, 'stat-teamsChange', totals.newThisWeek > 0 ? `↑ ${totals.newThisWeek} this week` : statsLabel);
+    const participantsNote = totals.present > 0
+        ? `✓ ${totals.present} present`
+        : (totals.today > 0 ? `↑ ${totals.today} today` : statsLabel);
+    setTimeout(() => revealStatCard('card-participants', 'stat-participants', totals.participants, 'stat-participantsChange', participantsNote), 120);
+    setTimeout(() => revealStatCard('card-events', 'stat-events', view.activeEventCount, 'stat-eventsChange', 'Active events'), 240);
+    setTimeout(() => revealStatCard('card-gallery', 'stat-gallery', view.galleryCount || '--', 'stat-galleryChange', view.isSuperAdmin ? 'Uploaded' : '--'), 360);
+    renderSessionStats(view.statsSessions, totals.sessions);
+}
+
 async function updateDashboardStats(eventCode = null) {
     try {
-        const statsTeams = document.getElementById('stat-totalTeams');
-        const statsParticipants = document.getElementById('stat-participants');
-        const statsEvents = document.getElementById('stat-events');
-        const statsGallery = document.getElementById('stat-gallery');
-        const statsTeamsChange = document.getElementById('stat-teamsChange');
-        const statsParticipantsChange = document.getElementById('stat-participantsChange');
-        const statsEventsChange = document.getElementById('stat-eventsChange');
-        const statsGalleryChange = document.getElementById('stat-galleryChange');
-
         // Get events list
         await loadAllEvents();
-        const activeEventCount = allEvents.filter(e => e.isActive).length;
+        const activeEventCount = allEvents.filter(isLiveEvent).length;
 
         const isSuperAdmin = AdminPermissions.isSuperAdmin();
         const accessibleEvents = AdminPermissions.getAccessibleEvents();
@@ -3662,7 +8123,7 @@ async function updateDashboardStats(eventCode = null) {
             statsLabel = `📊 ${eventName}`;
         } else if (isSuperAdmin) {
             // Super admin: show global stats from ALL events
-            eventsToQuery = allEvents.filter(e => e.isActive).map(e => e.code);
+            eventsToQuery = allEvents.filter(isLiveEvent).map(e => e.code);
             statsLabel = 'All events';
         } else {
             // Normal admin: show stats from active routing event
@@ -3687,34 +8148,13 @@ async function updateDashboardStats(eventCode = null) {
             }
         }
 
-        // Query each event and sum up stats
-        let totalTeams = 0;
-        let totalParticipants = 0;
-        let newThisWeek = 0;
-        let todayCount = 0;
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
+        // Sum each event's registrations; the open event's counts are then kept current by refreshEventTotals
+        const statsSessions = eventsToQuery.length === 1 ? eventSessions(eventsToQuery[0]) : [];
+        const totals = emptyRegistrationTotals();
         for (const code of eventsToQuery) {
             try {
-                const regQuery = query(collection(db, 'registrations'), where('eventCode', '==', code));
-                const regSnapshot = await getDocs(regQuery);
-                totalTeams += regSnapshot.size;
-
-                regSnapshot.forEach(docSnap => {
-                    const d = docSnap.data();
-                    // Count participants
-                    totalParticipants += [d.member1, d.member2, d.member3].filter(m => m?.name).length;
-
-                    // Count new registrations
-                    if (d.registeredAt) {
-                        const regDate = d.registeredAt.toDate ? d.registeredAt.toDate() : new Date(d.registeredAt.seconds * 1000);
-                        if (regDate > weekAgo) newThisWeek++;
-                        if (regDate >= today) todayCount++;
-                    }
-                });
+                const regSnapshot = await getDocs(query(collection(db, 'registrations'), where('eventCode', '==', code)));
+                regSnapshot.forEach(docSnap => tallyRegistration(totals, docSnap.data()));
             } catch (e) {
                 secureLog(`[Stats] Could not fetch stats for ${code}:`, e.message);
             }
@@ -3731,28 +8171,8 @@ async function updateDashboardStats(eventCode = null) {
             }
         }
 
-        // Update UI with animation & remove skeletons
-        function revealStatCard(cardId, statEl, value, changeEl, changeText) {
-            const card = document.getElementById(cardId);
-            if (card) {
-                card.classList.remove('skeleton-loading');
-                card.classList.add('loaded');
-            }
-            if (statEl) {
-                statEl.textContent = '';
-                if (typeof window.animateStat === 'function' && typeof value === 'number' && !isNaN(value)) {
-                    window.animateStat(statEl.id, value);
-                } else {
-                    statEl.textContent = value;
-                }
-            }
-            if (changeEl) changeEl.textContent = changeText;
-        }
-
-        revealStatCard('card-totalTeams', statsTeams, totalTeams, statsTeamsChange, newThisWeek > 0 ? `↑ ${newThisWeek} this week` : statsLabel);
-        setTimeout(() => revealStatCard('card-participants', statsParticipants, totalParticipants, statsParticipantsChange, todayCount > 0 ? `↑ ${todayCount} today` : statsLabel), 120);
-        setTimeout(() => revealStatCard('card-events', statsEvents, activeEventCount, statsEventsChange, 'Active events'), 240);
-        setTimeout(() => revealStatCard('card-gallery', statsGallery, galleryCount || '--', statsGalleryChange, isSuperAdmin ? 'Uploaded' : '--'), 360);
+        dashboardStatsView = { eventCodes: eventsToQuery, statsLabel, activeEventCount, galleryCount, isSuperAdmin, statsSessions, totals };
+        renderDashboardStats(totals, dashboardStatsView);
 
         console.log('[Stats] Dashboard stats updated for:', eventsToQuery.join(', '));
     } catch (error) {
@@ -3767,6 +8187,21 @@ async function updateDashboardStats(eventCode = null) {
 }
 window.updateDashboardStats = updateDashboardStats;
 
+function renderSessionStats(sessions, counts) {
+    const container = document.getElementById('stat-sessions');
+    if (!container) return;
+    container.style.display = sessions.length > 0 ? '' : 'none';
+    container.innerHTML = sessions.map(session => {
+        const { teams, seats } = counts.get(session.id) || { teams: 0, seats: 0 };
+        const full = session.capacity > 0 && seats >= session.capacity;
+        return `<div class="session-stat${full ? ' full' : ''}">
+            <span class="session-stat-label">🗓️ ${SecurityUtils.escapeHtml(window.EventSessions.label(session))}</span>
+            <strong>${teams} teams</strong>
+            <small>${session.capacity > 0 ? `${seats}/${session.capacity} seats` : 'Unlimited'}</small>
+        </div>`;
+    }).join('');
+}
+
 
 // ===== INIT =====
 window.addEventListener('DOMContentLoaded', async () => {
@@ -3798,6 +8233,9 @@ window.addEventListener('DOMContentLoaded', async () => {
                 // Load routing config
                 loadRoutingConfig();
 
+                // Send any event reminders that have come due
+                processDueReminders();
+
                 // Render the registrations chart after data is loaded
                 renderRegistrationsChart();
 
@@ -4657,6 +9095,200 @@ async function clearAllFeedback() {
 }
 window.clearAllFeedback = clearAllFeedback;
 
+// ===== AUDIT LOG VIEWER =====
+// Super-admin view over auditLogs. The date range is applied in the query (newest
+// first, capped at AUDIT_LOG_LIMIT); admin, action and event filter the loaded page.
+const AUDIT_LOG_LIMIT = 500;
+let auditLogEntries = [];
+
+// Who did it: the admin's email, or the participant for public self-service entries
+function auditActor(entry) {
+    if (entry.adminEmail) return entry.adminEmail;
+    return entry.actor === 'participant' ? 'participant' : 'unknown';
+}
+
+// Event an entry belongs to, falling back to the team's event for older entries
+function auditEventCode(entry) {
+    const details = entry.details || {};
+    if (details.eventCode) return details.eventCode;
+    if (details.activeEvent) return details.activeEvent;
+    if (!details.teamId) return '';
+    for (const [code, records] of Object.entries(eventRegistrationRecords)) {
+        if (records.some(r => r.id === details.teamId)) return code;
+    }
+    return '';
+}
+
+async function loadAuditLogs() {
+    if (!AdminPermissions.isSuperAdmin()) {
+        showToast('⛔ Only super admins can view the audit log');
+        return;
+    }
+
+    const content = document.getElementById('auditLogContent');
+    content.innerHTML = '<div class="feedback-loading"><div class="spinner"></div><p>Loading audit log...</p></div>';
+
+    try {
+        const range = calendarState.audit || {};
+        const constraints = [];
+        if (range.fromDate) {
+            const from = new Date(range.fromDate);
+            from.setHours(0, 0, 0, 0);
+            constraints.push(where('timestamp', '>=', Timestamp.fromDate(from)));
+        }
+        if (range.fromDate || range.toDate) {
+            const to = new Date(range.toDate || range.fromDate);
+            to.setHours(23, 59, 59, 999);
+            constraints.push(where('timestamp', '<=', Timestamp.fromDate(to)));
+        }
+
+        const snapshot = await getDocs(query(collection(db, 'auditLogs'), ...constraints, orderBy('timestamp', 'desc'), limit(AUDIT_LOG_LIMIT)));
+        auditLogEntries = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+        fillAuditFilter('auditFilterAdmin', [...new Set(auditLogEntries.map(auditActor))].sort(), 'All admins');
+        fillAuditFilter('auditFilterAction', [...new Set(auditLogEntries.map(e => e.action).filter(Boolean))].sort(), 'All actions');
+        fillAuditFilter('auditFilterEvent', allEvents.map(e => e.code), 'All events');
+
+        renderAuditLogs();
+    } catch (error) {
+        secureLog('Error loading audit log:', error);
+        content.innerHTML = '<p style="text-align:center;padding:40px;color:var(--text-muted);">Could not load the audit log</p>';
+    }
+}
+window.loadAuditLogs = loadAuditLogs;
+
+// Rebuild a filter dropdown, keeping the current choice when it is still listed
+function fillAuditFilter(selectId, values, allLabel) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = allLabel;
+    select.appendChild(all);
+    values.forEach(value => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = value;
+        select.appendChild(opt);
+    });
+    select.value = values.includes(current) ? current : '';
+}
+
+function filteredAuditLogs() {
+    const admin = document.getElementById('auditFilterAdmin')?.value || '';
+    const action = document.getElementById('auditFilterAction')?.value || '';
+    const eventCode = document.getElementById('auditFilterEvent')?.value || '';
+    return auditLogEntries.filter(entry =>
+        (!admin || auditActor(entry) === admin) &&
+        (!action || entry.action === action) &&
+        (!eventCode || auditEventCode(entry) === eventCode));
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Field-by-field before/after table for UPDATE entries that recorded a diff
+function renderAuditDiff(details) {
+    const keys = Object.keys(details.after || {});
+    if (keys.length === 0) return '<span class="audit-muted">No field changes</span>';
+    const rows = keys.map(key => `<tr>
+            <td>${SecurityUtils.escapeHtml(key)}</td>
+            <td class="audit-before">${SecurityUtils.escapeHtml(formatAuditValue(details.before?.[key]))}</td>
+            <td class="audit-after">${SecurityUtils.escapeHtml(formatAuditValue(details.after[key]))}</td>
+        </tr>`).join('');
+    return `<details class="audit-diff">
+            <summary>${keys.length} field${keys.length === 1 ? '' : 's'} changed</summary>
+            <table><thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead><tbody>${rows}</tbody></table>
+        </details>`;
+}
+
+function renderAuditDetails(entry) {
+    const details = entry.details || {};
+    if (details.after && details.before) return renderAuditDiff(details);
+    const summary = Object.entries(details)
+        .map(([key, value]) => `${key}: ${formatAuditValue(value)}`)
+        .join(' · ');
+    return `<span class="audit-muted">${SecurityUtils.escapeHtml(SecurityUtils.sanitizeString(summary, 300))}</span>`;
+}
+
+function renderAuditLogs() {
+    const content = document.getElementById('auditLogContent');
+    const entries = filteredAuditLogs();
+    const countEl = document.getElementById('auditLogCount');
+    if (countEl) {
+        countEl.textContent = `${entries.length} of ${auditLogEntries.length} entries` +
+            (auditLogEntries.length >= AUDIT_LOG_LIMIT ? ` (latest ${AUDIT_LOG_LIMIT}; narrow the date range to see older ones)` : '');
+    }
+
+    if (entries.length === 0) {
+        content.innerHTML = `
+            <div class="feedback-empty">
+                <div class="feedback-empty-icon">📭</div>
+                <p>No audit entries match these filters</p>
+            </div>
+        `;
+        return;
+    }
+
+    content.innerHTML = `<table class="mail-outbox-table audit-log-table">
+            <thead><tr><th>Time</th><th>Admin</th><th>Action</th><th>Event</th><th>Details</th></tr></thead>
+            <tbody>${entries.map(entry => {
+        const millis = timestampToMillis(entry.timestamp);
+        return `<tr>
+                    <td>${millis ? new Date(millis).toLocaleString() : 'Just now'}</td>
+                    <td>${SecurityUtils.escapeHtml(auditActor(entry))}</td>
+                    <td><span class="mail-state">${SecurityUtils.escapeHtml(entry.action || '')}</span></td>
+                    <td>${SecurityUtils.escapeHtml(auditEventCode(entry) || '—')}</td>
+                    <td>${renderAuditDetails(entry)}</td>
+                </tr>`;
+    }).join('')}</tbody>
+        </table>`;
+}
+window.renderAuditLogs = renderAuditLogs;
+
+async function clearAuditFilters() {
+    ['auditFilterAdmin', 'auditFilterAction', 'auditFilterEvent'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.value = '';
+    });
+    initCalendarState('audit');
+    calendarClear('audit');
+    await loadAuditLogs();
+}
+window.clearAuditFilters = clearAuditFilters;
+
+async function exportAuditLogs() {
+    const entries = filteredAuditLogs();
+    if (entries.length === 0) {
+        showToast('⚠️ No audit entries to export');
+        return;
+    }
+
+    const headers = ['Time', 'Admin', 'Action', 'Event Code', 'Details'];
+    const csvContent = [
+        headers.map(toCsvCell).join(','),
+        ...entries.map(entry => {
+            const millis = timestampToMillis(entry.timestamp);
+            return [
+                millis ? new Date(millis).toISOString() : '',
+                auditActor(entry),
+                entry.action || '',
+                auditEventCode(entry),
+                JSON.stringify(auditValue(entry.details || {}))
+            ].map(toCsvCell).join(',');
+        })
+    ].join('\n');
+    downloadBlob('\uFEFF' + csvContent, 'text/csv;charset=utf-8;', `audit_log_${new Date().toISOString().split('T')[0]}.csv`);
+
+    await logAdminAction('EXPORT_AUDIT_LOG', { rowCount: entries.length });
+    showToast(`✅ Exported ${entries.length} audit entries`);
+}
+window.exportAuditLogs = exportAuditLogs;
+
 // ===== EVENT CALENDAR DATETIME PICKER =====
 // State management for event calendar pickers
 const eventCalState = {};
@@ -4780,17 +9412,13 @@ function updateEventDateTime(prefix) {
         state.selectedTime = `${String(h24).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
     }
 
-    const dateInput = document.getElementById(`${prefix.replace('Event', 'Event')}Date`);
-    const timeHidden = document.getElementById(`${prefix.replace('Event', 'Event')}Time`);
     const calendarText = document.getElementById(`${prefix}CalendarText`);
     const selectedText = document.getElementById(`${prefix}SelectedText`);
     const selectedBar = document.getElementById(`${prefix}SelectedBar`);
 
-    // Map prefix to correct hidden input IDs
-    const dateId = prefix === 'newEvent' ? 'newEventDate' : 'editEventDate';
-    const timeId = prefix === 'newEvent' ? 'newEventTime' : 'editEventTime';
-    const dateEl = document.getElementById(dateId);
-    const timeEl = document.getElementById(timeId);
+    // Hidden inputs follow the prefix (newEventDate, editEventOpensTime, ...)
+    const dateEl = document.getElementById(`${prefix}Date`);
+    const timeEl = document.getElementById(`${prefix}Time`);
 
     if (state.selectedDate) {
         // Format date for hidden input (YYYY-MM-DD)
@@ -4971,19 +9599,10 @@ function eventCalNextYear(prefix) {
 }
 window.eventCalNextYear = eventCalNextYear;
 
-// Select today
+// Select today (the current date and time in the event time zone)
 function eventCalSelectToday(prefix) {
-    const state = initEventCalState(prefix);
-    const now = new Date();
-    state.currentMonth = now.getMonth();
-    state.currentYear = now.getFullYear();
-    state.selectedDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    state.selectedTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-
-    setTimeWheel(prefix, state.selectedTime);
-
-    renderEventCalendar(prefix);
-    updateEventDateTime(prefix);
+    const now = eventZoneDateTime(Date.now());
+    setEventCalDateTime(prefix, now.date, now.time);
 }
 window.eventCalSelectToday = eventCalSelectToday;
 
@@ -5021,6 +9640,51 @@ function setEventCalDateTime(prefix, dateStr, timeStr) {
 }
 window.setEventCalDateTime = setEventCalDateTime;
 
+// Pickers show wall-clock time in the event time zone (EVENT_TIME_ZONE in scheduling.js),
+// whatever the admin's browser is set to, the same way event start times are read
+function eventZoneDateTime(millis) {
+    const d = new Date(millis + window.EVENT_TIME_ZONE.offsetMinutes * 60000);
+    const pad = n => String(n).padStart(2, '0');
+    return {
+        date: `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`,
+        time: `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`
+    };
+}
+
+// Picker value as a Date (read in the event time zone), or null when no date is selected
+function eventCalDateTime(prefix) {
+    const date = document.getElementById(`${prefix}Date`)?.value;
+    if (!date) return null;
+    const time = document.getElementById(`${prefix}Time`)?.value || '00:00';
+    const value = new Date(`${date}T${time}:00${window.EVENT_TIME_ZONE.offset}`);
+    return isNaN(value.getTime()) ? null : value;
+}
+
+// Load a stored Timestamp into a picker
+function setEventCalFromTimestamp(prefix, ts) {
+    const millis = timestampToMillis(ts);
+    if (!millis) {
+        setEventCalDateTime(prefix, '', '');
+        return;
+    }
+    const { date, time } = eventZoneDateTime(millis);
+    setEventCalDateTime(prefix, date, time);
+}
+
+// Read the Opens/Closes pickers for a form ('newEvent' or 'editEvent').
+// Returns { opensAt, closesAt } as Timestamps (null = no bound) or { error }
+function readRegistrationWindow(prefix) {
+    const opens = eventCalDateTime(`${prefix}Opens`);
+    const closes = eventCalDateTime(`${prefix}Closes`);
+    if (opens && closes && closes <= opens) {
+        return { error: '⚠️ Registration must close after it opens' };
+    }
+    return {
+        opensAt: opens ? Timestamp.fromDate(opens) : null,
+        closesAt: closes ? Timestamp.fromDate(closes) : null
+    };
+}
+
 // Close event calendar on outside click
 document.addEventListener('click', (e) => {
     if (!e.target.closest('.event-datetime-picker')) {
@@ -5062,7 +9726,7 @@ function switchAdminView(viewName, navBtn) {
     if (navBtn) navBtn.classList.add('active');
 
     // Update top bar title
-    const titleMap = { dashboard: 'Dashboard Overview', events: 'Event Management', team: 'Team Members', gallery: 'Gallery Management', admins: 'Admin Management', feedback: 'User Feedback' };
+    const titleMap = { dashboard: 'Dashboard Overview', events: 'Event Management', team: 'Team Members', gallery: 'Gallery Management', admins: 'Admin Management', feedback: 'User Feedback', audit: 'Audit Log' };
     const titleEl = document.getElementById('topBarTitle');
     if (titleEl) titleEl.textContent = titleMap[viewName] || viewName;
 
@@ -5071,6 +9735,7 @@ function switchAdminView(viewName, navBtn) {
     if (viewName === 'gallery') { loadGalleryEvents(); loadGalleryPhotos(); }
     if (viewName === 'admins') { populateEventCheckboxes(); loadAdminList(); }
     if (viewName === 'feedback') loadFeedback();
+    if (viewName === 'audit') loadAuditLogs();
 
     // Close sidebar on mobile after navigation
     const sidebar = document.getElementById('adminSidebar');
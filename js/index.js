@@ -224,7 +224,18 @@
     revealOnScroll();
 
     // Modal functions
-    function openModal() {
+    // No code: the featured event, routed through config/registration.activeEvent.
+    // With a code (upcoming event cards): that event, registered directly.
+    function openModal(eventCode = null) {
+        const event = eventCode ? upcomingEvents.find(e => e.code === eventCode) : currentFeaturedEvent;
+        if (eventCode && !event) return;
+
+        // Closed / coming-soon events never open the form
+        if (!isEventRegistrationOpen(event)) return;
+        exitRegistrationEditMode();
+        registrationEvent = event;
+        directEventCode = eventCode;
+
         document.getElementById('formModal').classList.add('active');
         document.body.style.overflow = 'hidden';
         document.getElementById('registrationForm').reset();
@@ -233,8 +244,11 @@
 
         // Reset all custom dropdowns to placeholder state
         resetAllCustomSelects();
-        setCustomSelectValue('memberCount', '1', '1 Member');
-        updateMemberSectionsVisibility(1);
+        applyTeamSizeLimits(event ? event.teamSize : null);
+
+        // Render the event's custom form (individual mode, extra fields)
+        applyRegistrationFormSchema(event ? event.formSchema : null);
+        renderSessionPicker(event, event ? event.code : null);
 
         // SECURITY: Clear any previous validation errors
         // Note: Rate limiting is active but hidden from users to avoid confusion
@@ -246,6 +260,7 @@
     function closeModal() {
         document.getElementById('formModal').classList.remove('active');
         document.body.style.overflow = '';
+        if (editingRegistration) exitRegistrationEditMode();
     }
 
     // Image modal
@@ -263,8 +278,13 @@
 
     // ===== SUCCESS MODAL & CONFETTI =====
     let currentFeaturedEventName = '';
+    let currentFeaturedEvent = null;
+    // Event the registration form is open for; directEventCode is set when an
+    // upcoming event card routes straight to its event
+    let registrationEvent = null;
+    let directEventCode = null;
 
-    function showSuccessModal(teamName, eventName, memberCount) {
+    function showSuccessModal(teamName, eventName, memberCount, waitlisted = false, confirmationCode = '', calendarEvent = null, sessionId = '') {
         const featuredTitleText = (document.getElementById('featuredEventTitle')?.textContent || '')
             .replace(/\s+/g, ' ')
             .trim();
@@ -274,7 +294,10 @@
         // Update modal content
         document.getElementById('successTeamName').textContent = teamName || 'Your Team';
         document.getElementById('successEventName').textContent = resolvedEventName;
-        document.getElementById('successMemberCount').textContent = memberCount + ' member' + (memberCount > 1 ? 's' : '') + ' registered';
+        document.getElementById('successMemberCount').textContent = memberCount + ' member' + (memberCount > 1 ? 's' : '') + ' registered' +
+            (waitlisted ? ' — the event is full, so you are on the waitlist. We will email you if a spot opens up.' : '');
+        document.getElementById('successConfirmationCode').textContent = confirmationCode || '—';
+        renderAddToCalendar(document.getElementById('successCalendar'), calendarEvent, sessionId);
 
         // Show modal
         document.getElementById('successModal').classList.add('active');
@@ -291,6 +314,494 @@
         document.getElementById('confettiContainer').innerHTML = '';
     }
 
+    // ===== CONFIRMATION CODE & REGISTRATION LOOKUP =====
+    // XXXX-XXXX from an unambiguous alphabet; with the team email it keys the registrationLookup entry
+    function generateConfirmationCode() {
+        const alphabet = window.SECURITY_CONFIG?.validation?.confirmationCode?.alphabet || 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const bytes = crypto.getRandomValues(new Uint8Array(8));
+        const chars = Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+        return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+    }
+
+    // SHA-256 of the normalised email, so duplicate keys never expose addresses
+    async function hashLookupEmail(email) {
+        const data = new TextEncoder().encode((email || '').trim().toLowerCase());
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function openLookupModal(keepResult = false) {
+        document.getElementById('lookupModal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+        if (keepResult) return;
+        lookupMatch = null;
+        document.getElementById('lookupForm').reset();
+        document.getElementById('lookupResult').innerHTML = '';
+        if (window.ISTESecurity) {
+            window.ISTESecurity.clearValidationErrors();
+        }
+    }
+
+    function closeLookupModal() {
+        document.getElementById('lookupModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    // Statuses that get a check-in QR code in the lookup result
+    const CHECKIN_QR_STATUSES = ['Verified', 'Checked-in'];
+
+    function renderLookupResult(entry, notice = '') {
+        const result = document.getElementById('lookupResult');
+        result.innerHTML = '';
+        if (notice) {
+            const msg = document.createElement('p');
+            msg.className = 'lookup-notice';
+            msg.textContent = notice;
+            result.appendChild(msg);
+        }
+        if (!entry) {
+            const msg = document.createElement('p');
+            msg.className = 'lookup-empty';
+            msg.textContent = 'No registration found for that email and code. Check both and try again.';
+            result.appendChild(msg);
+            return;
+        }
+
+        const status = String(entry.status || 'Pending');
+        const rows = [
+            ['Team', entry.teamName || '—'],
+            ['Event', entry.eventName || entry.eventCode || '—'],
+            ['Status', status],
+            ['Attended', entry.attended ? 'Yes ✓' : 'Not yet']
+        ];
+        const card = document.createElement('div');
+        card.className = 'lookup-card';
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('p');
+            const strong = document.createElement('strong');
+            strong.textContent = label + ': ';
+            row.appendChild(strong);
+            const span = document.createElement('span');
+            span.textContent = value;
+            if (label === 'Status') span.className = 'lookup-status ' + status.toLowerCase();
+            row.appendChild(span);
+            card.appendChild(row);
+        });
+
+        // Verified teams show their check-in QR code at the venue door
+        if (CHECKIN_QR_STATUSES.includes(status) && lookupMatch && typeof qrcode === 'function') {
+            const qr = qrcode(0, 'M');
+            qr.addData(lookupMatch.code);
+            qr.make();
+            const figure = document.createElement('figure');
+            figure.className = 'lookup-qr';
+            const img = document.createElement('img');
+            img.src = qr.createDataURL(6, 2);
+            img.alt = 'Check-in QR code ' + lookupMatch.code;
+            const caption = document.createElement('figcaption');
+            caption.textContent = 'Show this at the check-in desk • ' + lookupMatch.code;
+            figure.appendChild(img);
+            figure.appendChild(caption);
+            card.appendChild(figure);
+        }
+
+        // Teams can fix details or withdraw until registration closes
+        if (!SELF_SERVICE_LOCKED_STATUSES.includes(status)) {
+            const actions = document.createElement('div');
+            actions.className = 'lookup-actions';
+            actions.innerHTML = '<button type="button" class="lookup-action-btn" id="lookupEditBtn" onclick="startRegistrationEdit()">✏️ Edit details</button>' +
+                '<button type="button" class="lookup-action-btn danger" id="lookupCancelBtn" onclick="cancelOwnRegistration()">✕ Cancel registration</button>';
+            card.appendChild(actions);
+        }
+        result.appendChild(card);
+    }
+
+    document.getElementById('lookupForm').addEventListener('submit', async function (e) {
+        e.preventDefault();
+
+        const btn = document.getElementById('lookupBtn');
+        const formContainer = document.getElementById('lookupModalBody');
+        const formData = {
+            lookupEmail: document.getElementById('lookupEmail').value,
+            lookupCode: document.getElementById('lookupCode').value
+        };
+
+        if (!window.ISTESecurity || !db) {
+            alert('Lookup is unavailable right now. Please try again later.');
+            return;
+        }
+
+        const result = window.ISTESecurity.processLookup(formData, btn);
+        if (result.type === 'RATE_LIMITED') {
+            window.ISTESecurity.showRateLimitError(formContainer, result.message);
+            return;
+        }
+        if (result.type === 'VALIDATION_ERROR') {
+            window.ISTESecurity.displayValidationErrors(result.errors);
+            return;
+        }
+        window.ISTESecurity.clearValidationErrors();
+
+        try {
+            // The entry id is derived from code + email, so a wrong email finds nothing, like a wrong code
+            const { code, email } = result.data;
+            const lookupId = await window.RegistrationAccess.lookupId(code, email);
+            const lookupDoc = await db.collection('registrationLookup').doc(lookupId).get();
+            const entry = lookupDoc.exists ? lookupDoc.data() : null;
+            lookupMatch = entry ? {
+                code: code,
+                email: email,
+                id: lookupId,
+                entry: entry,
+                details: await window.RegistrationAccess.unseal(code, email, entry.sealed)
+            } : null;
+            renderLookupResult(entry);
+        } catch (err) {
+            secureLog('[Lookup] Error:', err);
+            window.ISTESecurity.showRateLimitError(formContainer, 'Could not check your registration. Please try again.');
+        } finally {
+            ButtonDebouncer.restoreFromLoading(btn);
+        }
+    });
+
+    // ===== DUPLICATE REGISTRATION CHECKS =====
+    // Each registration claims registrationKeys/{eventCode}__{type}__{value} for every member USN,
+    // the (hashed) team email and the normalised team name; a second claim on the same key is a duplicate.
+    // Registrations are not publicly readable, so the Firestore rules (README.md) decide whether a held
+    // key may be taken over (its holder is cancelled, rejected, deleted, or edited the value away)
+    const DUPLICATE_MESSAGES = {
+        usn: 'This USN is already registered for this event',
+        email: 'This email is already registered for this event',
+        teamName: 'A team with this name is already registered for this event'
+    };
+
+    async function buildDuplicateKeys(eventCode, formData) {
+        const detector = window.DuplicateDetector;
+        const keys = [];
+        const seenUsns = new Set();
+
+        for (let n = 1; n <= 4; n++) {
+            const usn = detector.normalizeUSN(formData['member' + n + 'USN']);
+            if (!usn || seenUsns.has(usn)) continue;
+            seenUsns.add(usn);
+            keys.push({ field: 'member' + n + 'USN', type: 'usn', value: usn });
+        }
+        keys.push({ field: 'teamEmail', type: 'email', value: await hashLookupEmail(formData.teamEmail) });
+        const teamKey = detector.normalizeTeamName(formData.teamName);
+        if (teamKey) keys.push({ field: 'teamName', type: 'teamName', value: teamKey });
+
+        keys.forEach(key => { key.id = eventCode + '__' + key.type + '__' + key.value; });
+        return keys;
+    }
+
+    // Returns { claims: [keys to write], contested: [claims held by another registration] }
+    async function checkDuplicateKeys(keys, ownRegistrationId = null) {
+        const claims = [];
+        const contested = [];
+
+        await Promise.all(keys.map(async key => {
+            const keyDoc = await db.collection('registrationKeys').doc(key.id).get();
+            if (!keyDoc.exists) {
+                claims.push(key);
+                return;
+            }
+            const holder = keyDoc.data();
+            if (holder.registrationId === ownRegistrationId && !holder.released) return;
+            claims.push(key);
+            if (!holder.released) contested.push(key);
+        }));
+
+        return { claims, contested };
+    }
+
+    // A write rejected while taking over contested keys means their holders are still registered
+    function duplicateErrorsFor(err, duplicateCheck) {
+        if (!duplicateCheck || duplicateCheck.contested.length === 0 || err?.code !== 'permission-denied') return null;
+        return Object.fromEntries(duplicateCheck.contested.map(key => [key.field, DUPLICATE_MESSAGES[key.type]]));
+    }
+
+    // Keys an edited registration no longer uses, so other teams can claim those values
+    async function releasableDuplicateKeys(previousKeys, keys, registrationId) {
+        const kept = new Set(keys.map(key => key.id));
+        const dropped = previousKeys.filter(key => !kept.has(key.id));
+        const docs = await Promise.all(dropped.map(key => db.collection('registrationKeys').doc(key.id).get()));
+        return dropped.filter((key, i) => docs[i].exists && docs[i].data().registrationId === registrationId);
+    }
+
+    function addDuplicateKeyClaims(batch, claims, registrationId, eventCode) {
+        claims.forEach(key => {
+            batch.set(db.collection('registrationKeys').doc(key.id), {
+                registrationId: registrationId,
+                eventCode: eventCode,
+                type: key.type,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        });
+    }
+
+    // ===== PARTICIPANT SELF-SERVICE (EDIT / CANCEL) =====
+    // Registration being edited through the lookup flow; null for new registrations
+    let editingRegistration = null;
+    // Last successful lookup: { code, email, id, entry, details } (details unsealed from the entry)
+    let lookupMatch = null;
+
+    const SELF_SERVICE_LOCKED_STATUSES = ['Cancelled', 'Rejected', 'Checked-in'];
+
+    // The looked-up registration (lookup entry + sealed details) and its event;
+    // null (with a message) when changes are not allowed
+    async function loadSelfServiceTarget() {
+        const container = document.getElementById('lookupModalBody');
+        if (!lookupMatch || !db) return null;
+
+        const { entry, details } = lookupMatch;
+        if (!details) {
+            window.ISTESecurity.showRateLimitError(container, 'This registration can only be changed by the organisers. Please contact them.');
+            return null;
+        }
+        const eventDoc = await db.collection('events').doc(entry.eventCode).get();
+
+        const event = eventDoc.exists ? eventDoc.data() : null;
+        if (!event || !isEventRegistrationOpen(event)) {
+            window.ISTESecurity.showRateLimitError(container, 'Registration for this event has closed, so changes are no longer possible.');
+            return null;
+        }
+
+        const registration = { ...details, teamName: entry.teamName, status: entry.status || 'Pending' };
+        if (SELF_SERVICE_LOCKED_STATUSES.includes(registration.status)) {
+            window.ISTESecurity.showRateLimitError(container, `This registration is ${registration.status.toLowerCase()} and can no longer be changed.`);
+            return null;
+        }
+
+        return { id: details.registrationId, registration, event };
+    }
+
+    // Audit entry written by the public site; admin actions use adminEmail instead
+    function participantAuditEntry(action, details) {
+        return {
+            action: action,
+            details: details,
+            actor: 'participant',
+            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+            userAgent: navigator.userAgent.slice(0, 500)
+        };
+    }
+
+    // Fresh proof of the code + email pair, checked by the Firestore rules (README.md) against
+    // the selfServiceHash of the registration and of its lookup entry on every participant update
+    async function selfServiceProof() {
+        return {
+            key: await window.RegistrationAccess.selfServiceKey(lookupMatch.code, lookupMatch.email),
+            at: firebase.firestore.FieldValue.serverTimestamp()
+        };
+    }
+
+    function setCustomSelectFromItem(selectId, value) {
+        if (!value) {
+            resetCustomSelectById(selectId);
+            return;
+        }
+        const item = document.querySelector('#' + selectId + ' .select-item[data-value="' + CSS.escape(value) + '"]');
+        setCustomSelectValue(selectId, value, item ? item.textContent.trim() : value);
+    }
+
+    async function startRegistrationEdit() {
+        const btn = document.getElementById('lookupEditBtn');
+        ButtonDebouncer.setLoading(btn, 'Loading...');
+        try {
+            const target = await loadSelfServiceTarget();
+            if (!target) return;
+
+            const { registration, event } = target;
+            editingRegistration = { id: target.id, code: lookupMatch.code, eventCode: lookupMatch.entry.eventCode, event: event };
+            closeLookupModal();
+
+            // Same form as a new registration, shaped by the registration's own event
+            document.getElementById('formModal').classList.add('active');
+            document.body.style.overflow = 'hidden';
+            const form = document.getElementById('registrationForm');
+            form.reset();
+            form.style.display = 'flex';
+            document.getElementById('formSuccess').classList.remove('show');
+            resetAllCustomSelects();
+            applyTeamSizeLimits(event.teamSize);
+            applyRegistrationFormSchema(event.formSchema);
+            renderSessionPicker(event, editingRegistration.eventCode, registration.sessionId || null);
+            if (window.ISTESecurity) {
+                window.ISTESecurity.clearValidationErrors();
+            }
+
+            document.getElementById('modal-title').textContent = '✏️ Edit Registration';
+            document.querySelector('#submitBtn .btn-text').textContent = 'Save Changes 💾';
+            const emailInput = document.getElementById('teamEmail');
+            emailInput.value = registration.email || '';
+            emailInput.readOnly = true;
+            document.getElementById('teamName').value = registration.teamName || '';
+
+            const members = [registration.member1, registration.member2, registration.member3, registration.member4];
+            const filled = members.filter(m => m && m.name).length || 1;
+            if (activeFormSchema.mode !== 'individual') {
+                setCustomSelectValue('memberCount', String(filled), filled + (filled > 1 ? ' Members' : ' Member'));
+                updateMemberSectionsVisibility(filled);
+            }
+            members.forEach((m, i) => {
+                if (!m || !m.name) return;
+                const n = i + 1;
+                document.getElementById('member' + n + 'Name').value = m.name || '';
+                document.getElementById('member' + n + 'USN').value = m.usn || '';
+                setCustomSelectFromItem('member' + n + 'Dept', m.dept || '');
+                setCustomSelectFromItem('member' + n + 'Sem', m.semester || '');
+            });
+
+            const answers = registration.customFields || {};
+            activeFormSchema.fields.forEach(function (field) {
+                const input = document.getElementById('custom_' + field.key);
+                if (input && answers[field.key] !== undefined) input.value = answers[field.key];
+            });
+        } catch (err) {
+            secureLog('[SelfService] Could not open editor:', err);
+            window.ISTESecurity.showRateLimitError(document.getElementById('lookupModalBody'), 'Could not load your registration. Please try again.');
+        } finally {
+            ButtonDebouncer.restoreFromLoading(btn);
+        }
+    }
+
+    function exitRegistrationEditMode() {
+        editingRegistration = null;
+        document.getElementById('modal-title').textContent = '🎯 Event Registration';
+        document.querySelector('#submitBtn .btn-text').textContent = 'Register Team 🚀';
+        document.getElementById('teamEmail').readOnly = false;
+    }
+
+    // Called by the registration submit handler with validated, sanitized data
+    async function saveRegistrationEdit(formData, btn, formContainer) {
+        const { id, eventCode } = editingRegistration;
+        let duplicateCheck = null;
+        try {
+            // The event may have closed while the form was open
+            const eventDoc = await db.collection('events').doc(eventCode).get();
+            const event = eventDoc.exists ? eventDoc.data() : null;
+            if (!event || !isEventRegistrationOpen(event)) {
+                window.ISTESecurity.showRateLimitError(formContainer, 'Registration for this event has closed, so changes are no longer possible.');
+                return;
+            }
+
+            // Edited USNs / team name must not collide with another team
+            const keys = await buildDuplicateKeys(eventCode, formData);
+            duplicateCheck = await checkDuplicateKeys(keys, id);
+            const previous = lookupMatch.details;
+            const previousKeys = await buildDuplicateKeys(eventCode, {
+                teamEmail: previous.email,
+                teamName: lookupMatch.entry.teamName,
+                member1USN: previous.member1.usn,
+                member2USN: previous.member2.usn,
+                member3USN: previous.member3.usn,
+                member4USN: previous.member4.usn
+            });
+            const released = await releasableDuplicateKeys(previousKeys, keys, id);
+
+            const member = n => ({
+                name: formData['member' + n + 'Name'] || null,
+                usn: formData['member' + n + 'USN'] || null,
+                dept: formData['member' + n + 'Dept'] || null,
+                semester: formData['member' + n + 'Sem'] || null
+            });
+            const update = {
+                teamName: formData.teamName,
+                member1: member(1),
+                member1Name: formData.member1Name,
+                member2: member(2),
+                member3: member(3),
+                member4: member(4),
+                ...(formData.customFields ? { customFields: formData.customFields } : {}),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedBy: 'participant'
+            };
+
+            const details = window.RegistrationAccess.details(id, { ...lookupMatch.details, ...update });
+            const batch = db.batch();
+            const proof = await selfServiceProof();
+            batch.update(db.collection('registrations').doc(id), { ...update, selfServiceProof: proof });
+            addDuplicateKeyClaims(batch, duplicateCheck.claims, id, eventCode);
+            released.forEach(key => batch.update(db.collection('registrationKeys').doc(key.id), { released: true }));
+            batch.update(db.collection('registrationLookup').doc(lookupMatch.id), {
+                teamName: formData.teamName,
+                sealed: await window.RegistrationAccess.seal(lookupMatch.code, lookupMatch.email, details),
+                selfServiceProof: proof,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            batch.set(db.collection('auditLogs').doc(), participantAuditEntry('PARTICIPANT_EDIT', {
+                teamId: id,
+                eventCode: eventCode,
+                changes: Object.keys(update).filter(k => k !== 'updatedAt' && k !== 'updatedBy')
+            }));
+            await batch.commit();
+
+            lookupMatch.entry.teamName = formData.teamName;
+            lookupMatch.details = details;
+            closeModal();
+            openLookupModal(true);
+            renderLookupResult(lookupMatch.entry, '✅ Your changes have been saved.');
+        } catch (err) {
+            const duplicateErrors = duplicateErrorsFor(err, duplicateCheck);
+            if (duplicateErrors) {
+                window.ISTESecurity.displayValidationErrors(duplicateErrors);
+                return;
+            }
+            secureLog('[SelfService] Edit failed:', err);
+            window.ISTESecurity.showRateLimitError(formContainer, 'Could not save your changes. Please try again.');
+        } finally {
+            ButtonDebouncer.restoreFromLoading(btn);
+        }
+    }
+
+    async function cancelOwnRegistration() {
+        if (!confirm('Cancel this registration? Your team will lose its spot and this cannot be undone here.')) return;
+
+        const btn = document.getElementById('lookupCancelBtn');
+        ButtonDebouncer.setLoading(btn, 'Cancelling...');
+        try {
+            const target = await loadSelfServiceTarget();
+            if (!target) return;
+
+            const from = target.registration.status || 'Pending';
+            const proof = await selfServiceProof();
+            const batch = db.batch();
+            batch.update(db.collection('registrations').doc(target.id), {
+                status: 'Cancelled',
+                cancelledAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                updatedBy: 'participant',
+                selfServiceProof: proof,
+                statusHistory: firebase.firestore.FieldValue.arrayUnion({
+                    from: from,
+                    to: 'Cancelled',
+                    by: 'participant',
+                    at: new Date(),
+                    note: 'Cancelled by participant'
+                })
+            });
+            batch.update(db.collection('registrationLookup').doc(lookupMatch.id), {
+                status: 'Cancelled',
+                selfServiceProof: proof,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            batch.set(db.collection('auditLogs').doc(), participantAuditEntry('PARTICIPANT_CANCEL', {
+                teamId: target.id,
+                eventCode: lookupMatch.entry.eventCode,
+                from: from
+            }));
+            await batch.commit();
+
+            lookupMatch.entry.status = 'Cancelled';
+            renderLookupResult(lookupMatch.entry, 'Your registration has been cancelled.');
+        } catch (err) {
+            secureLog('[SelfService] Cancel failed:', err);
+            window.ISTESecurity.showRateLimitError(document.getElementById('lookupModalBody'), 'Could not cancel your registration. Please try again.');
+        } finally {
+            ButtonDebouncer.restoreFromLoading(btn);
+        }
+    }
+
     function launchConfetti() {
         const container = document.getElementById('confettiContainer');
         const colors = ['#6366f1', '#8b5cf6', '#ec4899', '#f59e0b', '#10b981', '#3b82f6'];
@@ -328,7 +839,10 @@
     }
 
     async function resolveSuccessEventName(activeEventCode) {
-        if (currentFeaturedEventName) {
+        if (registrationEvent && registrationEvent.code === activeEventCode && registrationEvent.name) {
+            return registrationEvent.name;
+        }
+        if (currentFeaturedEventName && !directEventCode) {
             return currentFeaturedEventName;
         }
 
@@ -560,8 +1074,35 @@
         clearMemberValidationErrors(memberIndex);
     }
 
+    // ===== EVENT TEAM SIZE LIMITS =====
+    // Member count range allowed by the featured event's teamSize
+    let activeTeamLimits = { min: 1, max: 4 };
+
+    // Manual status plus the scheduled opens/closes window (see RegistrationWindow in scheduling.js)
+    function isEventRegistrationOpen(event) {
+        if (!event) return true;
+        if (window.RegistrationWindow) return window.RegistrationWindow.isOpen(event);
+        return !event.registrationStatus || event.registrationStatus === 'open';
+    }
+
+    function applyTeamSizeLimits(teamSize) {
+        activeTeamLimits = window.FormSchema
+            ? window.FormSchema.teamSizeLimits(teamSize)
+            : { min: 1, max: 4 };
+
+        // Only offer member counts the event allows
+        document.querySelectorAll('#memberCount .select-item').forEach(function (item) {
+            var count = parseInt(item.dataset.value, 10);
+            item.style.display = count >= activeTeamLimits.min && count <= activeTeamLimits.max ? '' : 'none';
+        });
+
+        var defaultCount = activeTeamLimits.min;
+        setCustomSelectValue('memberCount', String(defaultCount), defaultCount + (defaultCount > 1 ? ' Members' : ' Member'));
+        updateMemberSectionsVisibility(defaultCount);
+    }
+
     function updateMemberSectionsVisibility(memberCount) {
-        var normalizedCount = Math.min(Math.max(parseInt(memberCount, 10) || 1, 1), 4);
+        var normalizedCount = Math.min(Math.max(parseInt(memberCount, 10) || activeTeamLimits.min, activeTeamLimits.min), activeTeamLimits.max);
 
         for (var memberIndex = 1; memberIndex <= 4; memberIndex++) {
             var section = document.getElementById('memberSection' + memberIndex);
@@ -608,8 +1149,187 @@
         });
     }
 
+    // ===== PER-EVENT FORM SCHEMA =====
+    // Schema applied to the open registration form (see FormSchema in security.js)
+    let activeFormSchema = null;
+
+    const CUSTOM_FIELD_INPUT_TYPES = { text: 'text', email: 'email', tel: 'tel', url: 'url', number: 'number' };
+
+    function applyRegistrationFormSchema(rawSchema) {
+        const schema = window.FormSchema ? window.FormSchema.normalize(rawSchema) : { mode: 'team', fields: [] };
+        const isIndividual = schema.mode === 'individual';
+        activeFormSchema = schema;
+
+        // Individual events: hide team name + member count, register one participant
+        document.getElementById('registrationForm').classList.toggle('individual-mode', isIndividual);
+        document.getElementById('teamName').required = !isIndividual;
+        document.getElementById('contactSectionTitle').textContent = isIndividual ? '📧 Contact' : '📧 Team Contact';
+        document.getElementById('teamEmailLabel').textContent = isIndividual ? 'Email' : 'Team Email';
+        document.getElementById('member1SectionLabel').textContent = isIndividual ? 'Your Details' : 'Team Member 1';
+        if (isIndividual) {
+            setCustomSelectValue('memberCount', '1', '1 Member');
+            updateMemberSectionsVisibility(1);
+        }
+
+        const section = document.getElementById('customFieldsSection');
+        const container = document.getElementById('customFieldsContainer');
+        container.innerHTML = '';
+        section.style.display = schema.fields.length > 0 ? '' : 'none';
+
+        schema.fields.forEach(function (field) {
+            const row = document.createElement('div');
+            row.className = 'form-row single';
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.htmlFor = 'custom_' + field.key;
+            label.textContent = field.label + ' ';
+            if (field.required) {
+                const star = document.createElement('span');
+                star.className = 'required';
+                star.textContent = '*';
+                label.appendChild(star);
+            }
+
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                const placeholder = document.createElement('option');
+                placeholder.value = '';
+                placeholder.textContent = 'Select ' + field.label;
+                input.appendChild(placeholder);
+                field.options.forEach(function (opt) {
+                    const option = document.createElement('option');
+                    option.value = opt;
+                    option.textContent = opt;
+                    input.appendChild(option);
+                });
+            } else if (field.type === 'textarea') {
+                input = document.createElement('textarea');
+                input.rows = 3;
+                input.maxLength = SECURITY_CONFIG.validation.customField.textareaMaxLength;
+            } else {
+                input = document.createElement('input');
+                input.type = CUSTOM_FIELD_INPUT_TYPES[field.type] || 'text';
+                input.maxLength = SECURITY_CONFIG.validation.customField.maxLength;
+                if (field.type === 'url') input.placeholder = 'https://';
+            }
+
+            input.id = 'custom_' + field.key;
+            input.required = field.required;
+            if (field.required) input.setAttribute('aria-required', 'true');
+
+            group.appendChild(label);
+            group.appendChild(input);
+            row.appendChild(group);
+            container.appendChild(row);
+        });
+    }
+
+    // Collect custom field answers as custom_<key> entries for InputValidator
+    function collectCustomFieldValues(formData) {
+        if (!activeFormSchema) return;
+        activeFormSchema.fields.forEach(function (field) {
+            const input = document.getElementById('custom_' + field.key);
+            formData['custom_' + field.key] = input ? input.value : '';
+        });
+    }
+
     document.addEventListener('DOMContentLoaded', initCustomSelects);
 
+    // ===== EVENT SESSIONS =====
+    // Multi-slot events let the team pick one session (see EventSessions in scheduling.js)
+    function eventSessionsOf(event) {
+        return window.EventSessions && event ? window.EventSessions.normalize(event.sessions) : [];
+    }
+
+    // Fill the session picker; an existing registration keeps its session (seats are not moved)
+    function renderSessionPicker(event, eventCode, lockedSessionId = null) {
+        const section = document.getElementById('sessionSection');
+        const select = document.getElementById('sessionId');
+        const sessions = eventSessionsOf(event);
+        section.style.display = sessions.length > 0 ? '' : 'none';
+        select.required = sessions.length > 0;
+        select.disabled = !!lockedSessionId;
+        select.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Select a session';
+        select.appendChild(placeholder);
+
+        sessions.forEach(function (session) {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = window.EventSessions.label(session);
+            select.appendChild(option);
+        });
+        select.value = lockedSessionId || '';
+
+        // Seats left per capped session, from the public counters
+        if (!db || !eventCode || lockedSessionId) return;
+        sessions.filter(session => session.capacity > 0).forEach(function (session) {
+            db.collection('eventStats').doc(window.EventSessions.statsDocId(eventCode, session.id)).get()
+                .then(function (statsDoc) {
+                    const left = session.capacity - (statsDoc.exists ? (statsDoc.data().seatsTaken || 0) : 0);
+                    const option = select.querySelector('option[value="' + CSS.escape(session.id) + '"]');
+                    if (!option) return;
+                    option.textContent = window.EventSessions.label(session) +
+                        (left > 0 ? ' (' + left + ' seat' + (left === 1 ? '' : 's') + ' left)' : ' (full, waitlist)');
+                })
+                .catch(function (err) {
+                    secureLog('[Sessions] Could not load seat count:', err);
+                });
+        });
+    }
+
+    // ===== ADD TO CALENDAR =====
+    // .ics download plus Google Calendar links (entries come from EventCalendar in scheduling.js)
+    function downloadCalendarFile(entries, filename) {
+        const blob = new Blob([window.EventCalendar.toICS(entries)], { type: 'text/calendar;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    function renderAddToCalendar(container, event, sessionId = '') {
+        if (!container) return;
+        container.innerHTML = '';
+        const entries = window.EventCalendar && event ? window.EventCalendar.entries(event, sessionId) : [];
+        container.style.display = entries.length > 0 ? '' : 'none';
+        if (entries.length === 0) return;
+
+        const label = document.createElement('span');
+        label.className = 'add-to-calendar-label';
+        label.textContent = 'Add to calendar:';
+        container.appendChild(label);
+
+        const icsBtn = document.createElement('button');
+        icsBtn.type = 'button';
+        icsBtn.className = 'add-to-calendar-link';
+        icsBtn.textContent = '📅 Download .ics';
+        icsBtn.addEventListener('click', function () {
+            downloadCalendarFile(entries, (event.code || 'event') + '.ics');
+        });
+        container.appendChild(icsBtn);
+
+        // One Google link per session; Google cannot import several entries at once
+        entries.forEach(function (entry) {
+            const link = document.createElement('a');
+            link.className = 'add-to-calendar-link';
+            link.href = window.EventCalendar.googleUrl(entry);
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = entries.length > 1
+                ? 'Google · ' + new Date(entry.start).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+                : 'Google Calendar';
+            container.appendChild(link);
+        });
+    }
+
     // ===== ANIMATED NUMBER COUNTER =====
     function animateNumber(el, target, suffix = '', duration = 2000) {
         const startTime = performance.now();
@@ -817,6 +1537,10 @@
     // Duplicates are handled on the admin side instead.
 
     // ===== DYNAMIC WINNERS LOADING =====
+    // hallOfFame/{eventCode}: { eventName, emoji, eventDate, eventDateRaw, year, podium: [{ position, teamName, members }] }
+    let hallOfFameEntries = [];
+    const PODIUM_MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
     async function loadWinners() {
         const winnersEmpty = document.getElementById('winnersEmpty');
         const winnerCards = [1, 2, 3].map(i => document.getElementById(`winner-${i}`));
@@ -827,55 +1551,48 @@
             winnerCards.forEach(card => { if (card) card.style.display = 'none'; });
         }
 
-        function getMemberNames(winner) {
-            return ['member1', 'member2', 'member3']
-                .map(key => winner[key]?.name)
-                .filter(Boolean);
-        }
-
         try {
-            secureLog('[Winners] Loading winners from Firestore...');
+            secureLog('[Winners] Loading hall of fame from Firestore...');
 
-            const winnersSnapshot = await db.collection('registrations')
-                .where('isWinner', '==', true)
-                .get();
+            const snapshot = await db.collection('hallOfFame').get();
+            hallOfFameEntries = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(entry => Array.isArray(entry.podium) && entry.podium.length > 0)
+                .sort((a, b) => hallOfFameSortKey(b) - hallOfFameSortKey(a));
 
-            if (winnersSnapshot.empty) {
+            if (hallOfFameEntries.length === 0) {
                 secureLog('[Winners] No winners found, showing empty state');
                 showEmptyState();
                 return;
             }
 
-            // Filter and sort winners by position
-            const winners = winnersSnapshot.docs
-                .map(doc => ({ id: doc.id, ...doc.data() }))
-                .filter(w => w.winnerPosition && w.winnerPosition <= 3)
-                .sort((a, b) => a.winnerPosition - b.winnerPosition);
-
             winnersEmpty.style.display = 'none';
 
-            winners.forEach(winner => {
-                const position = winner.winnerPosition;
-                const members = getMemberNames(winner);
-
-                const nameEl = document.getElementById(`winner-${position}-name`);
-                const membersEl = document.getElementById(`winner-${position}-members`);
-
-                if (nameEl) {
-                    nameEl.textContent = winner.teamName || 'Winner';
-                }
-                if (membersEl) {
-                    // SECURITY: Use textContent or escapeHtml to prevent XSS from Firestore data
-                    membersEl.innerHTML = members.map(m => {
-                        const div = document.createElement('div');
-                        div.textContent = m;
-                        return div.innerHTML;
-                    }).join('<br>');
-                }
-
-                secureLog(`[Winners] Loaded position ${position}: ${winner.teamName}`);
+            // Podium picker, latest event first
+            const select = document.getElementById('winnersEventSelect');
+            select.innerHTML = '';
+            hallOfFameEntries.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = `${entry.emoji || '🏆'} ${entry.eventName || entry.id}${entry.year ? ' (' + entry.year + ')' : ''}`;
+                select.appendChild(option);
+            });
+            document.getElementById('winnersEventPicker').style.display = hallOfFameEntries.length > 1 ? '' : 'none';
+
+            const years = [...new Set(hallOfFameEntries.map(entry => entry.year).filter(Boolean))].sort((a, b) => b - a);
+            const yearFilter = document.getElementById('hofYearFilter');
+            yearFilter.innerHTML = '<option value="">All years</option>';
+            years.forEach(year => {
+                const option = document.createElement('option');
+                option.value = year;
+                option.textContent = year;
+                yearFilter.appendChild(option);
             });
 
+            showPodium(hallOfFameEntries[0].id);
+            renderHallOfFame();
+            document.getElementById('hallOfFame').style.display = '';
+
             // Hide skeletons and show winner cards after loading
             hideSkeletonsShowWinners();
 
@@ -889,6 +1606,104 @@
         }
     }
 
+    function hallOfFameSortKey(entry) {
+        const date = entry.eventDateRaw ? new Date(entry.eventDateRaw).getTime() : NaN;
+        if (!isNaN(date)) return date;
+        return entry.year ? new Date(entry.year, 0, 1).getTime() : 0;
+    }
+
+    // Fill the three podium cards with one event's winners
+    function showPodium(eventCode) {
+        const entry = hallOfFameEntries.find(e => e.id === eventCode);
+        if (!entry) return;
+
+        document.getElementById('winnersEventSelect').value = entry.id;
+        document.getElementById('winnersSubtitle').textContent = `Winners of ${entry.eventName || entry.id}`;
+
+        [1, 2, 3].forEach(position => {
+            const winner = entry.podium.find(p => p.position === position);
+            const nameEl = document.getElementById(`winner-${position}-name`);
+            const membersEl = document.getElementById(`winner-${position}-members`);
+            // SECURITY: textContent only - podium data comes from Firestore
+            if (nameEl) nameEl.textContent = winner ? (winner.teamName || 'Winner') : 'TBA';
+            if (membersEl) {
+                membersEl.innerHTML = '';
+                (winner && Array.isArray(winner.members) ? winner.members : []).forEach((member, i) => {
+                    if (i > 0) membersEl.appendChild(document.createElement('br'));
+                    membersEl.appendChild(document.createTextNode(String(member)));
+                });
+            }
+        });
+        secureLog(`[Winners] Showing podium for ${entry.id}`);
+    }
+
+    // Archive cards filtered by year and event name
+    function renderHallOfFame() {
+        const list = document.getElementById('hofList');
+        if (!list) return;
+        const year = document.getElementById('hofYearFilter').value;
+        const search = document.getElementById('hofSearch').value.trim().toLowerCase();
+
+        const entries = hallOfFameEntries.filter(entry =>
+            (!year || String(entry.year) === year) &&
+            (!search || String(entry.eventName || entry.id).toLowerCase().includes(search))
+        );
+
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'hall-of-fame-empty';
+            empty.textContent = 'No events match your filters.';
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const card = document.createElement('article');
+            card.className = 'hall-of-fame-card';
+
+            const header = document.createElement('div');
+            header.className = 'hall-of-fame-card-header';
+            const title = document.createElement('h4');
+            title.textContent = `${entry.emoji || '🏆'} ${entry.eventName || entry.id}`;
+            const date = document.createElement('span');
+            date.textContent = entry.eventDate || (entry.year ? String(entry.year) : '');
+            header.appendChild(title);
+            header.appendChild(date);
+            card.appendChild(header);
+
+            entry.podium.forEach(winner => {
+                const row = document.createElement('div');
+                row.className = 'hall-of-fame-winner';
+                const medal = document.createElement('span');
+                medal.className = 'hall-of-fame-medal';
+                medal.textContent = PODIUM_MEDALS[winner.position] || '🏅';
+                const info = document.createElement('div');
+                const team = document.createElement('strong');
+                team.textContent = winner.teamName || 'Winner';
+                const members = document.createElement('span');
+                members.textContent = Array.isArray(winner.members) ? winner.members.join(', ') : '';
+                info.appendChild(team);
+                info.appendChild(members);
+                row.appendChild(medal);
+                row.appendChild(info);
+                card.appendChild(row);
+            });
+
+            const view = document.createElement('button');
+            view.type = 'button';
+            view.className = 'hall-of-fame-view';
+            view.textContent = 'View podium ↑';
+            view.addEventListener('click', () => {
+                showPodium(entry.id);
+                document.getElementById('winners').scrollIntoView({ behavior: 'smooth' });
+            });
+            card.appendChild(view);
+
+            list.appendChild(card);
+        });
+    }
+
     // Helper function to transition from skeleton to actual content
     function hideSkeletonsShowWinners() {
         // Hide skeleton loaders
@@ -1171,14 +1986,23 @@
             member4Name: document.getElementById('member4Name').value,
             member4USN: document.getElementById('member4USN').value,
             member4Dept: document.getElementById('member4Dept').dataset.value,
-            member4Sem: document.getElementById('member4Sem').dataset.value
+            member4Sem: document.getElementById('member4Sem').dataset.value,
+            sessionId: document.getElementById('sessionId').value
         };
 
         normalizeMemberDataForCount(formData);
+        collectCustomFieldValues(formData);
 
         // ===== SECURITY: Process through security module =====
         if (window.ISTESecurity) {
-            const result = window.ISTESecurity.processRegistration(formData, btn);
+            const result = window.ISTESecurity.processRegistration(formData, btn, activeFormSchema,
+                editingRegistration ? editingRegistration.event : registrationEvent);
+
+            // Handle closed registration
+            if (result.type === 'REGISTRATION_CLOSED') {
+                window.ISTESecurity.showRateLimitError(formContainer, result.message);
+                return;
+            }
 
             // Handle rate limiting
             if (result.type === 'RATE_LIMITED') {
@@ -1211,6 +2035,8 @@
             formData.member4Name = result.data.member4Name;
             formData.member4USN = result.data.member4USN;
             formData.member4Dept = result.data.member4Dept;
+            formData.customFields = result.data.customFields || null;
+            formData.sessionId = result.data.sessionId || null;
             normalizeMemberDataForCount(formData);
         } else {
             // Fallback: basic button disable
@@ -1226,27 +2052,85 @@
             return;
         }
 
+        // Self-service edits update the existing registration instead of creating one
+        if (editingRegistration && window.ISTESecurity) {
+            await saveRegistrationEdit(formData, btn, formContainer);
+            return;
+        }
+
+        let duplicateCheck = null;
         try {
             // SECURITY: Save sanitized data to Firestore
-            // Dynamic routing: Read active event from config
+            // Dynamic routing: an event card's own code, otherwise the active event from config
             let activeEvent = 'testing'; // Default fallback
-            try {
-                let configDoc = await db.collection('config').doc('registration').get();
+            if (directEventCode) {
+                activeEvent = directEventCode;
+                secureLog('[Routing] Registering directly to event:', activeEvent);
+            } else {
+                try {
+                    let configDoc = await db.collection('config').doc('registration').get();
+
+                    // Backward-compat fallback for older admin saves.
+                    if (!configDoc.exists) {
+                        configDoc = await db.collection('config').doc('routing').get();
+                    }
 
-                // Backward-compat fallback for older admin saves.
-                if (!configDoc.exists) {
-                    configDoc = await db.collection('config').doc('routing').get();
+                    if (configDoc.exists && configDoc.data().activeEvent) {
+                        activeEvent = configDoc.data().activeEvent;
+                        secureLog('[Routing] Registering to event:', activeEvent);
+                    }
+                } catch (configErr) {
+                    secureLog('[Routing] Using default event: testing');
                 }
+            }
 
-                if (configDoc.exists && configDoc.data().activeEvent) {
-                    activeEvent = configDoc.data().activeEvent;
-                    secureLog('[Routing] Registering to event:', activeEvent);
+            // Re-check the routed event: it may differ from the featured one or have closed since page load
+            const routedEventDoc = await db.collection('events').doc(activeEvent).get();
+            const routedEvent = routedEventDoc.exists ? routedEventDoc.data() : null;
+            if (directEventCode && (!routedEvent || routedEvent.isActive === false)) {
+                window.ISTESecurity.showRateLimitError(formContainer, 'Registration for this event is not open.');
+                return;
+            }
+            if (routedEvent) {
+                if (!isEventRegistrationOpen(routedEvent)) {
+                    window.ISTESecurity.showRateLimitError(formContainer, 'Registration for this event is not open.');
+                    return;
+                }
+                if (window.ISTESecurity) {
+                    const sizeCheck = window.ISTESecurity.validator.validateTeamSize(formData.memberCount, routedEvent.teamSize);
+                    if (!sizeCheck.valid) {
+                        window.ISTESecurity.displayValidationErrors({ memberCount: sizeCheck.error });
+                        return;
+                    }
                 }
-            } catch (configErr) {
-                secureLog('[Routing] Using default event: testing');
             }
 
-            await db.collection('registrations').add({
+            // Multi-slot events: the session must still exist on the routed event
+            const routedSessions = eventSessionsOf(routedEvent);
+            const session = routedSessions.find(s => s.id === formData.sessionId) || null;
+            if (routedSessions.length > 0 && !session) {
+                window.ISTESecurity.displayValidationErrors({ sessionId: 'Please choose a session' });
+                return;
+            }
+
+            // Same USN, email or team name already registered for this event: the key claims
+            // are written with the registration and rejected while another team holds them
+            duplicateCheck = await checkDuplicateKeys(await buildDuplicateKeys(activeEvent, formData));
+
+            // Capped events: claim a seat on the shared counter, or join the waitlist when full.
+            // Multi-slot events count seats per session instead of per event.
+            const capacity = routedSessions.length > 0
+                ? (session ? session.capacity : 0)
+                : (parseInt(routedEvent?.capacity, 10) || 0);
+            const statsRef = capacity > 0
+                ? db.collection('eventStats').doc(session ? window.EventSessions.statsDocId(activeEvent, session.id) : activeEvent)
+                : null;
+
+            const confirmationCode = generateConfirmationCode();
+            const lookupId = await window.RegistrationAccess.lookupId(confirmationCode, formData.teamEmail);
+            const successEventName = await resolveSuccessEventName(activeEvent);
+            const registrationRef = db.collection('registrations').doc();
+            const registration = {
                 teamName: formData.teamName,
                 email: formData.teamEmail,
                 eventCode: activeEvent,  // Dynamic routing from admin config (must be 'eventCode' per firestore.rules)
@@ -1275,9 +2159,84 @@
                     dept: formData.member4Dept || null,
                     semester: formData.member4Sem || null
                 },
+                ...(formData.customFields ? { customFields: formData.customFields } : {}),
+                ...(session ? { sessionId: session.id } : {}),
                 registeredAt: firebase.firestore.FieldValue.serverTimestamp(),
-                status: 'Pending'  // Must be 'Pending' with capital P per firestore.rules
+                confirmationCode: confirmationCode,
+                lookupId: lookupId,
+                selfServiceHash: await window.RegistrationAccess.selfServiceHash(confirmationCode, formData.teamEmail)
+            };
+            const sealed = await window.RegistrationAccess.seal(confirmationCode, formData.teamEmail,
+                window.RegistrationAccess.details(registrationRef.id, registration));
+
+            // The seat, the registration and its public lookup entry are written together, so
+            // the Firestore rules (README.md) can tie each claimed seat to its registration
+            const status = await db.runTransaction(async (tx) => {
+                let status = 'Pending';
+                if (statsRef) {
+                    const statsDoc = await tx.get(statsRef);
+                    const seatsTaken = statsDoc.exists ? (statsDoc.data().seatsTaken || 0) : 0;
+                    if (seatsTaken >= capacity) {
+                        status = 'Waitlisted';
+                    } else if (statsDoc.exists) {
+                        tx.update(statsRef, { seatsTaken: firebase.firestore.FieldValue.increment(1), lastRegistrationId: registrationRef.id });
+                    } else {
+                        tx.set(statsRef, { seatsTaken: 1, lastRegistrationId: registrationRef.id });
+                    }
+                }
+
+                tx.set(registrationRef, {
+                    ...registration,
+                    status: status,  // 'Pending' or 'Waitlisted' (capitalised) per firestore.rules
+                    ...(status === 'Waitlisted' ? { waitlistedAt: firebase.firestore.FieldValue.serverTimestamp() } : {})
+                });
+
+                addDuplicateKeyClaims(tx, duplicateCheck.claims, registrationRef.id, activeEvent);
+
+                // Public summary for "check my registration"; member details stay sealed to code + email
+                tx.set(db.collection('registrationLookup').doc(lookupId), {
+                    confirmationCode: confirmationCode,
+                    teamName: formData.teamName,
+                    eventCode: activeEvent,
+                    eventName: successEventName || '',
+                    status: status,
+                    attended: false,
+                    sessionId: session ? session.id : null,
+                    sealed: sealed,
+                    selfServiceHash: registration.selfServiceHash,
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+                // "Registration received" email, rendered by the Trigger Email extension from
+                // the event's mailTemplates entry (the Firestore rules pin the recipient to this team)
+                if (routedEvent?.notificationRules?.received?.enabled) {
+                    tx.set(db.collection('mailQueue').doc(), {
+                        to: formData.teamEmail,
+                        template: {
+                            name: `${activeEvent}__received`,
+                            data: {
+                                teamName: formData.teamName,
+                                email: formData.teamEmail,
+                                status: status,
+                                eventName: successEventName || activeEvent,
+                                confirmationCode: confirmationCode,
+                                member1: { name: formData.member1Name || '' },
+                                member2: { name: formData.member2Name || '' },
+                                member3: { name: formData.member3Name || '' },
+                                member4: { name: formData.member4Name || '' }
+                            }
+                        },
+                        trigger: 'received',
+                        eventCode: activeEvent,
+                        teamId: registrationRef.id,
+                        teamName: formData.teamName,
+                        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+
+                return status;
             });
+            const isWaitlisted = status === 'Waitlisted';
 
             document.getElementById('registrationForm').style.display = 'none';
             document.getElementById('formSuccess').classList.add('show');
@@ -1291,13 +2250,19 @@
             const memberCount = formData.memberCount || 1;
 
             // Close registration modal and show success modal with confetti
-            const successEventName = await resolveSuccessEventName(activeEvent);
             closeModal();
             setTimeout(() => {
-                showSuccessModal(formData.teamName, successEventName, memberCount);
+                showSuccessModal(formData.teamName, successEventName, memberCount, isWaitlisted, confirmationCode,
+                    routedEvent ? { ...routedEvent, code: activeEvent } : null, session ? session.id : '');
             }, 300);
 
         } catch (err) {
+            const duplicateErrors = duplicateErrorsFor(err, duplicateCheck);
+            if (duplicateErrors) {
+                window.ISTESecurity.displayValidationErrors(duplicateErrors);
+                secureLog('[App] Duplicate registration blocked:', Object.keys(duplicateErrors));
+                return;
+            }
             secureLog('[App] Registration error:', err);
 
             // Increment error count
@@ -1517,6 +2482,164 @@
     // Load team members when DOM is ready
     document.addEventListener('DOMContentLoaded', loadTeamFromFirebase);
 
+    // ===== REGISTRATION COUNTDOWN =====
+    // Elements carrying data-opens-at count down to opening; data-closes-at marks a deadline.
+    // When either passes, the featured event and the upcoming list re-render (auto open/close).
+    let registrationWindowTimer = null;
+
+    function registrationState(event) {
+        if (window.RegistrationWindow) return window.RegistrationWindow.state(event);
+        return isEventRegistrationOpen(event) ? 'open' : 'closed';
+    }
+
+    function registrationMillis(value) {
+        return window.RegistrationWindow ? window.RegistrationWindow.toMillis(value) : null;
+    }
+
+    function formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const pad = n => String(n).padStart(2, '0');
+        const clock = pad(Math.floor(totalSeconds % 86400 / 3600)) + ':' + pad(Math.floor(totalSeconds % 3600 / 60)) + ':' + pad(totalSeconds % 60);
+        return (days > 0 ? days + 'd ' : '') + clock;
+    }
+
+    // Shown in the event time zone, like every other event time on the page
+    function formatDeadline(ms) {
+        return new Date(ms).toLocaleString('en-US', {
+            timeZone: window.EVENT_TIME_ZONE.id, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+    }
+
+    function startRegistrationCountdown() {
+        if (registrationWindowTimer) return;
+        registrationWindowTimer = setInterval(tickRegistrationCountdown, 1000);
+        tickRegistrationCountdown();
+    }
+
+    function tickRegistrationCountdown() {
+        const now = Date.now();
+        let boundaryPassed = false;
+
+        document.querySelectorAll('[data-opens-at]').forEach(function (el) {
+            const left = Number(el.dataset.opensAt) - now;
+            if (left <= 0) boundaryPassed = true;
+            else el.textContent = 'Opens in ' + formatCountdown(left);
+        });
+        document.querySelectorAll('[data-closes-at]').forEach(function (el) {
+            if (Number(el.dataset.closesAt) <= now) boundaryPassed = true;
+        });
+
+        if (boundaryPassed) {
+            if (currentFeaturedEvent) renderFeaturedEvent(currentFeaturedEvent);
+            renderUpcomingEvents();
+        }
+        if (!document.querySelector('[data-opens-at], [data-closes-at]')) {
+            clearInterval(registrationWindowTimer);
+            registrationWindowTimer = null;
+        }
+    }
+
+    // ===== UPCOMING EVENTS =====
+    // Every active event with open (or scheduled) registration, soonest first; each card registers directly
+    let upcomingEvents = [];
+
+    async function loadUpcomingEvents() {
+        const grid = document.getElementById('upcomingEventsGrid');
+        if (!grid || !db) return;
+
+        try {
+            // Filtered here rather than in the query: legacy events have no registrationStatus and count as open
+            const snapshot = await db.collection('events').get();
+            upcomingEvents = snapshot.docs
+                .map(doc => ({ ...doc.data(), code: doc.id }))
+                .filter(event => event.isActive !== false && ['open', 'scheduled'].includes(registrationState(event)))
+                .sort((a, b) => upcomingEventSortKey(a) - upcomingEventSortKey(b));
+            renderUpcomingEvents();
+        } catch (error) {
+            secureLog('[UpcomingEvents] Error loading:', error);
+            upcomingEvents = [];
+            renderUpcomingEvents();
+        }
+    }
+
+    // Undated events go last
+    function upcomingEventSortKey(event) {
+        const time = event.eventDateRaw ? new Date(event.eventDateRaw + 'T00:00:00').getTime() : NaN;
+        return isNaN(time) ? Number.MAX_SAFE_INTEGER : time;
+    }
+
+    function renderUpcomingEvents() {
+        const section = document.getElementById('upcomingEvents');
+        const grid = document.getElementById('upcomingEventsGrid');
+        if (!section || !grid) return;
+
+        // Re-evaluated on every render so passed deadlines drop off the list
+        const listed = upcomingEvents.filter(event => ['open', 'scheduled'].includes(registrationState(event)));
+        section.style.display = listed.length > 0 ? '' : 'none';
+        grid.innerHTML = '';
+
+        listed.forEach(function (event) {
+            const sessions = eventSessionsOf(event);
+            const when = sessions.length > 0
+                ? sessions.length + ' sessions from ' + window.EventSessions.label(sessions[0])
+                : [event.eventDate || 'Date TBA', event.eventTime].filter(Boolean).join(' • ');
+            const teamSize = event.teamSize
+                ? (event.teamSize.min === event.teamSize.max ? event.teamSize.min : event.teamSize.min + '-' + event.teamSize.max) + ' members'
+                : 'Individual or Team';
+
+            const card = document.createElement('article');
+            card.className = 'upcoming-event-card';
+
+            const title = document.createElement('h3');
+            title.textContent = (event.emoji || '🎉') + ' ' + (event.name || event.code);
+            card.appendChild(title);
+
+            if (event.description) {
+                const description = document.createElement('p');
+                description.className = 'upcoming-event-description';
+                description.textContent = event.description;
+                card.appendChild(description);
+            }
+
+            const details = document.createElement('ul');
+            details.className = 'upcoming-event-details';
+            [['📅', when], ['📍', sessions.length > 0 ? '' : (event.venue || 'Venue TBA')], ['👥', teamSize]].forEach(function (detail) {
+                if (!detail[1]) return;
+                const item = document.createElement('li');
+                item.textContent = detail[0] + ' ' + detail[1];
+                details.appendChild(item);
+            });
+            card.appendChild(details);
+
+            const closesAt = registrationMillis(event.registrationClosesAt);
+            if (closesAt !== null) {
+                const deadline = document.createElement('p');
+                deadline.className = 'upcoming-event-deadline';
+                deadline.dataset.closesAt = closesAt;
+                deadline.textContent = '⏰ Registration closes ' + formatDeadline(closesAt);
+                card.appendChild(deadline);
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-primary';
+            if (registrationState(event) === 'scheduled') {
+                button.disabled = true;
+                button.dataset.opensAt = registrationMillis(event.registrationOpensAt);
+                button.textContent = 'Opens in ' + formatCountdown(button.dataset.opensAt - Date.now());
+            } else {
+                button.textContent = 'Register 🎉';
+                button.addEventListener('click', function () { openModal(event.code); });
+            }
+            card.appendChild(button);
+
+            grid.appendChild(card);
+        });
+
+        if (grid.querySelector('[data-opens-at], [data-closes-at]')) startRegistrationCountdown();
+    }
+
     // ===== FEATURED EVENT LOADER =====
     // Load the featured event dynamically from Firestore
     async function loadFeaturedEvent() {
@@ -1566,6 +2689,7 @@
         const eventTitle = event?.name || '';
         const eventDescription = (event?.description || '').trim();
         currentFeaturedEventName = eventTitle;
+        currentFeaturedEvent = event;
 
         if (titleEl) {
             let mainHeading = eventTitle;
@@ -1604,6 +2728,16 @@
             const dateDisplay = event.eventDate 
                 ? `${event.eventDate}${event.eventDay ? ` (${event.eventDay})` : ''}`
                 : 'Date TBA';
+
+            // Multi-slot events list every session instead of a single time and venue
+            const sessions = eventSessionsOf(event);
+            const sessionList = sessions.length > 0
+                ? `<ul class="activity-sessions">${sessions.map(session => `<li>${escapeHtml(window.EventSessions.label(session))}</li>`).join('')}</ul>`
+                : '';
+            const timeDisplay = sessions.length > 0 ? `${sessions.length} sessions (pick one when registering)` : (event.eventTime || 'Time TBA');
+            const venueDisplay = sessions.length > 0
+                ? [...new Set(sessions.map(session => session.venue).filter(Boolean))].join(', ') || 'Venue TBA'
+                : (event.venue || 'Venue TBA');
             
             detailsEl.innerHTML = `
                 <div class="activity-detail">
@@ -1614,19 +2748,22 @@
                 <div class="activity-detail">
                     <div class="activity-detail-icon">🕐</div>
                     <span class="activity-detail-label">Time:</span>
-                    <span class="activity-detail-value">${escapeHtml(event.eventTime || 'Time TBA')}</span>
+                    <span class="activity-detail-value">${escapeHtml(timeDisplay)}</span>
                 </div>
                 <div class="activity-detail">
                     <div class="activity-detail-icon">📍</div>
                     <span class="activity-detail-label">Venue:</span>
-                    <span class="activity-detail-value">${escapeHtml(event.venue || 'Venue TBA')}</span>
+                    <span class="activity-detail-value">${escapeHtml(venueDisplay)}</span>
                 </div>
                 <div class="activity-detail">
                     <div class="activity-detail-icon">👥</div>
                     <span class="activity-detail-label">Team Size:</span>
                     <span class="activity-detail-value">${escapeHtml(teamSizeText)}</span>
                 </div>
+                ${sessionList}
+                <div class="add-to-calendar"></div>
             `;
+            renderAddToCalendar(detailsEl.querySelector('.add-to-calendar'), event);
         }
         
         // Update poster image
@@ -1647,20 +2784,38 @@
             const statusConfig = {
                 'open': { class: 'open', text: '🟢 Open', btnEnabled: true, btnText: 'Register Now 🎉' },
                 'closed': { class: 'closed', text: '🔴 Closed', btnEnabled: false, btnText: 'Registration Closed' },
-                'coming_soon': { class: 'coming-soon', text: '🟡 Coming Soon', btnEnabled: false, btnText: 'Coming Soon' }
+                'coming_soon': { class: 'coming-soon', text: '🟡 Coming Soon', btnEnabled: false, btnText: 'Coming Soon' },
+                'scheduled': { class: 'coming-soon', text: '⏳ Opening Soon', btnEnabled: false, btnText: 'Opens Soon' }
             };
             
-            const status = statusConfig[event.registrationStatus] || statusConfig['open'];
+            const state = registrationState(event);
+            const status = statusConfig[state] || statusConfig['open'];
+            const opensAt = registrationMillis(event.registrationOpensAt);
+            const closesAt = registrationMillis(event.registrationClosesAt);
             statusBadge.className = `event-status-badge ${status.class}`;
-            statusBadge.textContent = status.text;
+            statusBadge.textContent = state === 'open' && closesAt !== null
+                ? `${status.text} · closes ${formatDeadline(closesAt)}`
+                : status.text;
             registerBtn.disabled = !status.btnEnabled;
             registerBtn.textContent = status.btnText;
+
+            // Scheduled events count down on the button; open ones close themselves at the deadline
+            delete registerBtn.dataset.opensAt;
+            delete statusBadge.dataset.closesAt;
+            if (state === 'scheduled') {
+                registerBtn.dataset.opensAt = opensAt;
+                registerBtn.textContent = 'Opens in ' + formatCountdown(opensAt - Date.now());
+            } else if (state === 'open' && closesAt !== null) {
+                statusBadge.dataset.closesAt = closesAt;
+            }
+            if (registerBtn.dataset.opensAt || statusBadge.dataset.closesAt) startRegistrationCountdown();
         }
     }
 
     // Show "no featured event" state
     function showNoFeaturedEvent() {
         currentFeaturedEventName = '';
+        currentFeaturedEvent = null;
         const contentEl = document.querySelector('.activity-content');
         const noEventEl = document.getElementById('noFeaturedEvent');
         
@@ -1699,6 +2854,7 @@
     document.addEventListener('DOMContentLoaded', function() {
         if (db) {
             loadFeaturedEvent();
+            loadUpcomingEvents();
         }
     });
 
@@ -0,0 +1,352 @@
+/**
+ * ============================================================================
+ * ISTE Club Website - Event Scheduling
+ * ============================================================================
+ *
+ * Scheduling helpers shared by the public site and the admin portal:
+ * - Event sessions (multi-slot events)
+ * - Registration open/close windows
+ * - Calendar export (.ics and Google Calendar links)
+ *
+ * Event dates and times are wall-clock values in the club's time zone
+ * (EVENT_TIME_ZONE), never in the visitor's, so every browser agrees on when
+ * an event starts. Load after security.js (session limits live in SECURITY_CONFIG).
+ *
+ * @author ISTE Tech Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// ============================================================================
+// EVENT TIME ZONE
+// ============================================================================
+
+// India has no daylight saving, so a fixed offset is exact
+const EVENT_TIME_ZONE = {
+    id: 'Asia/Kolkata',
+    offset: '+05:30',
+    offsetMinutes: 330
+};
+
+// ============================================================================
+// EVENT SESSIONS
+// ============================================================================
+
+/**
+ * Sessions of a multi-slot event, stored on events/{code}.sessions:
+ *
+ *   [{ id, date: 'YYYY-MM-DD', time: '10:00 AM', venue, capacity }]
+ *
+ * Registrations pick one with `sessionId`. A session with a capacity keeps its
+ * own seat counter at eventStats/{code}__{sessionId}. Events without sessions
+ * keep using their single eventDate / eventTime / venue.
+ */
+const EventSessions = {
+    /**
+     * Coerce untrusted session data into a safe list, sorted by date then time.
+     * Invalid or duplicate entries are dropped rather than rejected.
+     * @param {Array} raw - Raw sessions array
+     * @returns {Array} Normalized sessions
+     */
+    normalize(raw) {
+        const config = SECURITY_CONFIG.validation.session;
+        if (!Array.isArray(raw)) return [];
+
+        const seen = new Set();
+        const sessions = [];
+        for (const s of raw) {
+            if (sessions.length >= config.maxSessions) break;
+            if (!s || typeof s !== 'object') continue;
+
+            const id = String(s.id || '');
+            const date = String(s.date || '');
+            if (!config.idPattern.test(id) || !config.datePattern.test(date) || seen.has(id)) continue;
+
+            const capacity = parseInt(s.capacity, 10);
+            seen.add(id);
+            sessions.push({
+                id,
+                date,
+                time: String(s.time || '').replace(/[<>]/g, '').trim().slice(0, 20),
+                venue: String(s.venue || '').replace(/[<>]/g, '').trim().slice(0, 200),
+                capacity: capacity > 0 ? Math.min(capacity, config.maxCapacity) : 0
+            });
+        }
+
+        return sessions.sort((a, b) => this.startMillis(a) - this.startMillis(b));
+    },
+
+    /**
+     * Parse a stored time ('10:00 AM', '14:30') into 24-hour parts
+     * @param {string} time - Time as entered by admins
+     * @returns {{hours: number, minutes: number}|null} Parts, or null when there is no valid time
+     */
+    parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec(String(time || '').trim());
+        if (!match) return null;
+        let hours = parseInt(match[1], 10) % (match[3] ? 12 : 24);
+        if (match[3] && match[3].toUpperCase() === 'PM') hours += 12;
+        const minutes = parseInt(match[2], 10);
+        return minutes < 60 ? { hours, minutes } : null;
+    },
+
+    /**
+     * Start of a session (or an event's { date: eventDateRaw, time: eventTime }) in
+     * epoch milliseconds, read in EVENT_TIME_ZONE; midnight when no time is set
+     * @param {Object} session - { date: 'YYYY-MM-DD', time }
+     * @returns {number} Milliseconds, or NaN for a bad date
+     */
+    startMillis(session) {
+        if (!SECURITY_CONFIG.validation.session.datePattern.test(session?.date || '')) return NaN;
+        const time = this.parseTime(session.time) || { hours: 0, minutes: 0 };
+        const clock = `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`;
+        return Date.parse(`${session.date}T${clock}:00${EVENT_TIME_ZONE.offset}`);
+    },
+
+    /**
+     * Short human label, e.g. "Mon, Mar 3 · 10:00 AM · Lab 2"
+     * @param {Object} session - Normalized session
+     * @returns {string} Label
+     */
+    label(session) {
+        if (!session) return '';
+        const date = new Date(`${session.date}T00:00:00`);
+        const day = isNaN(date.getTime())
+            ? session.date
+            : date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        return [day, session.time, session.venue].filter(Boolean).join(' · ');
+    },
+
+    /**
+     * eventStats document id holding a session's seat counter
+     * @param {string} eventCode - Event code
+     * @param {string} sessionId - Session id
+     * @returns {string} Document id
+     */
+    statsDocId(eventCode, sessionId) {
+        return `${eventCode}__${sessionId}`;
+    },
+
+    /**
+     * Generate an id for a new session
+     * @returns {string} Id matching validation.session.idPattern
+     */
+    newId() {
+        return 's' + Date.now().toString(36).slice(-6) + Math.random().toString(36).slice(2, 5);
+    }
+};
+
+// ============================================================================
+// REGISTRATION WINDOW
+// ============================================================================
+
+/**
+ * Scheduled registration: on top of the manual registrationStatus, an event may
+ * set registrationOpensAt / registrationClosesAt (Firestore Timestamps). Mirrors
+ * registrationWindowOpen() in the Firestore rules so both sides agree.
+ */
+const RegistrationWindow = {
+    /**
+     * Epoch milliseconds of a Firestore Timestamp (either SDK), Date or ISO string
+     * @param {*} value - Timestamp-like value
+     * @returns {number|null} Milliseconds, or null when unset/invalid
+     */
+    toMillis(value) {
+        if (!value) return null;
+        if (typeof value.toMillis === 'function') return value.toMillis();
+        if (typeof value.seconds === 'number') return value.seconds * 1000;
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : time;
+    },
+
+    /**
+     * Current registration state of an event
+     * @param {Object} event - Event data
+     * @param {number} [now] - Time to evaluate at (ms)
+     * @returns {string} 'open' | 'scheduled' (opens later) | 'closed' | 'coming_soon'
+     */
+    state(event, now = Date.now()) {
+        if (!event) return 'open';
+        if (event.registrationStatus && event.registrationStatus !== 'open') {
+            return event.registrationStatus === 'coming_soon' ? 'coming_soon' : 'closed';
+        }
+        const opensAt = this.toMillis(event.registrationOpensAt);
+        const closesAt = this.toMillis(event.registrationClosesAt);
+        if (closesAt !== null && now >= closesAt) return 'closed';
+        if (opensAt !== null && now < opensAt) return 'scheduled';
+        return 'open';
+    },
+
+    /**
+     * @param {Object} event - Event data
+     * @param {number} [now] - Time to evaluate at (ms)
+     * @returns {boolean} Whether submissions are accepted right now
+     */
+    isOpen(event, now = Date.now()) {
+        return this.state(event, now) === 'open';
+    }
+};
+
+// ============================================================================
+// EVENT CALENDAR (ICS / GOOGLE CALENDAR)
+// ============================================================================
+
+/**
+ * Calendar entries built from an event's eventDateRaw / eventTime / venue (one
+ * entry per session for multi-slot events). Events store no end time, so timed
+ * entries last defaultDurationMinutes and date-only ones become all-day.
+ * Timed entries are written with a TZID for EVENT_TIME_ZONE.
+ *
+ *   { uid, title, description, location, date, start, end, allDay }
+ */
+const EventCalendar = {
+    defaultDurationMinutes: 120,
+
+    /**
+     * @param {Object} event - Event data (needs `code` for stable UIDs)
+     * @param {string} [sessionId] - Only this session of a multi-slot event
+     * @returns {Array} Calendar entries (empty when the event has no date)
+     */
+    entries(event, sessionId = '') {
+        if (!event) return [];
+        const sessions = EventSessions.normalize(event.sessions);
+        const slots = sessions.length > 0
+            ? sessions.filter(s => !sessionId || s.id === sessionId)
+            : [{ id: '', date: event.eventDateRaw || '', time: event.eventTime || '', venue: event.venue || '' }];
+
+        return slots
+            .map(slot => {
+                const start = EventSessions.startMillis(slot);
+                // Same parser as startMillis, so an unreadable time never becomes a midnight start
+                const allDay = !EventSessions.parseTime(slot.time);
+                return {
+                    uid: `${event.code || 'event'}${slot.id ? `-${slot.id}` : ''}@iste-club`,
+                    title: event.name || event.code || 'ISTE Event',
+                    description: event.description || '',
+                    location: slot.venue || '',
+                    date: slot.date,
+                    start,
+                    end: allDay ? start + 86400000 : start + this.defaultDurationMinutes * 60000,
+                    allDay
+                };
+            })
+            .filter(entry => !isNaN(entry.start));
+    },
+
+    /**
+     * iCalendar (RFC 5545) text for a list of entries
+     * @param {Array} entries - Calendar entries
+     * @param {string} [calendarName] - X-WR-CALNAME shown by subscribing apps
+     * @returns {string} .ics file content (CRLF line endings)
+     */
+    toICS(entries, calendarName = 'ISTE Club Events') {
+        const stamp = this.formatUtc(Date.now());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//ISTE Club//Events//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(calendarName)}`,
+            `X-WR-TIMEZONE:${EVENT_TIME_ZONE.id}`,
+            'BEGIN:VTIMEZONE',
+            `TZID:${EVENT_TIME_ZONE.id}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${EVENT_TIME_ZONE.offset.replace(':', '')}`,
+            `TZOFFSETTO:${EVENT_TIME_ZONE.offset.replace(':', '')}`,
+            'TZNAME:IST',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+        const zoned = `;TZID=${EVENT_TIME_ZONE.id}:`;
+        for (const entry of entries) {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${entry.uid}`,
+                `DTSTAMP:${stamp}`,
+                entry.allDay ? `DTSTART;VALUE=DATE:${this.formatDate(entry.start)}` : `DTSTART${zoned}${this.formatLocal(entry.start)}`,
+                entry.allDay ? `DTEND;VALUE=DATE:${this.formatDate(entry.end)}` : `DTEND${zoned}${this.formatLocal(entry.end)}`,
+                `SUMMARY:${this.escapeText(entry.title)}`
+            );
+            if (entry.description) lines.push(`DESCRIPTION:${this.escapeText(entry.description)}`);
+            if (entry.location) lines.push(`LOCATION:${this.escapeText(entry.location)}`);
+            lines.push('END:VEVENT');
+        }
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Google Calendar "add event" link for one entry
+     * @param {Object} entry - Calendar entry
+     * @returns {string} URL
+     */
+    googleUrl(entry) {
+        const format = entry.allDay ? (ms => this.formatDate(ms)) : (ms => this.formatUtc(ms));
+        const params = new URLSearchParams({
+            action: 'TEMPLATE',
+            text: entry.title,
+            dates: `${format(entry.start)}/${format(entry.end)}`,
+            details: entry.description,
+            location: entry.location
+        });
+        return `https://calendar.google.com/calendar/render?${params.toString()}`;
+    },
+
+    // 20260305T043000Z
+    formatUtc(ms) {
+        return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    // 20260305T100000 (wall-clock time in EVENT_TIME_ZONE)
+    formatLocal(ms) {
+        return this.formatUtc(ms + EVENT_TIME_ZONE.offsetMinutes * 60000).replace('Z', '');
+    },
+
+    // 20260305 (date in EVENT_TIME_ZONE, for all-day entries)
+    formatDate(ms) {
+        return this.formatLocal(ms).slice(0, 8);
+    },
+
+    escapeText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    // Content lines longer than 75 octets (UTF-8) continue on lines starting with a
+    // space; splits fall between characters, never inside one
+    fold(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) return line;
+        const parts = [];
+        let current = '';
+        let size = 0;
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            // Continuation lines lose one octet to the leading space
+            if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+};
+
+// ============================================================================
+// GLOBAL EXPORTS
+// ============================================================================
+
+window.EVENT_TIME_ZONE = EVENT_TIME_ZONE;
+window.EventSessions = EventSessions;
+window.RegistrationWindow = RegistrationWindow;
+window.EventCalendar = EventCalendar;
@@ -36,6 +36,13 @@ const SECURITY_CONFIG = {
             refillRate: 1,          // Tokens added per interval
             refillInterval: 60000,  // 1 minute in ms
             lockoutMs: 60000        // 1 minute lockout
+        },
+        // Public "check my registration" lookups (guessing codes must stay slow)
+        lookup: {
+            maxTokens: 5,           // Maximum lookups allowed
+            refillRate: 1,          // Tokens added per interval
+            refillInterval: 60000,  // 1 minute in ms
+            cooldownMs: 0
         }
     },
 
@@ -72,21 +79,439 @@ const SECURITY_CONFIG = {
         password: {
             minLength: 8,
             maxLength: 128
+        },
+        // The public form has four member sections
+        teamSize: {
+            min: 1,
+            max: 4
+        },
+        // Confirmation code shown after registering (no 0/O or 1/I to avoid misreading)
+        confirmationCode: {
+            alphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+            pattern: /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/,
+            patternDescription: 'Format: XXXX-XXXX (from your confirmation)'
+        },
+        // Per-event custom fields (see FormSchema)
+        customField: {
+            maxLength: 200,
+            textareaMaxLength: 1000,
+            maxFields: 10,
+            maxOptions: 20,
+            keyPattern: /^[a-z][a-zA-Z0-9]{1,29}$/,
+            phonePattern: /^\+?[0-9][0-9 -]{6,17}$/,
+            phoneDescription: 'Enter a valid phone number (digits, spaces, + and - only)',
+            urlPattern: /^https:\/\/[^\s<>"']+\.[^\s<>"']+$/,
+            urlDescription: 'Must be a valid https:// link'
+        },
+        // Multi-slot events (see EventSessions in scheduling.js)
+        session: {
+            maxSessions: 12,
+            idPattern: /^s[a-z0-9]{1,12}$/,
+            datePattern: /^\d{4}-\d{2}-\d{2}$/,
+            maxCapacity: 10000
         }
     },
 
     // Allowed form fields (reject unexpected fields)
     allowedFields: {
+        // Custom fields from the event's form schema are allowed as custom_<key>
         registration: [
-            'teamEmail', 'teamName',
+            'teamEmail', 'teamName', 'memberCount',
             'member1Name', 'member1USN', 'member1Dept', 'member1Sem',
             'member2Name', 'member2USN', 'member2Dept', 'member2Sem',
-            'member3Name', 'member3USN', 'member3Dept', 'member3Sem'
+            'member3Name', 'member3USN', 'member3Dept', 'member3Sem',
+            'sessionId'
         ],
         login: ['username', 'password']
     }
 };
 
+// ============================================================================
+// REGISTRATION FORM SCHEMA
+// ============================================================================
+
+/**
+ * Per-event registration form schema stored on events/{code}.formSchema.
+ * Shared by the admin editor (normalize before save) and the public form
+ * (normalize before render/validate) so both sides agree on the shape:
+ *
+ *   {
+ *     mode: 'team' | 'individual',
+ *     fields: [{ key, label, type, required, options }]
+ *   }
+ *
+ * Built-in fields (email, team name, members) are always present; `fields`
+ * only lists the extra questions an event asks.
+ */
+const FormSchema = {
+    MODES: ['team', 'individual'],
+    FIELD_TYPES: ['text', 'textarea', 'email', 'tel', 'url', 'number', 'select'],
+
+    // Keys that would collide with built-in registration fields
+    RESERVED_KEYS: [
+        'teamName', 'teamEmail', 'email', 'eventCode', 'status', 'memberCount',
+        'registeredAt', 'attended', 'attendedAt', 'isWinner', 'winnerPosition', 'sessionId'
+    ],
+
+    // One-click fields for the admin editor
+    PRESETS: {
+        phone: { key: 'phone', label: 'Phone Number', type: 'tel', required: true, options: [] },
+        tshirt: { key: 'tshirtSize', label: 'T-Shirt Size', type: 'select', required: true, options: ['XS', 'S', 'M', 'L', 'XL', 'XXL'] },
+        github: { key: 'githubUrl', label: 'GitHub Profile', type: 'url', required: false, options: [] }
+    },
+
+    /**
+     * Default schema used when an event has none (legacy events)
+     * @returns {Object} Schema object
+     */
+    defaults() {
+        return { mode: 'team', fields: [] };
+    },
+
+    /**
+     * Clamp an event's teamSize to what the public form can collect
+     * @param {Object} [teamSize] - Event teamSize {min, max}
+     * @returns {Object} {min, max} within validation.teamSize bounds
+     */
+    teamSizeLimits(teamSize) {
+        const bounds = SECURITY_CONFIG.validation.teamSize;
+        const clamp = n => Math.min(Math.max(n, bounds.min), bounds.max);
+        const min = clamp(parseInt(teamSize?.min, 10) || bounds.min);
+        const max = clamp(parseInt(teamSize?.max, 10) || bounds.max);
+        return min <= max ? { min, max } : { min: max, max: max };
+    },
+
+    /**
+     * Derive a camelCase field key from a label
+     * @param {string} label - Field label
+     * @returns {string} Key (may be empty if the label has no letters)
+     */
+    keyFromLabel(label) {
+        const words = String(label || '')
+            .replace(/[^A-Za-z0-9 ]/g, ' ')
+            .trim()
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(Boolean);
+        const key = words
+            .map((w, i) => (i === 0 ? w : w.charAt(0).toUpperCase() + w.slice(1)))
+            .join('')
+            .replace(/^[0-9]+/, '');
+        return key.slice(0, 30);
+    },
+
+    /**
+     * Coerce untrusted schema data (from Firestore or the editor) into a safe shape.
+     * Invalid or duplicate fields are dropped rather than rejected.
+     * @param {Object} raw - Raw schema
+     * @returns {Object} Normalized schema
+     */
+    normalize(raw) {
+        const config = SECURITY_CONFIG.validation.customField;
+        const schema = this.defaults();
+        if (!raw || typeof raw !== 'object') return schema;
+
+        if (this.MODES.includes(raw.mode)) schema.mode = raw.mode;
+
+        const seen = new Set();
+        const fields = Array.isArray(raw.fields) ? raw.fields : [];
+
+        for (const f of fields) {
+            if (schema.fields.length >= config.maxFields) break;
+            if (!f || typeof f !== 'object') continue;
+
+            const label = String(f.label || '').replace(/[<>]/g, '').trim().slice(0, 60);
+            const key = String(f.key || this.keyFromLabel(label));
+            const type = this.FIELD_TYPES.includes(f.type) ? f.type : 'text';
+
+            if (!label || !config.keyPattern.test(key)) continue;
+            if (this.RESERVED_KEYS.includes(key) || /^member[0-9]/.test(key) || seen.has(key)) continue;
+
+            const options = type === 'select' && Array.isArray(f.options)
+                ? [...new Set(f.options.map(o => String(o).replace(/[<>]/g, '').trim().slice(0, 60)).filter(Boolean))]
+                    .slice(0, config.maxOptions)
+                : [];
+            if (type === 'select' && options.length === 0) continue;
+
+            seen.add(key);
+            schema.fields.push({ key, label, type, required: f.required === true, options });
+        }
+
+        return schema;
+    }
+};
+
+// ============================================================================
+// DUPLICATE REGISTRATION DETECTION
+// ============================================================================
+
+/**
+ * Duplicate rules shared by the public form (submit-time key claims) and the
+ * admin conflicts panel. Within one event, two registrations conflict when
+ * they share a member USN, the team email, or a near-identical team name.
+ *
+ * Records passed in use the stored registration shape:
+ *   { id, email, teamName, status, member1: { usn }, ... member4: { usn } }
+ */
+const DuplicateDetector = {
+    TYPES: ['usn', 'email', 'teamName'],
+    // Statuses that no longer hold a place and so cannot conflict
+    INACTIVE_STATUSES: ['Cancelled', 'Rejected'],
+
+    /**
+     * Team name reduced to lowercase letters and digits ("Code-Crushers!" -> "codecrushers")
+     * @param {string} name
+     * @returns {string}
+     */
+    normalizeTeamName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    },
+
+    normalizeUSN(usn) {
+        return String(usn || '').toUpperCase().replace(/\s/g, '');
+    },
+
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    },
+
+    /**
+     * Member USNs of a registration (stored shape), normalized and de-duplicated
+     * @param {Object} record
+     * @returns {string[]}
+     */
+    usnsOf(record) {
+        const usns = [1, 2, 3, 4]
+            .map(n => this.normalizeUSN(record && record[`member${n}`] && record[`member${n}`].usn))
+            .filter(Boolean);
+        return [...new Set(usns)];
+    },
+
+    /**
+     * Levenshtein distance between two short strings
+     * @private
+     */
+    _editDistance(a, b) {
+        let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            prev = row;
+        }
+        return prev[b.length];
+    },
+
+    /**
+     * Near-identical team names: equal once normalized, or one typo apart
+     * (two for names of 12+ characters). Very short names must match exactly.
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    teamNamesSimilar(a, b) {
+        const x = this.normalizeTeamName(a);
+        const y = this.normalizeTeamName(b);
+        if (!x || !y) return false;
+        if (x === y) return true;
+        if (Math.min(x.length, y.length) < 5) return false;
+        const allowed = Math.max(x.length, y.length) >= 12 ? 2 : 1;
+        if (Math.abs(x.length - y.length) > allowed) return false;
+        return this._editDistance(x, y) <= allowed;
+    },
+
+    /**
+     * Group conflicting registrations of one event
+     * @param {Object[]} records - Registrations (stored shape) with `id`
+     * @returns {Object[]} [{ id, type, key, ids }] where `id` is stable for the same set of teams
+     */
+    findConflicts(records) {
+        const active = (records || []).filter(r => r && r.id && !this.INACTIVE_STATUSES.includes(r.status));
+        const groups = [];
+        const addGroup = (type, key, ids) => {
+            const sorted = [...new Set(ids)].sort();
+            if (sorted.length < 2) return;
+            groups.push({ id: `${type}:${sorted.join(',')}`, type, key, ids: sorted });
+        };
+
+        // Exact matches: USN and email
+        const byUsn = new Map();
+        const byEmail = new Map();
+        active.forEach(r => {
+            this.usnsOf(r).forEach(usn => {
+                if (!byUsn.has(usn)) byUsn.set(usn, []);
+                byUsn.get(usn).push(r.id);
+            });
+            const email = this.normalizeEmail(r.email);
+            if (email) {
+                if (!byEmail.has(email)) byEmail.set(email, []);
+                byEmail.get(email).push(r.id);
+            }
+        });
+        byUsn.forEach((ids, usn) => addGroup('usn', usn, ids));
+        byEmail.forEach((ids, email) => addGroup('email', email, ids));
+
+        // Near-identical team names, clustered transitively
+        const clusterOf = new Map();
+        const clusters = [];
+        for (let i = 0; i < active.length; i++) {
+            for (let j = i + 1; j < active.length; j++) {
+                if (!this.teamNamesSimilar(active[i].teamName, active[j].teamName)) continue;
+                const ci = clusterOf.get(active[i].id);
+                const cj = clusterOf.get(active[j].id);
+                if (ci && cj && ci !== cj) {
+                    cj.forEach(id => { ci.add(id); clusterOf.set(id, ci); });
+                    clusters.splice(clusters.indexOf(cj), 1);
+                } else {
+                    const cluster = ci || cj || new Set();
+                    if (!ci && !cj) clusters.push(cluster);
+                    cluster.add(active[i].id).add(active[j].id);
+                    clusterOf.set(active[i].id, cluster);
+                    clusterOf.set(active[j].id, cluster);
+                }
+            }
+        }
+        clusters.forEach(cluster => {
+            const first = active.find(r => cluster.has(r.id));
+            addGroup('teamName', String(first.teamName || ''), [...cluster]);
+        });
+
+        return groups;
+    }
+};
+
+// ============================================================================
+// PARTICIPANT REGISTRATION ACCESS
+// ============================================================================
+
+/**
+ * Secrets behind "check my registration", derived from the confirmation code
+ * and the team email. The public entry lives at registrationLookup/{lookupId},
+ * so it can only be fetched by someone holding both; it carries no registration
+ * id or email hash, and the details needed to edit the registration are
+ * AES-GCM sealed under a key derived from the same pair. Edits and cancellations
+ * present a third derived key, which the rules check against the registration.
+ */
+const RegistrationAccess = {
+    /**
+     * Canonical "purpose:CODE:email" input for the derived secrets
+     * @private
+     */
+    _material(purpose, code, email) {
+        const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return `${purpose}:${compact}:${DuplicateDetector.normalizeEmail(email)}`;
+    },
+
+    /** @private */
+    async _digest(text) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    },
+
+    /** @private */
+    _hex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /** @private */
+    async _sealKey(code, email) {
+        const raw = await this._digest(this._material('seal', code, email));
+        return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    },
+
+    /**
+     * Document id of the public lookup entry
+     * @param {string} code - Confirmation code (any case, dash optional)
+     * @param {string} email - Team email
+     * @returns {Promise<string>} 64 hex characters
+     */
+    async lookupId(code, email) {
+        return this._hex(await this._digest(this._material('lookup', code, email)));
+    },
+
+    /**
+     * Key a participant presents (as selfServiceProof.key) to edit or cancel their registration
+     * @param {string} code
+     * @param {string} email
+     * @returns {Promise<string>} 64 hex characters
+     */
+    async selfServiceKey(code, email) {
+        return this._hex(await this._digest(this._material('self-service', code, email)));
+    },
+
+    /**
+     * Stored on the registration and its lookup entry as selfServiceHash; the Firestore
+     * rules (README.md) compare it with the SHA-256 of the presented key
+     * @param {string} code
+     * @param {string} email
+     * @returns {Promise<string>} 64 hex characters
+     */
+    async selfServiceHash(code, email) {
+        return this._hex(await this._digest(await this.selfServiceKey(code, email)));
+    },
+
+    /**
+     * The part of a registration (stored shape) the owner needs to edit it
+     * @param {string} registrationId
+     * @param {Object} record
+     * @returns {Object}
+     */
+    details(registrationId, record) {
+        const member = m => ({
+            name: (m && m.name) || null,
+            usn: (m && m.usn) || null,
+            dept: (m && m.dept) || null,
+            semester: (m && m.semester) || null
+        });
+        return {
+            registrationId,
+            email: record.email || '',
+            sessionId: record.sessionId || null,
+            member1: member(record.member1),
+            member2: member(record.member2),
+            member3: member(record.member3),
+            member4: member(record.member4),
+            customFields: record.customFields || {}
+        };
+    },
+
+    /**
+     * Encrypt registration details for the lookup entry
+     * @param {string} code
+     * @param {string} email
+     * @param {Object} details - From details()
+     * @returns {Promise<string>} base64 of IV + ciphertext
+     */
+    async seal(code, email, details) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = new TextEncoder().encode(JSON.stringify(details));
+        const cipher = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await this._sealKey(code, email), data));
+        const bytes = new Uint8Array(iv.length + cipher.length);
+        bytes.set(iv);
+        bytes.set(cipher, iv.length);
+        return btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''));
+    },
+
+    /**
+     * Decrypt sealed registration details
+     * @param {string} code
+     * @param {string} email
+     * @param {string} sealed - From seal()
+     * @returns {Promise<Object|null>} null when missing or not sealed for this code and email
+     */
+    async unseal(code, email, sealed) {
+        if (!sealed) return null;
+        try {
+            const bytes = Uint8Array.from(atob(sealed), c => c.charCodeAt(0));
+            const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) },
+                await this._sealKey(code, email), bytes.slice(12));
+            return JSON.parse(new TextDecoder().decode(plain));
+        } catch (e) {
+            return null;
+        }
+    }
+};
+
 // ============================================================================
 // RATE LIMITER CLASS
 // ============================================================================
@@ -483,30 +908,151 @@ class InputValidator {
         return { valid: true, value: password };
     }
 
+    /**
+     * Validate a per-event custom field answer against its schema entry
+     * @param {Object} field - Normalized field from FormSchema
+     * @param {string} value - Submitted value
+     * @returns {Object} Validation result
+     */
+    validateCustomField(field, value) {
+        const config = this.config.customField;
+        const trimmed = String(value ?? '').trim();
+
+        if (!trimmed) {
+            if (field.required) {
+                return { valid: false, error: `${field.label} is required` };
+            }
+            return { valid: true, value: null };
+        }
+
+        const maxLength = field.type === 'textarea' ? config.textareaMaxLength : config.maxLength;
+        if (trimmed.length > maxLength) {
+            return { valid: false, error: `${field.label} must be less than ${maxLength} characters` };
+        }
+
+        switch (field.type) {
+            case 'email':
+                return this.validateEmail(trimmed);
+            case 'tel':
+                if (!config.phonePattern.test(trimmed)) {
+                    return { valid: false, error: config.phoneDescription };
+                }
+                break;
+            case 'url':
+                if (!config.urlPattern.test(trimmed)) {
+                    return { valid: false, error: config.urlDescription };
+                }
+                break;
+            case 'number':
+                if (!/^-?[0-9]+(\.[0-9]+)?$/.test(trimmed)) {
+                    return { valid: false, error: `${field.label} must be a number` };
+                }
+                break;
+            case 'select':
+                if (!field.options.includes(trimmed)) {
+                    return { valid: false, error: `Invalid ${field.label} selection` };
+                }
+                break;
+        }
+
+        return { valid: true, value: trimmed };
+    }
+
+    /**
+     * Validate a member count against an event's team size limits
+     * @param {number|string} count - Number of members
+     * @param {Object} [teamSize] - Event teamSize {min, max}
+     * @returns {Object} Validation result
+     */
+    validateTeamSize(count, teamSize = null) {
+        const limits = FormSchema.teamSizeLimits(teamSize);
+        const value = parseInt(count, 10);
+
+        if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+            const range = limits.min === limits.max ? `${limits.min}` : `${limits.min}-${limits.max}`;
+            return { valid: false, error: `This event requires ${range} member${limits.max > 1 ? 's' : ''}` };
+        }
+
+        return { valid: true, value: value };
+    }
+
+    /**
+     * Validate a registration confirmation code
+     * @param {string} code - Code as typed (case and missing dash are tolerated)
+     * @returns {Object} Validation result with the normalized XXXX-XXXX code
+     */
+    validateConfirmationCode(code) {
+        const config = this.config.confirmationCode;
+        const compact = (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+        if (!compact) {
+            return { valid: false, error: 'Confirmation code is required' };
+        }
+
+        const normalized = `${compact.slice(0, 4)}-${compact.slice(4)}`;
+        if (!config.pattern.test(normalized)) {
+            return { valid: false, error: config.patternDescription };
+        }
+
+        return { valid: true, value: normalized };
+    }
+
+    /**
+     * Validate the registration lookup form
+     * @param {Object} formData - {lookupEmail, lookupCode}
+     * @returns {Object} Validation result keyed by form field id
+     */
+    validateLookupForm(formData) {
+        const errors = {};
+        const sanitized = {};
+
+        const email = this.validateEmail(formData.lookupEmail);
+        if (!email.valid) errors.lookupEmail = email.error;
+        else sanitized.email = email.value.toLowerCase();
+
+        const code = this.validateConfirmationCode(formData.lookupCode);
+        if (!code.valid) errors.lookupCode = code.error;
+        else sanitized.code = code.value;
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors: errors,
+            sanitized: sanitized
+        };
+    }
+
     /**
      * Validate entire registration form
      * @param {Object} formData - Form data object
+     * @param {Object} [schema] - Event form schema (FormSchema shape); defaults to a team form
+     * @param {Object} [teamSize] - Event teamSize {min, max}; defaults to 1-4
+     * @param {Array} [sessions] - Event sessions; when present one must be chosen
      * @returns {Object} Validation result with all errors
      */
-    validateRegistrationForm(formData) {
+    validateRegistrationForm(formData, schema = null, teamSize = null, sessions = null) {
         const errors = {};
         const sanitized = {};
+        const formSchema = FormSchema.normalize(schema);
 
         // Email validation
         const email = this.validateEmail(formData.teamEmail);
         if (!email.valid) errors.teamEmail = email.error;
         else sanitized.teamEmail = email.value;
 
-        // Team name validation
-        const teamName = this.validateTeamName(formData.teamName);
-        if (!teamName.valid) errors.teamName = teamName.error;
-        else sanitized.teamName = teamName.value;
-
         // Member 1 (required)
         const m1Name = this.validateMemberName(formData.member1Name, true);
         if (!m1Name.valid) errors.member1Name = m1Name.error;
         else sanitized.member1Name = m1Name.value;
 
+        // Team name validation (individual events register under the participant's name)
+        if (formSchema.mode === 'individual') {
+            if (m1Name.valid) sanitized.teamName = m1Name.value;
+        } else {
+            const teamName = this.validateTeamName(formData.teamName);
+            if (!teamName.valid) errors.teamName = teamName.error;
+            else sanitized.teamName = teamName.value;
+        }
+
         const m1USN = this.validateUSN(formData.member1USN, true);
         if (!m1USN.valid) errors.member1USN = m1USN.error;
         else sanitized.member1USN = m1USN.value;
@@ -515,31 +1061,49 @@ class InputValidator {
         if (!m1Dept.valid) errors.member1Dept = m1Dept.error;
         else sanitized.member1Dept = m1Dept.value;
 
-        // Member 2 (optional)
-        const m2Name = this.validateMemberName(formData.member2Name, false);
-        if (!m2Name.valid) errors.member2Name = m2Name.error;
-        else sanitized.member2Name = m2Name.value;
+        // Members 2-4 (required up to the event's minimum team size)
+        const limits = FormSchema.teamSizeLimits(teamSize);
+        for (let n = 2; n <= 4; n++) {
+            const required = n <= limits.min;
 
-        const m2USN = this.validateUSN(formData.member2USN, false);
-        if (!m2USN.valid) errors.member2USN = m2USN.error;
-        else sanitized.member2USN = m2USN.value;
+            const name = this.validateMemberName(formData[`member${n}Name`], required);
+            if (!name.valid) errors[`member${n}Name`] = name.error;
+            else sanitized[`member${n}Name`] = name.value;
 
-        const m2Dept = this.validateDepartment(formData.member2Dept, false);
-        if (!m2Dept.valid) errors.member2Dept = m2Dept.error;
-        else sanitized.member2Dept = m2Dept.value;
+            const usn = this.validateUSN(formData[`member${n}USN`], required);
+            if (!usn.valid) errors[`member${n}USN`] = usn.error;
+            else sanitized[`member${n}USN`] = usn.value;
 
-        // Member 3 (optional)
-        const m3Name = this.validateMemberName(formData.member3Name, false);
-        if (!m3Name.valid) errors.member3Name = m3Name.error;
-        else sanitized.member3Name = m3Name.value;
+            const dept = this.validateDepartment(formData[`member${n}Dept`], required);
+            if (!dept.valid) errors[`member${n}Dept`] = dept.error;
+            else sanitized[`member${n}Dept`] = dept.value;
+        }
 
-        const m3USN = this.validateUSN(formData.member3USN, false);
-        if (!m3USN.valid) errors.member3USN = m3USN.error;
-        else sanitized.member3USN = m3USN.value;
+        // Team size: both the selected count and the members actually filled in
+        const filledCount = [1, 2, 3, 4].filter(n => sanitized[`member${n}Name`]).length;
+        const declared = this.validateTeamSize(formData.memberCount ?? filledCount, teamSize);
+        const actual = this.validateTeamSize(filledCount, teamSize);
+        if (!declared.valid) errors.memberCount = declared.error;
+        else if (!actual.valid) errors.memberCount = actual.error;
+        else sanitized.memberCount = filledCount;
+
+        // Multi-slot events: the chosen session must be one of the event's
+        const eventSessions = window.EventSessions.normalize(sessions);
+        if (eventSessions.length > 0) {
+            const session = eventSessions.find(s => s.id === formData.sessionId);
+            if (!session) errors.sessionId = 'Please choose a session';
+            else sanitized.sessionId = session.id;
+        }
 
-        const m3Dept = this.validateDepartment(formData.member3Dept, false);
-        if (!m3Dept.valid) errors.member3Dept = m3Dept.error;
-        else sanitized.member3Dept = m3Dept.value;
+        // Event-specific custom fields (submitted as custom_<key>)
+        if (formSchema.fields.length > 0) {
+            sanitized.customFields = {};
+            for (const field of formSchema.fields) {
+                const result = this.validateCustomField(field, formData[`custom_${field.key}`]);
+                if (!result.valid) errors[`custom_${field.key}`] = result.error;
+                else if (result.value !== null) sanitized.customFields[field.key] = result.value;
+            }
+        }
 
         return {
             valid: Object.keys(errors).length === 0,
@@ -576,10 +1140,14 @@ class InputValidator {
      * Check for unexpected fields (OWASP mass assignment prevention)
      * @param {Object} formData - Form data
      * @param {string} formType - Type of form ('registration' or 'login')
+     * @param {Object} [schema] - Event form schema; its custom fields are allowed as custom_<key>
      * @returns {Array} List of unexpected field names
      */
-    checkUnexpectedFields(formData, formType) {
-        const allowed = SECURITY_CONFIG.allowedFields[formType] || [];
+    checkUnexpectedFields(formData, formType, schema = null) {
+        const allowed = [...(SECURITY_CONFIG.allowedFields[formType] || [])];
+        if (formType === 'registration' && schema) {
+            FormSchema.normalize(schema).fields.forEach(f => allowed.push(`custom_${f.key}`));
+        }
         const unexpected = [];
 
         for (const key of Object.keys(formData)) {
@@ -691,6 +1259,24 @@ const InputSanitizer = {
         return clean;
     },
 
+    /**
+     * Sanitization pipeline without HTML entity encoding, for free-text values
+     * (links, phone numbers) that are always escaped at render time instead
+     * @param {string} str - Input string
+     * @returns {string} Sanitized string
+     */
+    sanitizeText(str) {
+        if (typeof str !== 'string') return str;
+
+        let clean = str;
+        clean = this.removeNullBytes(clean);
+        clean = this.normalizeUnicode(clean);
+        clean = this.stripScripts(clean);
+        clean = this.cleanWhitespace(clean);
+
+        return clean;
+    },
+
     /**
      * Sanitize an entire object's string values
      * @param {Object} obj - Object to sanitize
@@ -906,6 +1492,7 @@ class SecurityManager {
     constructor() {
         this.validator = new InputValidator();
         this.registrationLimiter = null;
+        this.lookupLimiter = null;
         this.loginLimiter = null;
         this.initialized = false;
     }
@@ -925,6 +1512,10 @@ class SecurityManager {
                 ...SECURITY_CONFIG.rateLimiting.registration,
                 name: 'registration'
             });
+            this.lookupLimiter = new RateLimiter({
+                ...SECURITY_CONFIG.rateLimiting.lookup,
+                name: 'lookup'
+            });
         }
 
         if (pageType === 'login' || pageType === 'both') {
@@ -977,12 +1568,27 @@ class SecurityManager {
      * Process a registration form submission
      * @param {Object} formData - Form data
      * @param {HTMLButtonElement} submitButton - Submit button element
+     * @param {Object} [schema] - Event form schema (see FormSchema)
+     * @param {Object} [event] - Event being registered for ({teamSize, registrationStatus, registrationOpensAt, registrationClosesAt, sessions})
      * @returns {Object} Result with validation and rate limit status
      */
-    processRegistration(formData, submitButton) {
+    processRegistration(formData, submitButton, schema = null, event = null) {
         // Debounce button
         ButtonDebouncer.setLoading(submitButton, 'Validating...');
 
+        // Closed / coming-soon events, and anything outside the scheduled window, never accept submissions
+        const windowState = window.RegistrationWindow.state(event);
+        if (windowState !== 'open') {
+            ButtonDebouncer.restoreFromLoading(submitButton);
+            return {
+                success: false,
+                type: 'REGISTRATION_CLOSED',
+                message: windowState === 'scheduled'
+                    ? 'Registration for this event has not opened yet.'
+                    : 'Registration for this event is not open.'
+            };
+        }
+
         // Check rate limit
         const rateResult = this.registrationLimiter.tryConsume();
         RateLimitUI.update(this.registrationLimiter.getStatus());
@@ -997,14 +1603,15 @@ class SecurityManager {
         }
 
         // Check for unexpected fields
-        const unexpected = this.validator.checkUnexpectedFields(formData, 'registration');
+        const unexpected = this.validator.checkUnexpectedFields(formData, 'registration', schema);
         if (unexpected.length > 0) {
             console.warn('[Security] Unexpected fields detected:', unexpected);
             // Continue but log the warning
         }
 
         // Validate form
-        const validation = this.validator.validateRegistrationForm(formData);
+        const validation = this.validator.validateRegistrationForm(formData, schema,
+            event ? event.teamSize : null, event ? event.sessions : null);
 
         if (!validation.valid) {
             ButtonDebouncer.restoreFromLoading(submitButton);
@@ -1015,8 +1622,15 @@ class SecurityManager {
             };
         }
 
-        // Sanitize inputs
-        const sanitized = InputSanitizer.sanitizeObject(validation.sanitized);
+        // Sanitize inputs (custom answers are escaped at render time, not stored encoded)
+        const { customFields, ...coreFields } = validation.sanitized;
+        const sanitized = InputSanitizer.sanitizeObject(coreFields);
+        if (customFields) {
+            sanitized.customFields = {};
+            for (const [key, value] of Object.entries(customFields)) {
+                sanitized.customFields[key] = InputSanitizer.sanitizeText(value);
+            }
+        }
 
         return {
             success: true,
@@ -1071,6 +1685,47 @@ class SecurityManager {
         };
     }
 
+    /**
+     * Process a registration lookup (email + confirmation code)
+     * @param {Object} formData - {lookupEmail, lookupCode}
+     * @param {HTMLButtonElement} submitButton - Submit button element
+     * @returns {Object} Result with validation and rate limit status
+     */
+    processLookup(formData, submitButton) {
+        ButtonDebouncer.setLoading(submitButton, 'Checking...');
+
+        // Check rate limit
+        const rateResult = this.lookupLimiter.tryConsume();
+
+        if (!rateResult.allowed) {
+            ButtonDebouncer.restoreFromLoading(submitButton);
+            return {
+                success: false,
+                type: 'RATE_LIMITED',
+                message: rateResult.message
+            };
+        }
+
+        // Validate form
+        const validation = this.validator.validateLookupForm(formData);
+
+        if (!validation.valid) {
+            ButtonDebouncer.restoreFromLoading(submitButton);
+            return {
+                success: false,
+                type: 'VALIDATION_ERROR',
+                errors: validation.errors
+            };
+        }
+
+        return {
+            success: true,
+            type: 'VALIDATED',
+            data: validation.sanitized,
+            button: submitButton
+        };
+    }
+
     /**
      * Display validation errors on form fields
      * @param {Object} errors - Error object {fieldId: message}
@@ -1175,5 +1830,8 @@ window.InputSanitizer = InputSanitizer;
 window.ButtonDebouncer = ButtonDebouncer;
 window.RateLimitUI = RateLimitUI;
 window.SECURITY_CONFIG = SECURITY_CONFIG;
+window.FormSchema = FormSchema;
+window.DuplicateDetector = DuplicateDetector;
+window.RegistrationAccess = RegistrationAccess;
 
 console.log('[Security] ISTE Security Module loaded. Access via window.ISTESecurity');